@@ -0,0 +1,50 @@
+// scripts/create-admin.js
+// Create the first administrator, or promote an existing user.
+// The users table comes from the API's own sync, so start the API once first.
+//
+// Usage:
+//   node scripts/create-admin.js <email> <password> [name]
+//   ADMIN_EMAIL=... ADMIN_PASSWORD=... node scripts/create-admin.js
+require('dotenv').config();
+
+const { sequelize, connectWithRetry } = require('../src/config/database');
+const { User } = require('../src/models');
+
+const [, , argEmail, argPassword, argName] = process.argv;
+const email = argEmail || process.env.ADMIN_EMAIL;
+const password = argPassword || process.env.ADMIN_PASSWORD;
+const name = argName || process.env.ADMIN_NAME || 'Administrator';
+
+const main = async () => {
+  if (!email) {
+    console.error('Usage: node scripts/create-admin.js <email> <password> [name]');
+    process.exit(1);
+  }
+
+  await connectWithRetry(3, 2000);
+
+  const existing = await User.findOne({ where: { email } });
+
+  if (existing) {
+    await existing.update({ role: 'admin', active: true, emailVerifiedAt: existing.emailVerifiedAt || new Date() });
+    console.log(`✅ User ${email} promoted to admin`);
+    if (password) {
+      console.log('ℹ️  The user already exists, so the password argument was ignored');
+    }
+  } else {
+    if (!password) {
+      console.error('❌ A password is required to create a new admin');
+      process.exit(1);
+    }
+
+    await User.create({ name, email, password, role: 'admin', emailVerifiedAt: new Date() });
+    console.log(`✅ Admin ${email} created`);
+  }
+
+  await sequelize.close();
+};
+
+main().catch((error) => {
+  console.error('❌ Error creating admin:', error.message);
+  process.exit(1);
+});
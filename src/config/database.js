@@ -1,6 +1,12 @@
 const { Sequelize } = require('sequelize');
+const cls = require('cls-hooked');
 require('dotenv').config();
 
+// Las consultas dentro de sequelize.transaction() usan la transacción
+// automáticamente, sin pasar { transaction } a cada llamada
+const namespace = cls.createNamespace('api-tareas');
+Sequelize.useCLS(namespace);
+
 // Configuración de Sequelize
 const sequelize = new Sequelize(
   process.env.DB_NAME,
@@ -42,4 +48,4 @@ const connectWithRetry = async (retries = 10, delay = 5000) => {
   }
 };
 
-module.exports = { sequelize, connectWithRetry };
\ No newline at end of file
+module.exports = { sequelize, namespace, connectWithRetry };
\ No newline at end of file
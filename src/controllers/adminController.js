@@ -0,0 +1,304 @@
+const { User } = require('../models');
+const { Op } = require('sequelize');
+const { revokeUserTokens } = require('../services/refreshTokenService');
+const { resetTwoFactor } = require('../services/twoFactorService');
+const { unlockAccount } = require('../services/accountLockout');
+const { selfChangeError } = require('../utils/roles');
+const logger = require('../config/logger');
+
+const getUsers = async (req, res) => {
+  try {
+    const { search, role, active, page = 1, limit = 10 } = req.query;
+
+    // Build filters
+    const where = {};
+
+    if (role) {
+      where.role = role;
+    }
+
+    if (active !== undefined) {
+      where.active = active === 'true';
+    }
+
+    if (search) {
+      where[Op.or] = [
+        { name: { [Op.iLike]: `%${search}%` } },
+        { email: { [Op.iLike]: `%${search}%` } }
+      ];
+    }
+
+    // Pagination
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      attributes: { exclude: ['password'] },
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        users: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting users:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting users',
+      error: error.message
+    });
+  }
+};
+
+const getUser = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id, {
+      attributes: { exclude: ['password'] }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { user }
+    });
+  } catch (error) {
+    logger.error('Error getting user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting user',
+      error: error.message
+    });
+  }
+};
+
+// Shared handler for activate / deactivate
+const setActive = (active) => async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const selfError = !active && selfChangeError('deactivate', id, req.user.id);
+
+    if (selfError) {
+      return res.status(400).json({
+        success: false,
+        message: selfError
+      });
+    }
+
+    const user = await User.findByPk(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.update({ active });
+
+    // A deactivated user must not keep working with existing tokens
+    if (!active) {
+      await revokeUserTokens(user.id);
+    }
+
+    logger.info(`User ${active ? 'reactivated' : 'deactivated'}: ${user.email} by admin: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: `User ${active ? 'reactivated' : 'deactivated'} successfully`,
+      data: { user }
+    });
+  } catch (error) {
+    logger.error('Error updating user status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating user status',
+      error: error.message
+    });
+  }
+};
+
+const deactivateUser = setActive(false);
+const reactivateUser = setActive(true);
+
+const updateRole = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role } = req.body;
+
+    const selfError = selfChangeError('role', id, req.user.id);
+
+    if (selfError) {
+      return res.status(400).json({
+        success: false,
+        message: selfError
+      });
+    }
+
+    const user = await User.findByPk(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await user.update({ role });
+
+    logger.info(`Role of user ${user.email} set to ${role} by admin: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      data: { user }
+    });
+  } catch (error) {
+    logger.error('Error updating role:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating role',
+      error: error.message
+    });
+  }
+};
+
+const resetPassword = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { password } = req.body;
+
+    const user = await User.findByPk(id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    // Password is hashed by the beforeUpdate hook
+    await user.update({ password });
+
+    // Sign the user out everywhere
+    await revokeUserTokens(user.id);
+
+    logger.info(`Password reset for user: ${user.email} by admin: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully'
+    });
+  } catch (error) {
+    logger.error('Error resetting password:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+// Lift a lockout caused by failed logins
+const unlockUser = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    await unlockAccount(user.id);
+
+    logger.info(`Account unlocked for user: ${user.email} by admin: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'User unlocked successfully'
+    });
+  } catch (error) {
+    logger.error('Error unlocking user:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking user',
+      error: error.message
+    });
+  }
+};
+
+// For users who lost both their authenticator and their recovery codes
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    const user = await User.findByPk(req.params.id);
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    if (!user.twoFactorEnabledAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Two-factor authentication is not enabled for this user'
+      });
+    }
+
+    await resetTwoFactor(user.id);
+
+    logger.info(`Two-factor authentication reset for user: ${user.email} by admin: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication reset successfully'
+    });
+  } catch (error) {
+    logger.error('Error resetting two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  updateRole,
+  resetPassword,
+  unlockUser,
+  resetUserTwoFactor
+};
@@ -0,0 +1,84 @@
+const logger = require('../config/logger');
+const { createApiKey, listApiKeys, revokeApiKey } = require('../services/apiKeyService');
+
+const getApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+
+    res.json({
+      success: true,
+      data: { apiKeys }
+    });
+  } catch (error) {
+    logger.error('Error getting API keys:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting API keys',
+      error: error.message
+    });
+  }
+};
+
+// The key itself is in this response only
+const createKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const { apiKey, key } = await createApiKey(req.user.id, { name, scopes, expiresAt });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now: it will not be shown again',
+      data: {
+        apiKey,
+        key
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating API key:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating API key',
+      error: error.message
+    });
+  }
+};
+
+const revokeKey = async (req, res) => {
+  try {
+    const apiKey = await revokeApiKey(req.user.id, req.params.id);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'API key not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'API key revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking API key',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createKey,
+  revokeKey
+};
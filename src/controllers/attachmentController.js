@@ -0,0 +1,276 @@
+const { Attachment, User } = require('../models');
+const logger = require('../config/logger');
+const { findAccessibleTask } = require('../services/taskAccess');
+const { getStorage } = require('../services/attachmentStorage');
+const {
+  AttachmentQuotaError,
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_QUOTA_BYTES,
+  usedBytes,
+  receiveUpload,
+  createAttachment,
+  deleteAttachment
+} = require('../services/attachmentService');
+
+const uploaderInclude = { model: User, as: 'uploader', attributes: ['id', 'name', 'email'] };
+
+const taskNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Task not found'
+});
+
+const attachmentNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Attachment not found'
+});
+
+const findAttachment = (req, taskId) => Attachment.findOne({
+  where: { id: req.params.attachmentId, taskId }
+});
+
+const getAttachments = async (req, res) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return taskNotFound(res);
+    }
+
+    const attachments = await Attachment.findAll({
+      where: { taskId: access.task.id },
+      include: [uploaderInclude],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { attachments }
+    });
+  } catch (error) {
+    logger.error('Error getting attachments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting attachments',
+      error: error.message
+    });
+  }
+};
+
+// multipart/form-data with the file in the `file` field. The file is
+// streamed to storage; uploads over the size limit or the uploader's
+// remaining quota are cut off and discarded.
+const uploadAttachment = async (req, res) => {
+  const userId = req.user.id;
+
+  try {
+    const access = await findAccessibleTask(req.params.id, userId);
+
+    if (!access) {
+      return taskNotFound(res);
+    }
+
+    if (!access.canWrite) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to add attachments to this task'
+      });
+    }
+
+    const remaining = ATTACHMENT_QUOTA_BYTES - await usedBytes(userId);
+
+    if (remaining <= 0) {
+      return res.status(413).json({
+        success: false,
+        message: `Storage quota of ${ATTACHMENT_QUOTA_BYTES} bytes exceeded. Delete attachments to free space`
+      });
+    }
+
+    const maxBytes = Math.min(ATTACHMENT_MAX_BYTES, remaining);
+    let file;
+
+    try {
+      file = await receiveUpload(req, res, { userId, maxBytes });
+    } catch (error) {
+      if (error.code === 'LIMIT_FILE_SIZE') {
+        return res.status(413).json({
+          success: false,
+          message: maxBytes < ATTACHMENT_MAX_BYTES
+            ? `File exceeds your remaining storage quota of ${remaining} bytes`
+            : `File cannot exceed ${ATTACHMENT_MAX_BYTES} bytes`
+        });
+      }
+
+      if (error.name === 'MulterError' || /multipart|boundary|end of form/i.test(error.message)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid upload. Send multipart/form-data with a single file in the "file" field',
+          error: error.message
+        });
+      }
+
+      throw error;
+    }
+
+    if (!file) {
+      return res.status(400).json({
+        success: false,
+        message: 'No file uploaded. Send it in the "file" field'
+      });
+    }
+
+    const attachment = await createAttachment(access.task, userId, file);
+
+    logger.info(`Attachment ${attachment.id} (${attachment.size} bytes) added to task ${access.task.id} by user: ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Attachment uploaded',
+      data: { attachment }
+    });
+  } catch (error) {
+    // A parallel upload used up the quota while this one was streaming
+    if (error instanceof AttachmentQuotaError) {
+      return res.status(413).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Error uploading attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error uploading attachment',
+      error: error.message
+    });
+  }
+};
+
+// Always served as a download with the sniffed content type, so files are
+// never rendered inline by the browser
+const downloadAttachment = async (req, res) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return taskNotFound(res);
+    }
+
+    const attachment = await findAttachment(req, access.task.id);
+
+    if (!attachment) {
+      return attachmentNotFound(res);
+    }
+
+    const stream = getStorage().read(attachment.storageKey);
+
+    stream.once('error', (error) => {
+      logger.error(`Error reading attachment ${attachment.id}:`, error);
+
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+
+      res.removeHeader('Content-Disposition');
+      res.removeHeader('Content-Length');
+
+      if (error.code === 'ENOENT') {
+        return res.status(404).json({
+          success: false,
+          message: 'Attachment file is missing from storage'
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        message: 'Error downloading attachment',
+        error: error.message
+      });
+    });
+
+    res.attachment(attachment.filename);
+    res.type(attachment.mimeType);
+    res.setHeader('Content-Length', attachment.size);
+    res.setHeader('ETag', `"${attachment.checksum}"`);
+
+    stream.pipe(res);
+  } catch (error) {
+    logger.error('Error downloading attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error downloading attachment',
+      error: error.message
+    });
+  }
+};
+
+// The uploader, or anyone who can change the task, can delete an attachment
+const removeAttachment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await findAccessibleTask(req.params.id, userId);
+
+    if (!access) {
+      return taskNotFound(res);
+    }
+
+    const attachment = await findAttachment(req, access.task.id);
+
+    if (!attachment) {
+      return attachmentNotFound(res);
+    }
+
+    if (attachment.userId !== userId && !access.canWrite) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this attachment'
+      });
+    }
+
+    await deleteAttachment(attachment);
+
+    logger.info(`Attachment ${attachment.id} deleted by user: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Attachment deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting attachment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting attachment',
+      error: error.message
+    });
+  }
+};
+
+// Storage used by the current user against their quota
+const getAttachmentUsage = async (req, res) => {
+  try {
+    const used = await usedBytes(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        used,
+        quota: ATTACHMENT_QUOTA_BYTES,
+        maxFileSize: ATTACHMENT_MAX_BYTES
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting attachment usage:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting attachment usage',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  removeAttachment,
+  getAttachmentUsage
+};
@@ -1,7 +1,92 @@
 const { User } = require('../models');
-const { generarToken } = require('../utils/jwt');
+const {
+  issueTokens,
+  rotateTokens,
+  revokeToken,
+  revokeUserTokens,
+  revokeOtherSessions,
+  RefreshTokenError
+} = require('../services/refreshTokenService');
+const {
+  consumeAccountToken,
+  sendPasswordReset,
+  sendEmailVerification
+} = require('../services/accountService');
+const { verifySecondFactor, countRecoveryCodes } = require('../services/twoFactorService');
+const {
+  lockStatus,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount
+} = require('../services/accountLockout');
+const { generarChallengeToken, verificarChallengeToken } = require('../utils/jwt');
 const logger = require('../config/logger');
 
+// Refuse logins until the email is verified
+const REQUIRE_EMAIL_VERIFICATION = process.env.REQUIRE_EMAIL_VERIFICATION === 'true';
+
+// Mails are sent in the background: a slow SMTP server should neither
+// delay the response nor reveal, by its timing, whether an account exists
+const mailInBackground = (send, user) => {
+  send(user).catch(error => logger.error(`Error sending account email to user ${user.id}:`, error));
+};
+
+const invalidToken = (res) => res.status(400).json({
+  success: false,
+  message: 'Invalid or expired token'
+});
+
+// Refuse the attempt while the account waits out failed logins: 429 for
+// the short delays, 423 once it is locked. Returns whether it answered.
+const rejectIfLocked = (res, user) => {
+  const lock = lockStatus(user);
+
+  if (!lock) {
+    return false;
+  }
+
+  res.set('Retry-After', String(lock.retryAfter));
+  res.status(lock.lockedOut ? 423 : 429).json({
+    success: false,
+    message: lock.lockedOut
+      ? 'Account locked after too many failed login attempts. Use the link we emailed you or try again later'
+      : `Too many failed login attempts. Try again in ${lock.retryAfter} seconds`,
+    retryAfter: lock.retryAfter
+  });
+
+  return true;
+};
+
+// Device details recorded on the session
+const clientInfo = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+// Final step of a login: record the access and open a session
+const startSession = async (user, req) => {
+  await clearFailedLogins(user);
+  await user.update({ lastAccess: new Date() });
+
+  const { token, refreshToken } = await issueTokens(user, clientInfo(req));
+
+  logger.info(`User authenticated: ${user.email}`);
+
+  return {
+    success: true,
+    message: 'Session started successfully',
+    data: {
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email
+      },
+      token,
+      refreshToken
+    }
+  };
+};
+
 const register = async (req, res) => {
   try {
     const { name, email, password } = req.body;
@@ -22,25 +107,36 @@ const register = async (req, res) => {
       password
     });
 
-    // Generate token
-    const token = generarToken({
+    mailInBackground(sendEmailVerification, user);
+
+    logger.info(`User registered: ${email}`);
+
+    const profile = {
       id: user.id,
+      name: user.name,
       email: user.email,
-      name: user.name
-    });
+      emailVerified: false
+    };
 
-    logger.info(`User registered: ${email}`);
+    // Login is refused until the address is verified, so no session either
+    if (REQUIRE_EMAIL_VERIFICATION) {
+      return res.status(201).json({
+        success: true,
+        message: 'User registered successfully. Verify your email address before logging in',
+        data: { user: profile }
+      });
+    }
+
+    // Generate access and refresh tokens
+    const { token, refreshToken } = await issueTokens(user, clientInfo(req));
 
     res.status(201).json({
       success: true,
-      message: 'User registered successfully',
+      message: 'User registered successfully. Check your email to verify your address',
       data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email
-        },
-        token
+        user: profile,
+        token,
+        refreshToken
       }
     });
   } catch (error) {
@@ -85,45 +181,164 @@ const login = async (req, res) => {
       });
     }
 
+    if (rejectIfLocked(res, user)) {
+      return;
+    }
+
     // Validate password
     const validPassword = await user.validatePassword(password);
 
     if (!validPassword) {
+      await recordFailedLogin(user);
       return res.status(401).json({
         success: false,
         message: 'Invalid credentials'
       });
     }
 
-    // Update last access
-    await user.update({ lastAccess: new Date() });
+    if (REQUIRE_EMAIL_VERIFICATION && !user.emailVerifiedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Email not verified. Follow the link we emailed you or request a new one'
+      });
+    }
+
+    // The password alone is not enough: hand out a challenge to exchange,
+    // with a code, at /2fa/verify
+    if (user.twoFactorEnabledAt) {
+      logger.info(`Two-factor challenge issued for user: ${user.id}`);
 
-    // Generate token
-    const token = generarToken({
-      id: user.id,
-      email: user.email,
-      name: user.name
+      return res.json({
+        success: true,
+        message: 'Two-factor authentication required',
+        data: {
+          twoFactorRequired: true,
+          challengeToken: generarChallengeToken({ id: user.id })
+        }
+      });
+    }
+
+    res.json(await startSession(user, req));
+  } catch (error) {
+    logger.error('Error logging in:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging in',
+      error: error.message
     });
+  }
+};
+
+// Second step of a two-factor login: the challenge from /login plus a TOTP
+// or recovery code
+const verifyTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+
+    let userId;
+    try {
+      userId = verificarChallengeToken(challengeToken).id;
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Log in again'
+      });
+    }
 
-    logger.info(`User authenticated: ${email}`);
+    const user = await User.findByPk(userId);
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired challenge. Log in again'
+      });
+    }
+
+    if (rejectIfLocked(res, user)) {
+      return;
+    }
+
+    const method = await verifySecondFactor(user, code);
+
+    if (!method) {
+      await recordFailedLogin(user);
+      logger.warn(`Invalid two-factor code for user: ${user.id}`);
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid two-factor code'
+      });
+    }
+
+    const session = await startSession(user, req);
+
+    if (method === 'recovery_code') {
+      session.data.recoveryCodesRemaining = await countRecoveryCodes(user.id);
+    }
+
+    res.json(session);
+  } catch (error) {
+    logger.error('Error verifying two-factor code:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying two-factor code',
+      error: error.message
+    });
+  }
+};
+
+const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    const { user, token, refreshToken: newRefreshToken } = await rotateTokens(
+      refreshToken,
+      (id) => User.findByPk(id),
+      clientInfo(req)
+    );
+
+    logger.info(`Token refreshed for user: ${user.email}`);
 
     res.json({
       success: true,
-      message: 'Session started successfully',
+      message: 'Token refreshed successfully',
       data: {
-        user: {
-          id: user.id,
-          name: user.name,
-          email: user.email
-        },
-        token
+        token,
+        refreshToken: newRefreshToken
       }
     });
   } catch (error) {
-    logger.error('Error logging in:', error);
+    if (error instanceof RefreshTokenError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Error refreshing token:', error);
     res.status(500).json({
       success: false,
-      message: 'Error logging in',
+      message: 'Error refreshing token',
+      error: error.message
+    });
+  }
+};
+
+const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    // Revoke the whole token family so every rotated token dies with it
+    await revokeToken(refreshToken);
+
+    res.json({
+      success: true,
+      message: 'Session closed successfully'
+    });
+  } catch (error) {
+    logger.error('Error logging out:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error logging out',
       error: error.message
     });
   }
@@ -181,9 +396,217 @@ const updateProfile = async (req, res) => {
   }
 };
 
+// Always answers the same, so it cannot be used to find out which emails
+// have an account
+const forgotPassword = async (req, res) => {
+  try {
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    if (user && user.active) {
+      mailInBackground(sendPasswordReset, user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the email belongs to an account, a reset link is on its way'
+    });
+  } catch (error) {
+    logger.error('Error requesting password reset:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error requesting password reset',
+      error: error.message
+    });
+  }
+};
+
+// Sets a new password and ends every session of the user
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const userId = await consumeAccountToken(token, 'password_reset');
+    const user = userId && await User.findByPk(userId);
+
+    if (!user) {
+      return invalidToken(res);
+    }
+
+    // The reset link proved the user reads this inbox; it also lifts a lockout
+    await user.update({
+      password,
+      emailVerifiedAt: user.emailVerifiedAt || new Date(),
+      failedLoginAttempts: 0,
+      lockedUntil: null
+    });
+    await revokeUserTokens(user.id);
+
+    logger.info(`Password reset for user: ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Password updated. Log in with your new password'
+    });
+  } catch (error) {
+    logger.error('Error resetting password:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error resetting password',
+      error: error.message
+    });
+  }
+};
+
+const verifyEmail = async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'email_verification');
+    const user = userId && await User.findByPk(userId);
+
+    if (!user) {
+      return invalidToken(res);
+    }
+
+    if (!user.emailVerifiedAt) {
+      await user.update({ emailVerifiedAt: new Date() });
+    }
+
+    logger.info(`Email verified for user: ${user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Email verified successfully'
+    });
+  } catch (error) {
+    logger.error('Error verifying email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error verifying email',
+      error: error.message
+    });
+  }
+};
+
+// Lift a lockout with the token emailed when it started
+const unlock = async (req, res) => {
+  try {
+    const userId = await consumeAccountToken(req.body.token, 'account_unlock');
+
+    if (!userId) {
+      return invalidToken(res);
+    }
+
+    await unlockAccount(userId);
+
+    logger.info(`Account unlocked by email for user: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Account unlocked. You can log in again'
+    });
+  } catch (error) {
+    logger.error('Error unlocking account:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error unlocking account',
+      error: error.message
+    });
+  }
+};
+
+// Public, so users who cannot log in before verifying can get a new link.
+// Like forgotPassword, the answer does not tell whether the account exists
+// or is already verified.
+const resendVerification = async (req, res) => {
+  try {
+    const user = await User.findOne({ where: { email: req.body.email } });
+
+    if (user && user.active && !user.emailVerifiedAt) {
+      mailInBackground(sendEmailVerification, user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If the email belongs to an unverified account, a verification link is on its way'
+    });
+  } catch (error) {
+    logger.error('Error resending verification email:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error sending verification email',
+      error: error.message
+    });
+  }
+};
+
+// Needs the current password; other sessions are logged out
+const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findByPk(req.user.id);
+
+    if (!(await user.validatePassword(currentPassword))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    if (currentPassword === newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'New password must be different from the current one'
+      });
+    }
+
+    await user.update({ password: newPassword });
+    const revoked = await revokeOtherSessions(user.id, req.sessionId);
+
+    logger.info(`Password changed for user: ${user.id} (${revoked} other sessions revoked)`);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully. Other sessions have been logged out'
+    });
+  } catch (error) {
+    logger.error('Error changing password:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error changing password',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   register,
   login,
+  verifyTwoFactor,
+  refresh,
+  logout,
   profile,
-  updateProfile
+  updateProfile,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  unlock,
+  resendVerification,
+  changePassword
 };
\ No newline at end of file
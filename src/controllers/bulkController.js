@@ -0,0 +1,223 @@
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const { validarObjeto } = require('../middlewares/validation');
+const { createTaskRules, updateTaskRules } = require('../validators/taskValidators');
+const taskService = require('../services/taskService');
+const { TaskOperationError } = taskService;
+const { emitTaskEvent } = require('../services/taskEvents');
+
+const OPERATIONS = ['create', 'update', 'delete', 'complete'];
+
+// Task ids are INTEGER primary keys; numeric strings are accepted as well
+const MAX_ID = 2147483647;
+
+const isTaskId = (id) => {
+  const value = typeof id === 'string' && /^\d+$/.test(id) ? Number(id) : id;
+  return Number.isInteger(value) && value >= 1 && value <= MAX_ID;
+};
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Thrown inside the transaction to roll back an all-or-nothing batch
+class RollbackBatch extends Error {}
+
+const validateOperation = async (operation) => {
+  const { op, id, data = {} } = operation || {};
+
+  if (!OPERATIONS.includes(op)) {
+    return [{ path: 'op', msg: `Operation must be one of: ${OPERATIONS.join(', ')}` }];
+  }
+
+  if (op !== 'create' && !isTaskId(id)) {
+    return [{ path: 'id', msg: 'ID must be a positive integer' }];
+  }
+
+  if (!isPlainObject(data)) {
+    return [{ path: 'data', msg: 'Data must be an object' }];
+  }
+
+  if (op === 'create') {
+    return validarObjeto(createTaskRules, data);
+  }
+
+  if (op === 'update') {
+    return validarObjeto(updateTaskRules, data);
+  }
+
+  return [];
+};
+
+const runOperation = async (userId, { op, id, data = {} }, emit) => {
+  switch (op) {
+    case 'create': {
+      const task = await taskService.createTask(userId, data, { emit });
+      return { status: 201, data: { task } };
+    }
+    case 'update': {
+      const { task, nextTask } = await taskService.updateTask(userId, id, data, { emit });
+      return { status: 200, data: { task, ...(nextTask && { nextOccurrence: nextTask }) } };
+    }
+    case 'complete': {
+      const { task, nextTask } = await taskService.updateTask(
+        userId,
+        id,
+        { completed: true, force: data.force === true },
+        { emit }
+      );
+      return { status: 200, data: { task, ...(nextTask && { nextOccurrence: nextTask }) } };
+    }
+    case 'delete': {
+      await taskService.deleteTask(userId, id, { emit });
+      return { status: 200 };
+    }
+  }
+};
+
+// Per-operation result for a failed operation
+const failureResult = (error) => {
+  if (error instanceof TaskOperationError) {
+    return { status: error.status, message: error.message, ...(error.data && { data: error.data }) };
+  }
+
+  if (error.name === 'SequelizeValidationError') {
+    return { status: 400, message: 'Validation error', errors: error.errors.map(e => e.message) };
+  }
+
+  logger.error('Error in bulk operation:', error);
+  return { status: 500, message: error.message };
+};
+
+const bulkTasks = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { operations, atomic = false } = req.body;
+
+    const validation = [];
+    for (const operation of operations) {
+      validation.push(await validateOperation(operation));
+    }
+
+    const results = operations.map((operation, index) => ({
+      index,
+      op: operation && operation.op,
+      id: operation && operation.id,
+      ...(validation[index].length > 0 && {
+        success: false,
+        status: 400,
+        message: 'Validation error',
+        errors: validation[index]
+      })
+    }));
+
+    const invalid = results.filter(r => r.success === false).length;
+
+    if (atomic && invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error, no operation was applied',
+        data: { atomic, results }
+      });
+    }
+
+    // Events are only published once the changes are committed
+    const flush = (events) => events.forEach(args => emitTaskEvent(...args));
+
+    if (atomic) {
+      const events = [];
+      let failedIndex = null;
+
+      try {
+        await sequelize.transaction(async () => {
+          for (const result of results) {
+            try {
+              const outcome = await runOperation(
+                userId,
+                operations[result.index],
+                (...args) => events.push(args)
+              );
+              Object.assign(result, { success: true, ...outcome });
+            } catch (error) {
+              Object.assign(result, { success: false, ...failureResult(error) });
+              failedIndex = result.index;
+              throw new RollbackBatch();
+            }
+          }
+        });
+      } catch (error) {
+        if (!(error instanceof RollbackBatch)) {
+          throw error;
+        }
+      }
+
+      if (failedIndex !== null) {
+        results.forEach((result) => {
+          if (result.index < failedIndex) {
+            Object.assign(result, { success: false, rolledBack: true });
+            delete result.data;
+          } else if (result.index > failedIndex) {
+            Object.assign(result, { success: false, skipped: true });
+          }
+        });
+
+        logger.info(`Bulk of ${operations.length} operations rolled back for user: ${userId}`);
+
+        return res.status(results[failedIndex].status).json({
+          success: false,
+          message: `Operation ${failedIndex} failed, no operation was applied`,
+          data: { atomic, results }
+        });
+      }
+
+      flush(events);
+    } else {
+      // Each operation commits or fails on its own
+      for (const result of results) {
+        if (result.success === false) {
+          continue;
+        }
+
+        const events = [];
+        try {
+          const outcome = await sequelize.transaction(() => runOperation(
+            userId,
+            operations[result.index],
+            (...args) => events.push(args)
+          ));
+          Object.assign(result, { success: true, ...outcome });
+          flush(events);
+        } catch (error) {
+          Object.assign(result, { success: false, ...failureResult(error) });
+        }
+      }
+    }
+
+    const failed = results.filter(r => !r.success).length;
+
+    logger.info(`Bulk of ${operations.length} operations by user: ${userId} (${failed} failed)`);
+
+    // 207 Multi-Status when only some operations succeeded
+    res.status(failed > 0 ? 207 : 200).json({
+      success: failed === 0,
+      message: failed > 0 ? `${failed} of ${operations.length} operations failed` : 'All operations applied',
+      data: {
+        atomic,
+        results,
+        summary: {
+          total: operations.length,
+          succeeded: operations.length - failed,
+          failed
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error running bulk operations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running bulk operations',
+      error: error.message
+    });
+  }
+};
+
+module.exports = { bulkTasks };
@@ -0,0 +1,97 @@
+const { Op } = require('sequelize');
+const { Task } = require('../models');
+const logger = require('../config/logger');
+const { taskFiltersWhere } = require('../services/taskAccess');
+const { rotateFeedToken, revokeFeedToken } = require('../services/calendarFeed');
+const { buildCalendar } = require('../utils/ical');
+
+// GET /api/tasks/calendar.ics - accepts the same filters as the task list
+const getCalendarFeed = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const where = await taskFiltersWhere(userId, req.query);
+
+    if (!where) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    where.dueDate = { [Op.ne]: null };
+
+    const tasks = await Task.findAll({
+      where,
+      order: [['dueDate', 'ASC']]
+    });
+
+    const ics = buildCalendar(tasks, {
+      name: `${req.user.name} - Tasks`,
+      component: req.query.component === 'vtodo' ? 'VTODO' : 'VEVENT',
+      domain: req.hostname
+    });
+
+    res.set({
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': 'inline; filename="tasks.ics"',
+      'Cache-Control': 'private, max-age=300'
+    });
+    res.send(ics);
+  } catch (error) {
+    logger.error('Error building calendar feed:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error building calendar feed',
+      error: error.message
+    });
+  }
+};
+
+// Creates the secret feed URL; calling it again revokes the previous URL
+const createFeedToken = async (req, res) => {
+  try {
+    const token = await rotateFeedToken(req.user);
+    const url = `${req.protocol}://${req.get('host')}${req.baseUrl}/calendar.ics?token=${token}`;
+
+    logger.info(`Calendar feed token issued for user: ${req.user.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Calendar feed URL created. Keep it secret: anyone with it can read your tasks',
+      data: { token, url }
+    });
+  } catch (error) {
+    logger.error('Error creating calendar feed token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating calendar feed token',
+      error: error.message
+    });
+  }
+};
+
+const deleteFeedToken = async (req, res) => {
+  try {
+    await revokeFeedToken(req.user);
+
+    logger.info(`Calendar feed token revoked for user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Calendar feed URL revoked'
+    });
+  } catch (error) {
+    logger.error('Error revoking calendar feed token:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking calendar feed token',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getCalendarFeed,
+  createFeedToken,
+  deleteFeedToken
+};
@@ -0,0 +1,237 @@
+const { Comment, User } = require('../models');
+const logger = require('../config/logger');
+const { findAccessibleTask } = require('../services/taskAccess');
+const { notifyMentions, activityFeed } = require('../services/commentService');
+const { parseActivityBefore } = require('../utils/activity');
+
+const ACTIVITY_DEFAULT_LIMIT = 50;
+
+const authorInclude = { model: User, as: 'author', attributes: ['id', 'name', 'email'] };
+
+const taskNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Task not found'
+});
+
+const findComment = (req, taskId) => Comment.findOne({
+  where: { id: req.params.commentId, taskId },
+  include: [authorInclude]
+});
+
+const validationError = (res, error) => res.status(400).json({
+  success: false,
+  message: 'Validation error',
+  errors: error.errors.map(e => e.message)
+});
+
+// Every user who can read a task can read and write its comments
+const getComments = async (req, res) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return taskNotFound(res);
+    }
+
+    const comments = await Comment.findAll({
+      where: { taskId: access.task.id },
+      include: [authorInclude],
+      order: [['createdAt', 'ASC'], ['id', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { comments }
+    });
+  } catch (error) {
+    logger.error('Error getting comments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting comments',
+      error: error.message
+    });
+  }
+};
+
+const createComment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await findAccessibleTask(req.params.id, userId);
+
+    if (!access) {
+      return taskNotFound(res);
+    }
+
+    const comment = await Comment.create({
+      taskId: access.task.id,
+      authorId: userId,
+      body: req.body.body
+    });
+
+    const mentioned = await notifyMentions(comment, access.task);
+    await comment.reload({ include: [authorInclude] });
+
+    logger.info(`Comment ${comment.id} added to task ${access.task.id} by user: ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Comment added',
+      data: { comment, mentioned }
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return validationError(res, error);
+    }
+
+    logger.error('Error creating comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error creating comment',
+      error: error.message
+    });
+  }
+};
+
+// Only the author can edit a comment
+const updateComment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await findAccessibleTask(req.params.id, userId);
+
+    if (!access) {
+      return taskNotFound(res);
+    }
+
+    const comment = await findComment(req, access.task.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.authorId !== userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the author can edit this comment'
+      });
+    }
+
+    const previousBody = comment.body;
+
+    if (req.body.body !== previousBody) {
+      await comment.update({ body: req.body.body, editedAt: new Date() });
+    }
+
+    const mentioned = await notifyMentions(comment, access.task, previousBody);
+
+    res.json({
+      success: true,
+      message: 'Comment updated',
+      data: { comment, mentioned }
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeValidationError') {
+      return validationError(res, error);
+    }
+
+    logger.error('Error updating comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating comment',
+      error: error.message
+    });
+  }
+};
+
+// The author, or anyone who can change the task, can delete a comment
+const deleteComment = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const access = await findAccessibleTask(req.params.id, userId);
+
+    if (!access) {
+      return taskNotFound(res);
+    }
+
+    const comment = await findComment(req, access.task.id);
+
+    if (!comment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Comment not found'
+      });
+    }
+
+    if (comment.authorId !== userId && !access.canWrite) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to delete this comment'
+      });
+    }
+
+    await comment.destroy();
+
+    logger.info(`Comment ${comment.id} deleted by user: ${userId}`);
+
+    res.json({
+      success: true,
+      message: 'Comment deleted'
+    });
+  } catch (error) {
+    logger.error('Error deleting comment:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting comment',
+      error: error.message
+    });
+  }
+};
+
+// Comments and field changes interleaved, newest first
+const getActivity = async (req, res) => {
+  try {
+    // Like the history, the activity of trashed tasks stays visible
+    const access = await findAccessibleTask(req.params.id, req.user.id, { paranoid: false });
+
+    if (!access) {
+      return taskNotFound(res);
+    }
+
+    const { before, limit = ACTIVITY_DEFAULT_LIMIT } = req.query;
+    const after = before ? parseActivityBefore(before) : null;
+
+    if (before && !after) {
+      return res.status(400).json({
+        success: false,
+        message: 'Before must be a date or the nextBefore of a previous page'
+      });
+    }
+
+    const { activity, nextBefore } = await activityFeed(access.task.id, {
+      after,
+      limit: parseInt(limit)
+    });
+
+    res.json({
+      success: true,
+      data: { activity, nextBefore }
+    });
+  } catch (error) {
+    logger.error('Error getting task activity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting task activity',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  getActivity
+};
@@ -0,0 +1,197 @@
+const { Task, TaskDependency } = require('../models');
+const logger = require('../config/logger');
+const { findAccessibleTask } = require('../services/taskAccess');
+const {
+  wouldCreateDependencyCycle,
+  withSubtaskProgress
+} = require('../services/taskDependencies');
+
+const dependencyAttributes = ['id', 'title', 'completed', 'dueDate', 'priority'];
+
+const getSubtasks = async (req, res) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const subtasks = await Task.findAll({
+      where: { parentId: access.task.id },
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { subtasks: await withSubtaskProgress(subtasks) }
+    });
+  } catch (error) {
+    logger.error('Error getting subtasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting subtasks',
+      error: error.message
+    });
+  }
+};
+
+const getDependencies = async (req, res) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id, {
+      include: [
+        {
+          model: Task,
+          as: 'blockedBy',
+          attributes: dependencyAttributes,
+          through: { attributes: [] }
+        },
+        {
+          model: Task,
+          as: 'blocking',
+          attributes: dependencyAttributes,
+          through: { attributes: [] }
+        }
+      ]
+    });
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        blockedBy: access.task.blockedBy,
+        blocking: access.task.blocking
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting dependencies:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting dependencies',
+      error: error.message
+    });
+  }
+};
+
+const addDependency = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const taskId = parseInt(req.params.id);
+    const blockedById = parseInt(req.body.blockedById);
+
+    const access = await findAccessibleTask(taskId, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!access.canWrite) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to modify this task'
+      });
+    }
+
+    // The blocking task only needs to be visible to the user
+    const blocker = await findAccessibleTask(blockedById, userId);
+
+    if (!blocker) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocking task not found'
+      });
+    }
+
+    if (await wouldCreateDependencyCycle(taskId, blockedById)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This dependency would create a cycle'
+      });
+    }
+
+    const [dependency, created] = await TaskDependency.findOrCreate({
+      where: { taskId, blockedById }
+    });
+
+    logger.info(`Task ${taskId} blocked by ${blockedById} (user: ${userId})`);
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      message: 'Dependency added successfully',
+      data: { dependency }
+    });
+  } catch (error) {
+    logger.error('Error adding dependency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding dependency',
+      error: error.message
+    });
+  }
+};
+
+const removeDependency = async (req, res) => {
+  try {
+    const { id, blockedById } = req.params;
+    const userId = req.user.id;
+
+    const access = await findAccessibleTask(id, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    if (!access.canWrite) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to modify this task'
+      });
+    }
+
+    const deleted = await TaskDependency.destroy({
+      where: { taskId: access.task.id, blockedById }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Dependency not found'
+      });
+    }
+
+    logger.info(`Task ${id} no longer blocked by ${blockedById} (user: ${userId})`);
+
+    res.json({
+      success: true,
+      message: 'Dependency removed successfully'
+    });
+  } catch (error) {
+    logger.error('Error removing dependency:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing dependency',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSubtasks,
+  getDependencies,
+  addDependency,
+  removeDependency
+};
@@ -0,0 +1,124 @@
+const { TaskHistory, User } = require('../models');
+const logger = require('../config/logger');
+const { findAccessibleTask } = require('../services/taskAccess');
+const { TRACKED_FIELDS } = require('../services/taskHistory');
+const { updateTask, TaskOperationError } = require('../services/taskService');
+
+const getHistory = async (req, res) => {
+  try {
+    // Trashed tasks keep their history visible
+    const access = await findAccessibleTask(req.params.id, req.user.id, { paranoid: false });
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const history = await TaskHistory.findAll({
+      where: { taskId: access.task.id },
+      attributes: { exclude: ['snapshot'] },
+      include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'email'] }],
+      order: [['revision', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { history }
+    });
+  } catch (error) {
+    logger.error('Error getting task history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting task history',
+      error: error.message
+    });
+  }
+};
+
+// The revision is applied as an update, so it goes through the same checks:
+// write access to its project and parent, no parent cycles, open blockers
+// and workflow transitions
+const restoreRevision = async (req, res) => {
+  try {
+    const { id, revision } = req.params;
+    const userId = req.user.id;
+
+    const access = await findAccessibleTask(id, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const entry = await TaskHistory.findOne({
+      where: { taskId: access.task.id, revision }
+    });
+
+    if (!entry || !entry.snapshot) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    const values = TRACKED_FIELDS.reduce((acc, field) => {
+      if (entry.snapshot[field] !== undefined) {
+        acc[field] = entry.snapshot[field];
+      }
+      return acc;
+    }, {});
+
+    // Revisions from before workflows have no status: completed decides it
+    if (values.status === null) {
+      delete values.status;
+    }
+
+    const { task } = await updateTask(
+      userId,
+      access.task.id,
+      { ...values, force: req.body.force },
+      { action: 'restore' }
+    );
+
+    logger.info(`Task ${task.id} restored to revision ${revision} by user: ${userId}`);
+
+    res.json({
+      success: true,
+      message: `Task restored to revision ${revision}`,
+      data: { task }
+    });
+  } catch (error) {
+    if (error instanceof TaskOperationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.data && { data: error.data })
+      });
+    }
+
+    logger.error('Error restoring task revision:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring task revision',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getHistory,
+  restoreRevision
+};
@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { NotificationDelivery, Notification, Comment, Task, User } = require('../models');
+const logger = require('../config/logger');
+
+const getDeliveries = async (req, res) => {
+  try {
+    const { status, kind, page = 1, limit = 20 } = req.query;
+
+    const where = { userId: req.user.id };
+
+    if (status) {
+      where.status = status;
+    }
+
+    if (kind) {
+      where.kind = kind;
+    }
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await NotificationDelivery.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting deliveries',
+      error: error.message
+    });
+  }
+};
+
+// In-app notifications, newest first
+const getNotifications = async (req, res) => {
+  try {
+    const { unread, page = 1, limit = 20 } = req.query;
+    const userId = req.user.id;
+
+    const where = { userId };
+
+    if (unread === 'true') {
+      where.readAt = null;
+    }
+
+    const offset = (page - 1) * limit;
+
+    const [{ count, rows }, unreadCount] = await Promise.all([
+      Notification.findAndCountAll({
+        where,
+        include: [
+          { model: User, as: 'actor', attributes: ['id', 'name', 'email'] },
+          { model: Task, as: 'task', attributes: ['id', 'title'] },
+          { model: Comment, as: 'comment', attributes: ['id', 'body'] }
+        ],
+        limit: parseInt(limit),
+        offset: parseInt(offset),
+        order: [['createdAt', 'DESC']]
+      }),
+      Notification.count({ where: { userId, readAt: null } })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        notifications: rows,
+        unread: unreadCount,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting notifications:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting notifications',
+      error: error.message
+    });
+  }
+};
+
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await Notification.findOne({
+      where: { id: req.params.id, userId: req.user.id }
+    });
+
+    if (!notification) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification not found'
+      });
+    }
+
+    if (!notification.readAt) {
+      await notification.update({ readAt: new Date() });
+    }
+
+    res.json({
+      success: true,
+      data: { notification }
+    });
+  } catch (error) {
+    logger.error('Error marking notification as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking notification as read',
+      error: error.message
+    });
+  }
+};
+
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId: req.user.id, readAt: { [Op.is]: null } } }
+    );
+
+    res.json({
+      success: true,
+      message: `${updated} notifications marked as read`,
+      data: { updated }
+    });
+  } catch (error) {
+    logger.error('Error marking notifications as read:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error marking notifications as read',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDeliveries,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
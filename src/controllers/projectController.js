@@ -0,0 +1,342 @@
+const { Project, ProjectMember, Task, User } = require('../models');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+const { releaseProjectTasks } = require('../services/workflowService');
+
+const memberAttributes = ['id', 'name', 'email'];
+
+const getProjects = async (req, res) => {
+  try {
+    const memberships = await ProjectMember.findAll({
+      where: { userId: req.user.id },
+      include: [{ model: Project, as: 'project' }],
+      order: [[{ model: Project, as: 'project' }, 'name', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        projects: memberships.map(m => ({
+          ...m.project.toJSON(),
+          role: m.role
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting projects:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting projects',
+      error: error.message
+    });
+  }
+};
+
+const getProject = async (req, res) => {
+  try {
+    const taskCount = await Task.count({ where: { projectId: req.project.id } });
+
+    res.json({
+      success: true,
+      data: {
+        project: {
+          ...req.project.toJSON(),
+          role: req.projectRole,
+          taskCount
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting project:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting project',
+      error: error.message
+    });
+  }
+};
+
+const createProject = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+    const userId = req.user.id;
+
+    // The creator becomes the project owner
+    const project = await sequelize.transaction(async (transaction) => {
+      const created = await Project.create({ name, description }, { transaction });
+      await ProjectMember.create({
+        projectId: created.id,
+        userId,
+        role: 'owner'
+      }, { transaction });
+      return created;
+    });
+
+    logger.info(`Project created: ${project.id} by user: ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Project created successfully',
+      data: {
+        project: { ...project.toJSON(), role: 'owner' }
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating project:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating project',
+      error: error.message
+    });
+  }
+};
+
+const updateProject = async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    await req.project.update({ name, description });
+
+    logger.info(`Project updated: ${req.project.id} by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Project updated successfully',
+      data: {
+        project: { ...req.project.toJSON(), role: req.projectRole }
+      }
+    });
+  } catch (error) {
+    logger.error('Error updating project:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating project',
+      error: error.message
+    });
+  }
+};
+
+const deleteProject = async (req, res) => {
+  try {
+    const { id } = req.project;
+
+    // Tasks are not deleted: they go back to their creators' boards
+    await sequelize.transaction(async () => {
+      await releaseProjectTasks(id);
+      await req.project.destroy();
+    });
+
+    logger.info(`Project deleted: ${id} by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Project deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting project:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting project',
+      error: error.message
+    });
+  }
+};
+
+const getMembers = async (req, res) => {
+  try {
+    const members = await ProjectMember.findAll({
+      where: { projectId: req.project.id },
+      include: [{ model: User, as: 'usuario', attributes: memberAttributes }],
+      order: [['createdAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { members }
+    });
+  } catch (error) {
+    logger.error('Error getting project members:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting project members',
+      error: error.message
+    });
+  }
+};
+
+const addMember = async (req, res) => {
+  try {
+    const { email, role = 'viewer' } = req.body;
+
+    const user = await User.findOne({ where: { email } });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const existing = await ProjectMember.findOne({
+      where: { projectId: req.project.id, userId: user.id }
+    });
+
+    if (existing) {
+      return res.status(400).json({
+        success: false,
+        message: 'User is already a member of this project'
+      });
+    }
+
+    const member = await ProjectMember.create({
+      projectId: req.project.id,
+      userId: user.id,
+      role
+    });
+
+    logger.info(`User ${user.id} added to project ${req.project.id} as ${role}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Member added successfully',
+      data: { member }
+    });
+  } catch (error) {
+    logger.error('Error adding project member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error adding project member',
+      error: error.message
+    });
+  }
+};
+
+// A project must always keep at least one owner
+const isLastOwner = async (member) => {
+  if (member.role !== 'owner') {
+    return false;
+  }
+  const owners = await ProjectMember.count({
+    where: { projectId: member.projectId, role: 'owner' }
+  });
+  return owners <= 1;
+};
+
+const updateMember = async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    const member = await ProjectMember.findOne({
+      where: { projectId: req.project.id, userId: req.params.userId }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (role !== 'owner' && await isLastOwner(member)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A project must have at least one owner'
+      });
+    }
+
+    await member.update({ role });
+
+    logger.info(`Member ${member.userId} of project ${req.project.id} set to ${role}`);
+
+    res.json({
+      success: true,
+      message: 'Member updated successfully',
+      data: { member }
+    });
+  } catch (error) {
+    logger.error('Error updating project member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating project member',
+      error: error.message
+    });
+  }
+};
+
+const removeMember = async (req, res) => {
+  try {
+    const targetId = parseInt(req.params.userId);
+
+    // Owners can remove anyone; other members can only leave
+    if (req.projectRole !== 'owner' && targetId !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this resource'
+      });
+    }
+
+    const member = await ProjectMember.findOne({
+      where: { projectId: req.project.id, userId: targetId }
+    });
+
+    if (!member) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found'
+      });
+    }
+
+    if (await isLastOwner(member)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A project must have at least one owner'
+      });
+    }
+
+    await member.destroy();
+
+    logger.info(`Member ${targetId} removed from project ${req.project.id}`);
+
+    res.json({
+      success: true,
+      message: 'Member removed successfully'
+    });
+  } catch (error) {
+    logger.error('Error removing project member:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error removing project member',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember
+};
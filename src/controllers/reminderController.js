@@ -0,0 +1,149 @@
+const { Reminder } = require('../models');
+const logger = require('../config/logger');
+const { findAccessibleTask } = require('../services/taskAccess');
+const { computeRemindAt } = require('../utils/reminders');
+
+const getReminders = async (req, res) => {
+  try {
+    const access = await findAccessibleTask(req.params.id, req.user.id);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    // Reminders are personal: each user only sees their own
+    const reminders = await Reminder.findAll({
+      where: { taskId: access.task.id, userId: req.user.id },
+      order: [['remindAt', 'ASC']]
+    });
+
+    res.json({
+      success: true,
+      data: { reminders }
+    });
+  } catch (error) {
+    logger.error('Error getting reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting reminders',
+      error: error.message
+    });
+  }
+};
+
+const createReminder = async (req, res) => {
+  try {
+    const { offsetMinutes, atTime, channel, target } = req.body;
+    const userId = req.user.id;
+
+    const access = await findAccessibleTask(req.params.id, userId);
+
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        message: 'Task not found'
+      });
+    }
+
+    const { task } = access;
+
+    if (!task.dueDate) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reminders need a task with a due date'
+      });
+    }
+
+    const isWebhook = channel === 'webhook';
+
+    // Email reminders only go to the user's own, verified address: any
+    // other target would let users mail arbitrary recipients
+    if (!isWebhook && target && target !== req.user.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email reminders are sent to your account address'
+      });
+    }
+
+    if (!isWebhook && !req.user.emailVerifiedAt) {
+      return res.status(403).json({
+        success: false,
+        message: 'Verify your email address before adding email reminders'
+      });
+    }
+
+    const reminder = await Reminder.create({
+      taskId: task.id,
+      userId,
+      offsetMinutes,
+      atTime,
+      channel,
+      target: isWebhook ? target : null,
+      remindAt: computeRemindAt({ offsetMinutes, atTime }, task.dueDate)
+    });
+
+    logger.info(`Reminder created: ${reminder.id} for task: ${task.id}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Reminder created successfully',
+      data: { reminder }
+    });
+  } catch (error) {
+    logger.error('Error creating reminder:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating reminder',
+      error: error.message
+    });
+  }
+};
+
+const deleteReminder = async (req, res) => {
+  try {
+    const { id, reminderId } = req.params;
+
+    const deleted = await Reminder.destroy({
+      where: { id: reminderId, taskId: id, userId: req.user.id }
+    });
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Reminder not found'
+      });
+    }
+
+    logger.info(`Reminder deleted: ${reminderId} by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Reminder deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting reminder:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting reminder',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getReminders,
+  createReminder,
+  deleteReminder
+};
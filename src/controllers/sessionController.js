@@ -0,0 +1,85 @@
+const logger = require('../config/logger');
+const { revokeUserTokens, revokeOtherSessions } = require('../services/refreshTokenService');
+const { listSessions, revokeSession } = require('../services/sessionService');
+
+const getSessions = async (req, res) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      data: {
+        sessions: sessions.map(session => ({
+          ...session.toJSON(),
+          current: session.id === req.sessionId
+        }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting sessions',
+      error: error.message
+    });
+  }
+};
+
+// Signs out one device; its access and refresh tokens stop working at once
+const deleteSession = async (req, res) => {
+  try {
+    const revoked = await revokeSession(req.user.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    logger.info(`Session ${req.params.id} revoked by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking session',
+      error: error.message
+    });
+  }
+};
+
+// Log out everywhere; ?keepCurrent=true spares the session making the request
+const deleteAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+    const count = keepCurrent
+      ? await revokeOtherSessions(req.user.id, req.sessionId)
+      : await revokeUserTokens(req.user.id);
+
+    logger.info(`${count} sessions revoked by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: keepCurrent ? 'Logged out of every other session' : 'Logged out of every session',
+      data: { revoked: count }
+    });
+  } catch (error) {
+    logger.error('Error revoking sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error revoking sessions',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getSessions,
+  deleteSession,
+  deleteAllSessions
+};
@@ -0,0 +1,35 @@
+const { addClient, removeClient } = require('../services/taskStream');
+const logger = require('../config/logger');
+
+const HEARTBEAT_MS = 25000;
+
+const streamTasks = (req, res) => {
+  const userId = req.user.id;
+
+  // Resume point from the EventSource reconnect header or the query string
+  const rawLastId = req.headers['last-event-id'] || req.query.lastEventId;
+  const lastEventId = rawLastId !== undefined ? parseInt(rawLastId) : undefined;
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps the compression middleware from buffering events
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 5000\n\n');
+
+  addClient(userId, res, Number.isNaN(lastEventId) ? undefined : lastEventId);
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+  logger.debug(`Task stream opened for user: ${userId}`);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    removeClient(userId, res);
+    logger.debug(`Task stream closed for user: ${userId}`);
+  });
+};
+
+module.exports = { streamTasks };
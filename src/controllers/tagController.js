@@ -0,0 +1,203 @@
+const { Tag } = require('../models');
+const logger = require('../config/logger');
+const { normalizeTag } = require('../utils/tags');
+const tagService = require('../services/tagService');
+
+const findOwnTag = (id, userId) => Tag.findOne({ where: { id, userId } });
+
+const tagNotFound = (res) => res.status(404).json({
+  success: false,
+  message: 'Tag not found'
+});
+
+const getTags = async (req, res) => {
+  try {
+    const tags = await tagService.listTags(req.user.id);
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+  } catch (error) {
+    logger.error('Error getting tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting tags',
+      error: error.message
+    });
+  }
+};
+
+const createTag = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const name = normalizeTag(req.body.name);
+    const { color } = req.body;
+
+    if (await Tag.findOne({ where: { userId, name } })) {
+      return res.status(409).json({
+        success: false,
+        message: 'A tag with this name already exists'
+      });
+    }
+
+    const tag = await Tag.create({ userId, name, color });
+
+    logger.info(`Tag created: ${tag.id} by user: ${userId}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: { tag: { ...tag.toJSON(), taskCount: 0 } }
+    });
+  } catch (error) {
+    logger.error('Error creating tag:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating tag',
+      error: error.message
+    });
+  }
+};
+
+// Renaming updates every task with the tag; renaming onto an existing tag
+// is refused, use merge for that
+const updateTag = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const tag = await findOwnTag(req.params.id, userId);
+
+    if (!tag) {
+      return tagNotFound(res);
+    }
+
+    let tasksUpdated = 0;
+
+    if (req.body.name !== undefined && normalizeTag(req.body.name) !== tag.name) {
+      const name = normalizeTag(req.body.name);
+      const existing = await Tag.findOne({ where: { userId, name } });
+
+      if (existing) {
+        return res.status(409).json({
+          success: false,
+          message: `Tag "${name}" already exists. Merge into it with POST /api/tags/${tag.id}/merge`,
+          data: { targetId: existing.id }
+        });
+      }
+
+      tasksUpdated = await tagService.renameTag(tag, name, userId);
+    }
+
+    if (req.body.color !== undefined) {
+      await tag.update({ color: req.body.color });
+    }
+
+    logger.info(`Tag updated: ${tag.id} by user: ${userId} (${tasksUpdated} tasks)`);
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: { tag, tasksUpdated }
+    });
+  } catch (error) {
+    logger.error('Error updating tag:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating tag',
+      error: error.message
+    });
+  }
+};
+
+const mergeTag = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const [source, target] = await Promise.all([
+      findOwnTag(req.params.id, userId),
+      findOwnTag(req.body.targetId, userId)
+    ]);
+
+    if (!source || !target) {
+      return tagNotFound(res);
+    }
+
+    if (source.id === target.id) {
+      return res.status(400).json({
+        success: false,
+        message: 'A tag cannot be merged into itself'
+      });
+    }
+
+    const tasksUpdated = await tagService.mergeTags(source, target, userId);
+
+    logger.info(`Tag ${source.id} merged into ${target.id} by user: ${userId} (${tasksUpdated} tasks)`);
+
+    res.json({
+      success: true,
+      message: `Tag "${source.name}" merged into "${target.name}"`,
+      data: { tag: target, tasksUpdated }
+    });
+  } catch (error) {
+    logger.error('Error merging tags:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error merging tags',
+      error: error.message
+    });
+  }
+};
+
+// Deleting a tag removes it from every task
+const deleteTag = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const tag = await findOwnTag(req.params.id, userId);
+
+    if (!tag) {
+      return tagNotFound(res);
+    }
+
+    const tasksUpdated = await tagService.deleteTag(tag, userId);
+
+    logger.info(`Tag deleted: ${tag.id} by user: ${userId} (${tasksUpdated} tasks)`);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully',
+      data: { tasksUpdated }
+    });
+  } catch (error) {
+    logger.error('Error deleting tag:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting tag',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTags,
+  createTag,
+  updateTag,
+  mergeTag,
+  deleteTag
+};
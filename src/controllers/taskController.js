@@ -1,57 +1,94 @@
-const { Task } = require('../models');
-const { Op } = require('sequelize');
 const logger = require('../config/logger');
+const { taskFiltersWhere, findAccessibleTask } = require('../services/taskAccess');
+const { withSubtaskProgress } = require('../services/taskDependencies');
+const { expandOccurrences } = require('../services/recurringTasks');
+const { searchRanking } = require('../services/taskSearch');
+const {
+  resolveSort,
+  selectAttributes,
+  projectTasks,
+  findOffsetPage,
+  findCursorPage
+} = require('../services/taskListing');
+const taskService = require('../services/taskService');
+const { TaskOperationError } = taskService;
+const { getTaskStatistics } = require('../services/taskStatistics');
+const { resolvePeriod } = require('../utils/statistics');
+const { expansionWindow } = require('../utils/recurrence');
 
 const getTasks = async (req, res) => {
   try {
     const userId = req.user.id;
-    const { completed, priority, page = 1, limit = 10, search } = req.query;
+    const {
+      page = 1,
+      limit = 10,
+      sort: sortParam,
+      fields: fieldsParam,
+      cursor,
+      pagination: mode,
+      expand,
+      from,
+      to
+    } = req.query;
+
+    const expansion = expand === 'true' ? expansionWindow({ from, to }) : null;
+
+    if (expansion && expansion.error) {
+      return res.status(400).json({
+        success: false,
+        message: expansion.error
+      });
+    }
 
     // Build filters
-    const where = { userId };
+    const where = await taskFiltersWhere(userId, req.query);
 
-    if (completed !== undefined) {
-      where.completed = completed === 'true';
+    if (!where) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
     }
 
-    if (priority) {
-      where.priority = priority;
-    }
+    const sort = resolveSort(sortParam);
+    const fields = fieldsParam ? fieldsParam.split(',').map(f => f.trim()) : null;
+
+    // Text searches include the relevance and highlights
+    const ranking = req.query.search ? searchRanking(req.query.search) : null;
+    const attributes = selectAttributes(fields, sort, ranking);
+
+    // Cursor mode starts with ?pagination=cursor and continues with ?cursor=
+    const { rows, pagination } = cursor !== undefined || mode === 'cursor'
+      ? await findCursorPage({ where, sort, attributes, cursor, limit: parseInt(limit) })
+      : await findOffsetPage({
+        where,
+        sort,
+        explicitSort: Boolean(sortParam),
+        ranking,
+        attributes,
+        page: parseInt(page),
+        limit: parseInt(limit)
+      });
 
-    if (search) {
-      where[Op.or] = [
-        { title: { [Op.iLike]: `%${search}%` } },
-        { description: { [Op.iLike]: `%${search}%` } }
-      ];
+    // Upcoming occurrences of recurring tasks, computed without persisting
+    let occurrences;
+    if (expansion) {
+      occurrences = await expandOccurrences(where, expansion.from, expansion.to);
     }
 
-    // Pagination
-    const offset = (page - 1) * limit;
-
-    const { count, rows } = await Task.findAndCountAll({
-      where,
-      limit: parseInt(limit),
-      offset: parseInt(offset),
-      order: [
-        ['completed', 'ASC'],
-        ['dueDate', 'ASC'],
-        ['createdAt', 'DESC']
-      ]
-    });
-
     res.json({
       success: true,
       data: {
-        tasks: rows,
-        pagination: {
-          total: count,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          totalPages: Math.ceil(count / limit)
-        }
+        tasks: await projectTasks(rows, fields),
+        ...(occurrences && { occurrences }),
+        pagination
       }
     });
   } catch (error) {
+    if (error instanceof TaskOperationError) {
+      return sendOperationError(res, error);
+    }
+
     logger.error('Error getting tasks:', error);
     res.status(500).json({
       success: false,
@@ -66,17 +103,17 @@ const getTask = async (req, res) => {
     const { id } = req.params;
     const userId = req.user.id;
 
-    const task = await Task.findOne({
-      where: { id, userId }
-    });
+    const access = await findAccessibleTask(id, userId);
 
-    if (!task) {
+    if (!access) {
       return res.status(404).json({
         success: false,
         message: 'Task not found'
       });
     }
 
+    const [task] = await withSubtaskProgress([access.task]);
+
     res.json({
       success: true,
       data: { task }
@@ -91,21 +128,18 @@ const getTask = async (req, res) => {
   }
 };
 
+// Answer with the status of a failed business rule
+const sendOperationError = (res, error) => {
+  return res.status(error.status).json({
+    success: false,
+    message: error.message,
+    ...(error.data && { data: error.data })
+  });
+};
+
 const createTask = async (req, res) => {
   try {
-    const { title, description, dueDate, priority, tags } = req.body;
-    const userId = req.user.id;
-
-    const task = await Task.create({
-      title,
-      description,
-      dueDate,
-      priority,
-      tags,
-      userId
-    });
-
-    logger.info(`Task created: ${task.id} by user: ${userId}`);
+    const task = await taskService.createTask(req.user.id, req.body);
 
     res.status(201).json({
       success: true,
@@ -113,6 +147,10 @@ const createTask = async (req, res) => {
       data: { task }
     });
   } catch (error) {
+    if (error instanceof TaskOperationError) {
+      return sendOperationError(res, error);
+    }
+
     logger.error('Error creating task:', error);
 
     if (error.name === 'SequelizeValidationError') {
@@ -133,38 +171,21 @@ const createTask = async (req, res) => {
 
 const updateTask = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
-    const { title, description, completed, dueDate, priority, tags } = req.body;
-
-    // Verify task exists and belongs to user
-    const task = await Task.findOne({ where: { id, userId } });
-
-    if (!task) {
-      return res.status(404).json({
-        success: false,
-        message: 'Task not found'
-      });
-    }
-
-    // Update task
-    await task.update({
-      title,
-      description,
-      completed,
-      dueDate,
-      priority,
-      tags
-    });
-
-    logger.info(`Task updated: ${id} by user: ${userId}`);
+    const { task, nextTask } = await taskService.updateTask(req.user.id, req.params.id, req.body);
 
     res.json({
       success: true,
       message: 'Task updated successfully',
-      data: { task }
+      data: {
+        task,
+        ...(nextTask && { nextOccurrence: nextTask })
+      }
     });
   } catch (error) {
+    if (error instanceof TaskOperationError) {
+      return sendOperationError(res, error);
+    }
+
     logger.error('Error updating task:', error);
 
     if (error.name === 'SequelizeValidationError') {
@@ -183,31 +204,55 @@ const updateTask = async (req, res) => {
   }
 };
 
-const deleteTask = async (req, res) => {
+const moveTask = async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id;
+    const { status, position, force } = req.body;
+    const { task, nextTask } = await taskService.moveTask(req.user.id, req.params.id, { status, position, force });
 
-    // Verify task exists and belongs to user
-    const task = await Task.findOne({ where: { id, userId } });
+    res.json({
+      success: true,
+      message: 'Task moved successfully',
+      data: {
+        task,
+        ...(nextTask && { nextOccurrence: nextTask })
+      }
+    });
+  } catch (error) {
+    if (error instanceof TaskOperationError) {
+      return sendOperationError(res, error);
+    }
 
-    if (!task) {
-      return res.status(404).json({
+    logger.error('Error moving task:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
         success: false,
-        message: 'Task not found'
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
       });
     }
 
-    // Delete task
-    await task.destroy();
+    res.status(500).json({
+      success: false,
+      message: 'Error moving task',
+      error: error.message
+    });
+  }
+};
 
-    logger.info(`Task deleted: ${id} by user: ${userId}`);
+const deleteTask = async (req, res) => {
+  try {
+    await taskService.deleteTask(req.user.id, req.params.id);
 
     res.json({
       success: true,
-      message: 'Task deleted successfully'
+      message: 'Task moved to trash'
     });
   } catch (error) {
+    if (error instanceof TaskOperationError) {
+      return sendOperationError(res, error);
+    }
+
     logger.error('Error deleting task:', error);
     res.status(500).json({
       success: false,
@@ -220,31 +265,21 @@ const deleteTask = async (req, res) => {
 const getStatistics = async (req, res) => {
   try {
     const userId = req.user.id;
+    const { groupBy = 'day' } = req.query;
+    const { from, to, error } = resolvePeriod(req.query);
 
-    const total = await Task.count({ where: { userId } });
-    const completed = await Task.count({ where: { userId, completed: true } });
-    const pending = await Task.count({ where: { userId, completed: false } });
-
-    const byPriority = await Task.findAll({
-      where: { userId },
-      attributes: [
-        'priority',
-        [Task.sequelize.fn('COUNT', Task.sequelize.col('id')), 'count']
-      ],
-      group: ['priority']
-    });
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const statistics = await getTaskStatistics(userId, { from, to, groupBy });
 
     res.json({
       success: true,
-      data: {
-        total,
-        completed,
-        pending,
-        byPriority: byPriority.reduce((acc, item) => {
-          acc[item.priority] = parseInt(item.get('count'));
-          return acc;
-        }, {})
-      }
+      data: statistics
     });
   } catch (error) {
     logger.error('Error getting statistics:', error);
@@ -261,6 +296,7 @@ module.exports = {
   getTask,
   createTask,
   updateTask,
+  moveTask,
   deleteTask,
   getStatistics
 };
\ No newline at end of file
@@ -0,0 +1,112 @@
+const logger = require('../config/logger');
+const {
+  FORMATS,
+  IMPORT_MAX_ROWS,
+  ImportError,
+  exportTasks: streamExport,
+  parseImport,
+  importTasks: runImport
+} = require('../services/taskTransfer');
+
+const exportTasks = async (req, res) => {
+  const userId = req.user.id;
+  const format = req.query.format || 'json';
+
+  try {
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.status(200);
+    res.set({
+      'Content-Type': FORMATS[format].contentType,
+      'Content-Disposition': `attachment; filename="tasks-${date}.${format}"`
+    });
+
+    const count = await streamExport(userId, format, res);
+
+    logger.info(`Exported ${count} tasks as ${format} for user: ${userId}`);
+  } catch (error) {
+    logger.error('Error exporting tasks:', error);
+
+    // Once streaming started the status line is gone; cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error exporting tasks',
+      error: error.message
+    });
+  }
+};
+
+const importTasks = async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const dryRun = req.query.dryRun === true;
+    const contentType = req.is(['application/json', 'text/csv', 'application/x-ndjson']);
+
+    if (!contentType) {
+      return res.status(415).json({
+        success: false,
+        message: 'Send the import as application/json, text/csv or application/x-ndjson'
+      });
+    }
+
+    const format = { 'application/json': 'json', 'text/csv': 'csv' }[contentType] || 'ndjson';
+    const rows = parseImport(format, req.body);
+
+    if (rows.length === 0 || rows.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json({
+        success: false,
+        message: `An import must have between 1 and ${IMPORT_MAX_ROWS} rows`
+      });
+    }
+
+    const { results, summary } = await runImport(userId, rows, {
+      fromCsv: format === 'csv',
+      dryRun
+    });
+
+    logger.info(`Import of ${rows.length} rows by user: ${userId} (${dryRun ? 'dry run' : `${summary.created} created`})`);
+
+    let status = 200;
+    if (!dryRun) {
+      status = summary.invalid > 0 ? 207 : 201;
+    }
+
+    res.status(status).json({
+      success: summary.invalid === 0,
+      message: dryRun
+        ? `Dry run: ${summary.valid} of ${summary.total} rows would be imported`
+        : `${summary.created} of ${summary.total} rows imported`,
+      data: { dryRun, summary, results }
+    });
+  } catch (error) {
+    if (error instanceof ImportError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return res.status(409).json({
+        success: false,
+        message: 'Another import created some of these external IDs, nothing was imported'
+      });
+    }
+
+    logger.error('Error importing tasks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error importing tasks',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  exportTasks,
+  importTasks
+};
@@ -0,0 +1,166 @@
+const { Task } = require('../models');
+const { Op } = require('sequelize');
+const logger = require('../config/logger');
+const { readableTasksWhere, findAccessibleTask } = require('../services/taskAccess');
+const { RETENTION_DAYS, restoreTask, purgeTask, purgeTrashed } = require('../services/trashService');
+const { emitTaskEvent } = require('../services/taskEvents');
+
+const getTrash = async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+
+    const where = {
+      [Op.and]: [await readableTasksWhere(req.user.id)],
+      deletedAt: { [Op.ne]: null }
+    };
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await Task.findAndCountAll({
+      where,
+      paranoid: false,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['deletedAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        tasks: rows,
+        retentionDays: RETENTION_DAYS,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting trash',
+      error: error.message
+    });
+  }
+};
+
+// Load a trashed task the user may change, or answer with an error
+const findTrashedTask = async (req, res) => {
+  const access = await findAccessibleTask(req.params.id, req.user.id, { paranoid: false });
+
+  if (!access || !access.task.deletedAt) {
+    res.status(404).json({
+      success: false,
+      message: 'Task not found in trash'
+    });
+    return null;
+  }
+
+  if (!access.canWrite) {
+    res.status(403).json({
+      success: false,
+      message: 'You do not have permission to modify this task'
+    });
+    return null;
+  }
+
+  return access.task;
+};
+
+const restoreTrashedTask = async (req, res) => {
+  try {
+    const task = await findTrashedTask(req, res);
+
+    if (!task) {
+      return;
+    }
+
+    // A subtask cannot come back while its parent is still trashed
+    if (task.parentId) {
+      const parent = await Task.findByPk(task.parentId);
+      if (!parent) {
+        return res.status(409).json({
+          success: false,
+          message: 'Restore the parent task first'
+        });
+      }
+    }
+
+    await restoreTask(task, req.user.id);
+
+    logger.info(`Task restored: ${task.id} by user: ${req.user.id}`);
+    emitTaskEvent('task.restored', task, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Task restored successfully',
+      data: { task }
+    });
+  } catch (error) {
+    logger.error('Error restoring task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error restoring task',
+      error: error.message
+    });
+  }
+};
+
+const purgeTrashedTask = async (req, res) => {
+  try {
+    const task = await findTrashedTask(req, res);
+
+    if (!task) {
+      return;
+    }
+
+    await purgeTask(task, req.user.id);
+
+    logger.info(`Task purged: ${task.id} by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Task deleted permanently'
+    });
+  } catch (error) {
+    logger.error('Error purging task:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error purging task',
+      error: error.message
+    });
+  }
+};
+
+// Only the user's personal tasks: trashed project tasks are purged one by
+// one by members with a write role
+const emptyTrash = async (req, res) => {
+  try {
+    const count = await purgeTrashed({ userId: req.user.id, projectId: null }, req.user.id);
+
+    logger.info(`Trash emptied by user: ${req.user.id} (${count} tasks)`);
+
+    res.json({
+      success: true,
+      message: 'Trash emptied successfully',
+      data: { deleted: count }
+    });
+  } catch (error) {
+    logger.error('Error emptying trash:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error emptying trash',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTrash,
+  restoreTrashedTask,
+  purgeTrashedTask,
+  emptyTrash
+};
@@ -0,0 +1,174 @@
+const { User } = require('../models');
+const {
+  TwoFactorError,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  resetTwoFactor
+} = require('../services/twoFactorService');
+const logger = require('../config/logger');
+
+const invalidCode = (res) => res.status(401).json({
+  success: false,
+  message: 'Invalid two-factor code'
+});
+
+const notEnabled = (res) => res.status(409).json({
+  success: false,
+  message: 'Two-factor authentication is not enabled'
+});
+
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const { twoFactorEnabledAt } = req.user;
+
+    res.json({
+      success: true,
+      data: {
+        enabled: Boolean(twoFactorEnabledAt),
+        enabledAt: twoFactorEnabledAt,
+        recoveryCodesRemaining: twoFactorEnabledAt ? await countRecoveryCodes(req.user.id) : 0
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting two-factor status:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting two-factor status',
+      error: error.message
+    });
+  }
+};
+
+// Returns the secret to add to an authenticator app; nothing changes at
+// login until it is confirmed with /enable
+const setupTwoFactor = async (req, res) => {
+  try {
+    const { secret, otpauthUri } = await startEnrollment(req.user);
+
+    res.json({
+      success: true,
+      message: 'Scan the URI with your authenticator app, then confirm with a code',
+      data: { secret, otpauthUri }
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Error setting up two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error setting up two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+const enableTwoFactor = async (req, res) => {
+  try {
+    const recoveryCodes = await confirmEnrollment(req.user, req.body.code);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe: they are shown only once',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    if (error instanceof TwoFactorError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    logger.error('Error enabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error enabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+// Invalidates the previous recovery codes
+const regenerateCodes = async (req, res) => {
+  try {
+    if (!req.user.twoFactorEnabledAt) {
+      return notEnabled(res);
+    }
+
+    if (!(await verifySecondFactor(req.user, req.body.code))) {
+      return invalidCode(res);
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+
+    logger.info(`Recovery codes regenerated for user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'New recovery codes generated. The previous ones no longer work',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    logger.error('Error regenerating recovery codes:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error regenerating recovery codes',
+      error: error.message
+    });
+  }
+};
+
+// Needs the password and a current code, so a stolen session alone cannot
+// turn it off
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!req.user.twoFactorEnabledAt) {
+      return notEnabled(res);
+    }
+
+    const user = await User.findByPk(req.user.id);
+
+    if (!(await user.validatePassword(password))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Password is incorrect'
+      });
+    }
+
+    if (!(await verifySecondFactor(req.user, code))) {
+      return invalidCode(res);
+    }
+
+    await resetTwoFactor(req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
+  } catch (error) {
+    logger.error('Error disabling two-factor authentication:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error disabling two-factor authentication',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateCodes,
+  disableTwoFactor
+};
@@ -0,0 +1,256 @@
+const { Webhook, WebhookDelivery } = require('../models');
+const { generateSecret } = require('../utils/webhookSignature');
+const logger = require('../config/logger');
+
+// Load a webhook owned by the current user
+const findOwnWebhook = (id, userId) => Webhook.findOne({ where: { id, userId } });
+
+const getWebhooks = async (req, res) => {
+  try {
+    const webhooks = await Webhook.findAll({
+      where: { userId: req.user.id },
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: { webhooks }
+    });
+  } catch (error) {
+    logger.error('Error getting webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting webhooks',
+      error: error.message
+    });
+  }
+};
+
+const getWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { webhook }
+    });
+  } catch (error) {
+    logger.error('Error getting webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting webhook',
+      error: error.message
+    });
+  }
+};
+
+const createWebhook = async (req, res) => {
+  try {
+    const { url, events, description } = req.body;
+    const secret = generateSecret();
+
+    const webhook = await Webhook.create({
+      userId: req.user.id,
+      url,
+      events,
+      description,
+      secret
+    });
+
+    logger.info(`Webhook created: ${webhook.id} by user: ${req.user.id}`);
+
+    // The secret is only returned here and when rotated
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: {
+        webhook,
+        secret
+      }
+    });
+  } catch (error) {
+    logger.error('Error creating webhook:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error creating webhook',
+      error: error.message
+    });
+  }
+};
+
+const updateWebhook = async (req, res) => {
+  try {
+    const { url, events, description, active } = req.body;
+
+    const webhook = await findOwnWebhook(req.params.id, req.user.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await webhook.update({ url, events, description, active });
+
+    logger.info(`Webhook updated: ${webhook.id} by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: { webhook }
+    });
+  } catch (error) {
+    logger.error('Error updating webhook:', error);
+
+    if (error.name === 'SequelizeValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation error',
+        errors: error.errors.map(e => e.message)
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Error updating webhook',
+      error: error.message
+    });
+  }
+};
+
+const deleteWebhook = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    await webhook.destroy();
+
+    logger.info(`Webhook deleted: ${req.params.id} by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Webhook deleted successfully'
+    });
+  } catch (error) {
+    logger.error('Error deleting webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error deleting webhook',
+      error: error.message
+    });
+  }
+};
+
+const rotateSecret = async (req, res) => {
+  try {
+    const webhook = await findOwnWebhook(req.params.id, req.user.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const secret = generateSecret();
+    await webhook.update({ secret });
+
+    logger.info(`Webhook secret rotated: ${webhook.id} by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Secret rotated successfully',
+      data: { secret }
+    });
+  } catch (error) {
+    logger.error('Error rotating webhook secret:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error rotating webhook secret',
+      error: error.message
+    });
+  }
+};
+
+const getDeliveries = async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+
+    const webhook = await findOwnWebhook(req.params.id, req.user.id);
+
+    if (!webhook) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+
+    const where = { webhookId: webhook.id };
+
+    if (status) {
+      where.status = status;
+    }
+
+    const offset = (page - 1) * limit;
+
+    const { count, rows } = await WebhookDelivery.findAndCountAll({
+      where,
+      limit: parseInt(limit),
+      offset: parseInt(offset),
+      order: [['createdAt', 'DESC']]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        deliveries: rows,
+        pagination: {
+          total: count,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          totalPages: Math.ceil(count / limit)
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting webhook deliveries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting webhook deliveries',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  getDeliveries
+};
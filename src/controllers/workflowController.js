@@ -0,0 +1,68 @@
+const { WorkflowStatus } = require('../models');
+const logger = require('../config/logger');
+const { TaskOperationError } = require('../services/taskService');
+const { statusUsage, replaceWorkflow } = require('../services/workflowService');
+
+// The project board under /api/projects/:id/workflow, the user's personal
+// board under /api/workflow
+const boardOf = (req) => (req.project ? { projectId: req.project.id } : { userId: req.user.id });
+
+const getWorkflow = async (req, res) => {
+  try {
+    const board = boardOf(req);
+    const [statuses, usage] = await Promise.all([
+      WorkflowStatus.forBoard(board),
+      statusUsage(board)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        statuses: statuses.map(status => ({ ...status.toJSON(), taskCount: usage[status.key] || 0 }))
+      }
+    });
+  } catch (error) {
+    logger.error('Error getting workflow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error getting workflow',
+      error: error.message
+    });
+  }
+};
+
+// Replaces the whole list of statuses
+const updateWorkflow = async (req, res) => {
+  try {
+    const board = boardOf(req);
+    const statuses = await replaceWorkflow(board, req.body.statuses, req.body.remap);
+
+    logger.info(`Workflow updated for ${board.projectId ? `project ${board.projectId}` : `user ${board.userId}`} by user: ${req.user.id}`);
+
+    res.json({
+      success: true,
+      message: 'Workflow updated successfully',
+      data: { statuses }
+    });
+  } catch (error) {
+    if (error instanceof TaskOperationError) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+        ...(error.data && { data: error.data })
+      });
+    }
+
+    logger.error('Error updating workflow:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating workflow',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getWorkflow,
+  updateWorkflow
+};
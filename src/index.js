@@ -12,6 +12,7 @@ require('express-async-errors'); // Automatic async error handling
 
 // Import logger
 const logger = require('./config/logger');
+const { redactUrl } = require('./utils/redactUrl');
 
 // Import configuration and models
 const { sequelize, connectWithRetry } = require('./config/database');
@@ -20,13 +21,39 @@ require('./models'); // Load models and relations
 // Import routes
 const authRoutes = require('./routes/authRoutes');
 const taskRoutes = require('./routes/taskRoutes');
+const adminRoutes = require('./routes/adminRoutes');
+const { createRateLimitStore } = require('./services/rateLimitStore');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const projectRoutes = require('./routes/projectRoutes');
+const notificationRoutes = require('./routes/notificationRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const tagRoutes = require('./routes/tagRoutes');
+const workflowRoutes = require('./routes/workflowRoutes');
 
 // Import middlewares
 const errorHandler = require('./middlewares/errorHandler');
 
+// Import background jobs
+const { registerJobs } = require('./services/jobs');
+const { startScheduler, stopScheduler } = require('./services/scheduler');
+
+// Task event subscribers
+const { subscribeWebhooks } = require('./services/webhookService');
+const { subscribeTaskStream } = require('./services/taskStream');
+subscribeWebhooks();
+subscribeTaskStream();
+
 // Create Express application
 const app = express();
 
+// Behind a load balancer, rate limits and API key usage need the client IP
+// from X-Forwarded-For: set TRUST_PROXY to the number of proxies (or their
+// addresses)
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
 // Swagger configuration
 const swaggerOptions = {
   definition: {
@@ -62,6 +89,12 @@ const swaggerOptions = {
           scheme: 'bearer',
           bearerFormat: 'JWT',
           description: 'Enter JWT token'
+        },
+        apiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'Personal API key, limited to its scopes'
         }
       },
       responses: {
@@ -84,6 +117,26 @@ const swaggerOptions = {
       {
         name: 'Tasks',
         description: 'Task CRUD operations'
+      },
+      {
+        name: 'Projects',
+        description: 'Projects that group and share tasks'
+      },
+      {
+        name: 'Notifications',
+        description: 'Reminders and notification deliveries'
+      },
+      {
+        name: 'Webhooks',
+        description: 'Outgoing webhooks for task events'
+      },
+      {
+        name: 'Tags',
+        description: 'Tag catalogue: colors, rename, merge and usage'
+      },
+      {
+        name: 'Admin',
+        description: 'User management for administrators'
       }
     ]
   },
@@ -92,17 +145,20 @@ const swaggerOptions = {
 
 const swaggerSpec = swaggerJsdoc(swaggerOptions);
 
-// Rate limiting configuration
+// Rate limiting configuration. Counters live in RATE_LIMIT_STORE
+// (memory or postgres, shared by every replica).
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit 100 requests per IP
-  message: 'Too many requests from this IP, please try again later'
+  message: 'Too many requests from this IP, please try again later',
+  store: createRateLimitStore('api')
 });
 
 const authLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 5, // Only 5 login attempts every 15 minutes
-  skipSuccessfulRequests: true
+  skipSuccessfulRequests: true,
+  store: createRateLimitStore('auth')
 });
 
 // Global middlewares
@@ -117,13 +173,18 @@ app.use(cors({
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Logging with Winston
+// Logging with Winston. Query-string credentials are redacted from :url.
+morgan.token('url', (req) => redactUrl(req.originalUrl || req.url));
 app.use(morgan('combined', { stream: logger.stream }));
 
 // Rate limiting
 app.use('/api/', limiter);
 app.use('/api/auth/login', authLimiter);
-app.use('/api/auth/registro', authLimiter);
+app.use('/api/auth/2fa/verify', authLimiter);
+app.use('/api/auth/register', authLimiter);
+app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/verify-email/resend', authLimiter);
+app.use('/api/auth/unlock', authLimiter);
 
 // Health check
 app.get('/health', async (req, res) => {
@@ -158,7 +219,20 @@ app.get('/', (req, res) => {
       auth: {
         register: 'POST /api/auth/register',
         login: 'POST /api/auth/login',
-        profile: 'GET /api/auth/profile'
+        verifyTwoFactor: 'POST /api/auth/2fa/verify',
+        refresh: 'POST /api/auth/refresh',
+        logout: 'POST /api/auth/logout',
+        profile: 'GET /api/auth/profile',
+        sessions: 'GET /api/auth/sessions',
+        revokeSession: 'DELETE /api/auth/sessions/:id',
+        logoutEverywhere: 'DELETE /api/auth/sessions',
+        changePassword: 'PUT /api/auth/password',
+        forgotPassword: 'POST /api/auth/forgot-password',
+        resetPassword: 'POST /api/auth/reset-password',
+        verifyEmail: 'POST /api/auth/verify-email',
+        resendVerification: 'POST /api/auth/verify-email/resend',
+        unlock: 'POST /api/auth/unlock',
+        twoFactor: 'GET /api/auth/2fa'
       },
       tasks: {
         list: 'GET /api/tasks',
@@ -166,7 +240,63 @@ app.get('/', (req, res) => {
         create: 'POST /api/tasks',
         update: 'PUT /api/tasks/:id',
         delete: 'DELETE /api/tasks/:id',
-        statistics: 'GET /api/tasks/statistics'
+        statistics: 'GET /api/tasks/statistics',
+        stream: 'GET /api/tasks/stream',
+        export: 'GET /api/tasks/export?format=csv|json|ndjson',
+        import: 'POST /api/tasks/import',
+        calendar: 'GET /api/tasks/calendar.ics?token=...',
+        comments: 'GET /api/tasks/:id/comments',
+        activity: 'GET /api/tasks/:id/activity',
+        attachments: 'GET /api/tasks/:id/attachments'
+      },
+      projects: {
+        list: 'GET /api/projects',
+        get: 'GET /api/projects/:id',
+        create: 'POST /api/projects',
+        update: 'PUT /api/projects/:id',
+        delete: 'DELETE /api/projects/:id',
+        members: 'GET /api/projects/:id/members'
+      },
+      notifications: {
+        list: 'GET /api/notifications',
+        readAll: 'POST /api/notifications/read-all',
+        reminders: 'GET /api/tasks/:id/reminders',
+        deliveries: 'GET /api/notifications/deliveries'
+      },
+      webhooks: {
+        list: 'GET /api/webhooks',
+        create: 'POST /api/webhooks',
+        update: 'PUT /api/webhooks/:id',
+        delete: 'DELETE /api/webhooks/:id',
+        deliveries: 'GET /api/webhooks/:id/deliveries'
+      },
+      tags: {
+        list: 'GET /api/tags',
+        create: 'POST /api/tags',
+        update: 'PUT /api/tags/:id',
+        merge: 'POST /api/tags/:id/merge',
+        delete: 'DELETE /api/tags/:id'
+      },
+      workflow: {
+        get: 'GET /api/workflow',
+        update: 'PUT /api/workflow',
+        project: 'GET /api/projects/:id/workflow',
+        move: 'POST /api/tasks/:id/move'
+      },
+      apiKeys: {
+        list: 'GET /api/api-keys',
+        create: 'POST /api/api-keys',
+        revoke: 'DELETE /api/api-keys/:id'
+      },
+      admin: {
+        users: 'GET /api/admin/users',
+        user: 'GET /api/admin/users/:id',
+        deactivate: 'PATCH /api/admin/users/:id/deactivate',
+        reactivate: 'PATCH /api/admin/users/:id/reactivate',
+        role: 'PATCH /api/admin/users/:id/role',
+        resetPassword: 'POST /api/admin/users/:id/reset-password',
+        unlock: 'PATCH /api/admin/users/:id/unlock',
+        resetTwoFactor: 'DELETE /api/admin/users/:id/two-factor'
       }
     }
   });
@@ -188,6 +318,13 @@ app.get('/api-docs.json', (req, res) => {
 // API routes
 app.use('/api/auth', authRoutes);
 app.use('/api/tasks', taskRoutes);
+app.use('/api/projects', projectRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/workflow', workflowRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Handle 404 routes
 app.use((req, res) => {
@@ -215,6 +352,12 @@ const startServer = async () => {
       logger.info('Database synchronized');
     }
 
+    // Start background jobs (reminders, digests, retries)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+      registerJobs();
+      startScheduler();
+    }
+
     // Start server
     const PORT = process.env.PORT || 3000;
     const server = app.listen(PORT, '0.0.0.0', () => {
@@ -229,6 +372,7 @@ const startServer = async () => {
     // Graceful shutdown handling
     const gracefulShutdown = (signal) => {
       logger.info(`${signal} received, closing server...`);
+      stopScheduler();
       server.close(async () => {
         logger.info('HTTP server closed');
         try {
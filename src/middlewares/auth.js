@@ -1,12 +1,59 @@
 const { verificarToken } = require('../utils/jwt');
 const { User } = require('../models');
+const { findActiveSession, touchSession } = require('../services/sessionService');
+const { findUserByFeedToken } = require('../services/calendarFeed');
+const { authenticateApiKey } = require('../services/apiKeyService');
+const { isApiKey, requiredScope, hasScope } = require('../utils/apiKeys');
+const { hasRole } = require('../utils/roles');
 const logger = require('../config/logger');
 
+// Authenticate with a personal API key, limited to its scopes
+const protectWithApiKey = async (req, res, next, key) => {
+  const result = await authenticateApiKey(key, req.ip);
+
+  if (!result || !result.user) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid, expired or revoked API key'
+    });
+  }
+
+  if (!result.user.active) {
+    return res.status(403).json({
+      success: false,
+      message: 'User inactive. Contact administrator'
+    });
+  }
+
+  const scope = requiredScope(req.method, req.baseUrl);
+
+  if (!hasScope(result.apiKey.scopes, scope)) {
+    return res.status(403).json({
+      success: false,
+      message: scope
+        ? `API key lacks the ${scope} scope`
+        : 'API keys cannot be used for this endpoint. Log in instead'
+    });
+  }
+
+  req.user = result.user;
+  req.apiKey = result.apiKey;
+  next();
+};
+
 const protectRoute = async (req, res, next) => {
   try {
     // Get token from header
     const authHeader = req.headers.authorization;
 
+    // API keys come in X-API-Key or as a Bearer token with their prefix
+    const bearer = authHeader && authHeader.startsWith('Bearer ') ? authHeader.split(' ')[1] : null;
+    const apiKey = req.headers['x-api-key'] || (isApiKey(bearer) ? bearer : null);
+
+    if (apiKey) {
+      return await protectWithApiKey(req, res, next, apiKey);
+    }
+
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({
         success: false,
@@ -32,8 +79,28 @@ const protectRoute = async (req, res, next) => {
       });
     }
 
-    // Add user to request
+    if (!user.active) {
+      return res.status(403).json({
+        success: false,
+        message: 'User inactive. Contact administrator'
+      });
+    }
+
+    // Reject tokens whose session was revoked or has expired
+    const session = decoded.sid && await findActiveSession(decoded.sid);
+
+    if (!session || session.userId !== user.id) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session revoked. Please log in again'
+      });
+    }
+
+    await touchSession(session, req.ip);
+
+    // Add user and session to request
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (error) {
     logger.error('Authentication error:', error.message);
@@ -59,6 +126,38 @@ const protectRoute = async (req, res, next) => {
   }
 };
 
+// Browsers' EventSource cannot send headers: accept ?access_token= as a
+// Bearer token. Only mount it on streaming endpoints.
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers.authorization && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+// Authenticate calendar feeds with the secret ?token= of their URL
+const protectFeed = async (req, res, next) => {
+  try {
+    const user = await findUserByFeedToken(req.query.token);
+
+    if (!user || !user.active) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or revoked feed token'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    logger.error('Feed authentication error:', error.message);
+    return res.status(401).json({
+      success: false,
+      message: 'Unauthorized'
+    });
+  }
+};
+
 // Optional middleware to verify roles
 const verifyRole = (...allowedRoles) => {
   return (req, res, next) => {
@@ -69,7 +168,7 @@ const verifyRole = (...allowedRoles) => {
       });
     }
 
-    if (req.user.role && allowedRoles.includes(req.user.role)) {
+    if (hasRole(req.user, allowedRoles)) {
       next();
     } else {
       return res.status(403).json({
@@ -80,4 +179,4 @@ const verifyRole = (...allowedRoles) => {
   };
 };
 
-module.exports = { protectRoute, verifyRole };
\ No newline at end of file
+module.exports = { protectRoute, tokenFromQuery, protectFeed, verifyRole };
\ No newline at end of file
@@ -0,0 +1,34 @@
+const { Project, ProjectMember } = require('../models');
+
+// Load the project in req.params.id and check the user's membership role.
+// Sets req.project and req.projectRole for the controllers.
+const requireProjectRole = (...allowedRoles) => {
+  return async (req, res, next) => {
+    const project = await Project.findByPk(req.params.id);
+
+    const membership = project && await ProjectMember.findOne({
+      where: { projectId: project.id, userId: req.user.id }
+    });
+
+    // Non-members cannot tell whether the project exists
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    if (allowedRoles.length > 0 && !allowedRoles.includes(membership.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have permission to access this resource'
+      });
+    }
+
+    req.project = project;
+    req.projectRole = membership.role;
+    next();
+  };
+};
+
+module.exports = { requireProjectRole };
@@ -11,4 +11,14 @@ const validarCampos = (req, res, next) => {
   next();
 };
 
-module.exports = { validarCampos };
\ No newline at end of file
+// Run validation chains against a plain object instead of the request,
+// e.g. each item of a bulk request. Returns the list of errors.
+const validarObjeto = async (rules, data) => {
+  const req = { body: data };
+  for (const rule of rules) {
+    await rule.run(req);
+  }
+  return validationResult(req).array();
+};
+
+module.exports = { validarCampos, validarObjeto };
\ No newline at end of file
@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Single-use tokens mailed to a user (password reset, email verification,
+// account unlock).
+// Only the SHA-256 of the token is stored.
+const AccountToken = sequelize.define('AccountToken', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  purpose: {
+    type: DataTypes.ENUM('password_reset', 'email_verification', 'account_unlock'),
+    allowNull: false
+  },
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  // Set when the token is redeemed or superseded by a newer one
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'account_tokens',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['userId', 'purpose']
+    }
+  ]
+});
+
+module.exports = AccountToken;
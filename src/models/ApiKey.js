@@ -0,0 +1,88 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { SCOPES } = require('../utils/apiKeys');
+
+// Personal API keys for scripts and CI. Only the SHA-256 of the key is
+// stored; `prefix` is kept so users can tell their keys apart.
+const ApiKey = sequelize.define('ApiKey', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Name cannot be empty'
+      }
+    }
+  },
+  prefix: {
+    type: DataTypes.STRING(12),
+    allowNull: false
+  },
+  keyHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  scopes: {
+    type: DataTypes.ARRAY(DataTypes.STRING(30)),
+    allowNull: false,
+    validate: {
+      known(value) {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error('At least one scope is required');
+        }
+
+        const unknown = value.filter(scope => !SCOPES.includes(scope));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown scopes: ${unknown.join(', ')}`);
+        }
+      }
+    }
+  },
+  // NULL never expires
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  lastUsedIp: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'api_keys',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+ApiKey.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.keyHash;
+  return values;
+};
+
+module.exports = ApiKey;
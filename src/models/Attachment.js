@@ -0,0 +1,78 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A file attached to a task. The contents live in the storage backend
+// under storageKey; taskId becomes NULL when the task is purged, which
+// marks the file for cleanup.
+const Attachment = sequelize.define('Attachment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tasks',
+      key: 'id'
+    }
+  },
+  // Uploader; the file counts against their quota
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  filename: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  // Sniffed from the contents, not taken from the client
+  mimeType: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.BIGINT,
+    allowNull: false,
+    get() {
+      const value = this.getDataValue('size');
+      return value === null || value === undefined ? value : Number(value);
+    }
+  },
+  // Hex SHA-256 of the contents
+  checksum: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  storageKey: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  }
+}, {
+  tableName: 'attachments',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['taskId']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+// The storage key is internal
+Attachment.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.storageKey;
+  return values;
+};
+
+module.exports = Attachment;
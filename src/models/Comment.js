@@ -0,0 +1,59 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const COMMENT_MAX_LENGTH = 10000;
+
+// Discussion on a task. The body is Markdown, stored as written.
+const Comment = sequelize.define('Comment', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'tasks',
+      key: 'id'
+    }
+  },
+  authorId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  body: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Comment cannot be empty'
+      },
+      len: {
+        args: [1, COMMENT_MAX_LENGTH],
+        msg: `Comment cannot exceed ${COMMENT_MAX_LENGTH} characters`
+      }
+    }
+  },
+  // Set when the author edits the body
+  editedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'comments',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['taskId', 'createdAt']
+    }
+  ]
+});
+
+Comment.MAX_LENGTH = COMMENT_MAX_LENGTH;
+
+module.exports = Comment;
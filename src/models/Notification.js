@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// In-app notifications, e.g. being @mentioned in a comment
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  type: {
+    type: DataTypes.ENUM('mention'),
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tasks',
+      key: 'id'
+    }
+  },
+  commentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'comments',
+      key: 'id'
+    }
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notifications',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      fields: ['userId', 'readAt']
+    }
+  ]
+});
+
+module.exports = Notification;
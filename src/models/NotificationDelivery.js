@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// One row per notification sent through a delivery channel, with its
+// retry state. `dedupeKey` stops the same notification being queued twice.
+const NotificationDelivery = sequelize.define('NotificationDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  reminderId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'reminders',
+      key: 'id'
+    }
+  },
+  kind: {
+    type: DataTypes.ENUM('reminder', 'digest'),
+    allowNull: false
+  },
+  channel: {
+    type: DataTypes.STRING(20),
+    allowNull: false
+  },
+  target: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  dedupeKey: {
+    type: DataTypes.STRING,
+    allowNull: true,
+    unique: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'notification_deliveries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    },
+    {
+      fields: ['status', 'nextAttemptAt']
+    }
+  ]
+});
+
+module.exports = NotificationDelivery;
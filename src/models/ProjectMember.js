@@ -0,0 +1,50 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Roles ordered from most to least privileged
+const PROJECT_ROLES = ['owner', 'editor', 'viewer'];
+
+const ProjectMember = sequelize.define('ProjectMember', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  projectId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'projects',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  role: {
+    type: DataTypes.ENUM(...PROJECT_ROLES),
+    allowNull: false,
+    defaultValue: 'viewer'
+  }
+}, {
+  tableName: 'project_members',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['projectId', 'userId']
+    },
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+ProjectMember.ROLES = PROJECT_ROLES;
+
+module.exports = ProjectMember;
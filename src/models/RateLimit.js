@@ -0,0 +1,30 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Hit counters of the rate limiters when RATE_LIMIT_STORE=postgres, shared
+// by every API replica. One row per limiter and client.
+const RateLimit = sequelize.define('RateLimit', {
+  key: {
+    type: DataTypes.STRING(255),
+    primaryKey: true
+  },
+  hits: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  resetAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  }
+}, {
+  tableName: 'rate_limits',
+  timestamps: false,
+  indexes: [
+    {
+      fields: ['resetAt']
+    }
+  ]
+});
+
+module.exports = RateLimit;
@@ -0,0 +1,84 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A reminder fires either `offsetMinutes` before the task due date or at
+// `atTime` (HH:mm, UTC) on the due day. `remindAt` holds the computed time.
+const Reminder = sequelize.define('Reminder', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'tasks',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  offsetMinutes: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    validate: {
+      min: 0
+    }
+  },
+  atTime: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    validate: {
+      is: {
+        args: /^([01]\d|2[0-3]):[0-5]\d$/,
+        msg: 'Time must use the HH:mm format'
+      }
+    }
+  },
+  channel: {
+    type: DataTypes.ENUM('email', 'webhook'),
+    allowNull: false,
+    defaultValue: 'email'
+  },
+  // Webhook URL; email reminders always go to the user's address
+  target: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  remindAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'cancelled'),
+    allowNull: false,
+    defaultValue: 'pending'
+  }
+}, {
+  tableName: 'reminders',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['taskId']
+    },
+    {
+      fields: ['status', 'remindAt']
+    }
+  ],
+  validate: {
+    eitherOffsetOrTime() {
+      if ((this.offsetMinutes === null || this.offsetMinutes === undefined) === !this.atTime) {
+        throw new Error('A reminder needs either offsetMinutes or atTime');
+      }
+    }
+  }
+});
+
+module.exports = Reminder;
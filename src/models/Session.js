@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// A login on one device. Its id is the refresh-token family and the `sid`
+// of the access tokens, so revoking it ends both.
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  // Label derived from the user agent, e.g. "Firefox on Linux"
+  device: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  userAgent: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  ip: {
+    type: DataTypes.STRING(45),
+    allowNull: true
+  },
+  lastSeenAt: {
+    type: DataTypes.DATE,
+    allowNull: false,
+    defaultValue: DataTypes.NOW
+  },
+  // Expiry of the latest refresh token of the family
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'sessions',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+// Token families that predate sessions get a record, without device
+// details, so their access tokens keep working and can be revoked
+Session.addHook('afterSync', 'backfill', async () => {
+  await sequelize.query(`
+    INSERT INTO sessions (id, "userId", "lastSeenAt", "expiresAt", "revokedAt", "createdAt", "updatedAt")
+    SELECT family, "userId", MAX("createdAt"), MAX("expiresAt"),
+      CASE WHEN bool_and("revokedAt" IS NOT NULL) THEN MAX("revokedAt") END,
+      MIN("createdAt"), now()
+    FROM refresh_tokens
+    GROUP BY family, "userId"
+    ON CONFLICT (id) DO NOTHING
+  `);
+});
+
+module.exports = Session;
@@ -0,0 +1,51 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { TAG_MAX_LENGTH } = require('../utils/tags');
+
+// A user's tag catalogue. Tasks keep their tags by name in Task.tags; this
+// table adds colors and lets tags be listed, renamed and merged.
+const Tag = sequelize.define('Tag', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  name: {
+    type: DataTypes.STRING(TAG_MAX_LENGTH),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Name cannot be empty'
+      }
+    }
+  },
+  color: {
+    type: DataTypes.STRING(7),
+    allowNull: true,
+    validate: {
+      is: {
+        args: /^#[0-9a-f]{6}$/i,
+        msg: 'Color must be a hex color such as #1e90ff'
+      }
+    }
+  }
+}, {
+  tableName: 'tags',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId', 'name']
+    }
+  ]
+});
+
+module.exports = Tag;
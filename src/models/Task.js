@@ -1,5 +1,9 @@
-const { DataTypes } = require('sequelize');
+const { DataTypes, ValidationError, ValidationErrorItem } = require('sequelize');
 const { sequelize } = require('../config/database');
+const WorkflowStatus = require('./WorkflowStatus');
+const { validateRecurrence, withSeriesDay } = require('../utils/recurrence');
+const { SEARCH_CONFIG } = require('../utils/searchQuery');
+const { statusForCompletion } = require('../utils/workflow');
 
 const Task = sequelize.define('Task', {
   id: {
@@ -20,10 +24,27 @@ const Task = sequelize.define('Task', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  // Derived from the status: true while the task is in a done status
   completed: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
   },
+  // Key of the task's workflow status (its board column)
+  status: {
+    type: DataTypes.STRING(30),
+    allowNull: true
+  },
+  // Order within the column
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Set whenever the task becomes completed, cleared when reopened
+  completedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
   dueDate: {
     type: DataTypes.DATE,
     allowNull: true
@@ -43,10 +64,60 @@ const Task = sequelize.define('Task', {
       model: 'users',
       key: 'id'
     }
+  },
+  projectId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'projects',
+      key: 'id'
+    }
+  },
+  parentId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'tasks',
+      key: 'id'
+    }
+  },
+  recurrence: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    validate: {
+      isValidRecurrence(value) {
+        const error = validateRecurrence(value);
+        if (error) {
+          throw new Error(error);
+        }
+      }
+    }
+  },
+  // Occurrences of a recurring task share the id of the first one
+  seriesId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  occurrence: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  // Id of the task in the system it was imported from
+  externalId: {
+    type: DataTypes.STRING(100),
+    allowNull: true
+  },
+  // Full-text search document, kept up to date by a database trigger
+  searchVector: {
+    type: DataTypes.TSVECTOR,
+    allowNull: true
   }
 }, {
   tableName: 'tasks',
   timestamps: true,
+  // destroy() moves tasks to the trash (deletedAt); purge with force: true
+  paranoid: true,
   indexes: [
     {
       fields: ['userId']
@@ -54,10 +125,129 @@ const Task = sequelize.define('Task', {
     {
       fields: ['completed']
     },
+    {
+      fields: ['projectId', 'status', 'position']
+    },
+    {
+      fields: ['userId', 'status', 'position']
+    },
     {
       fields: ['dueDate']
+    },
+    {
+      fields: ['projectId']
+    },
+    {
+      fields: ['parentId']
+    },
+    {
+      fields: ['seriesId', 'occurrence']
+    },
+    {
+      unique: true,
+      fields: ['userId', 'externalId']
+    },
+    {
+      using: 'GIN',
+      fields: ['searchVector']
     }
   ]
 });
 
+// The search vector weights the title over the tags over the description.
+// A trigger keeps it current for every write, bulk updates included; rows
+// that predate the trigger are filled in on sync.
+Task.addHook('afterSync', 'searchVector', async () => {
+  await sequelize.query(`
+    CREATE OR REPLACE FUNCTION tasks_search_vector() RETURNS trigger AS $$
+    BEGIN
+      NEW."searchVector" :=
+        setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.title, '')), 'A') ||
+        setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(array_to_string(NEW.tags, ' '), '')), 'B') ||
+        setweight(to_tsvector('${SEARCH_CONFIG}', coalesce(NEW.description, '')), 'C');
+      RETURN NEW;
+    END
+    $$ LANGUAGE plpgsql;
+  `);
+  await sequelize.query('DROP TRIGGER IF EXISTS tasks_search_vector_update ON tasks');
+  await sequelize.query(`
+    CREATE TRIGGER tasks_search_vector_update
+    BEFORE INSERT OR UPDATE OF title, description, tags ON tasks
+    FOR EACH ROW EXECUTE FUNCTION tasks_search_vector()
+  `);
+  await sequelize.query('UPDATE tasks SET title = title WHERE "searchVector" IS NULL');
+});
+
+// Tasks that predate workflows get the default status matching completed
+Task.addHook('afterSync', 'status', async () => {
+  await sequelize.query(`
+    UPDATE tasks SET status = CASE WHEN completed THEN 'done' ELSE 'todo' END
+    WHERE status IS NULL
+  `);
+});
+
+// Keep status and completed in step. Clients that only send completed (as
+// before workflows existed) move the task to the first done or open status.
+// A task entering a column, or a new board, goes to the end of the column.
+Task.addHook('beforeSave', 'workflow', async (task) => {
+  const isNew = task.isNewRecord;
+  const statusSet = isNew ? Boolean(task.status) : task.changed('status');
+  const boardChanged = !isNew && task.changed('projectId');
+
+  if (!isNew && !statusSet && !boardChanged && !task.changed('completed')) {
+    return;
+  }
+
+  const statuses = await WorkflowStatus.forBoard(task);
+  let status;
+
+  if (statusSet) {
+    status = statuses.find(s => s.key === task.status);
+
+    if (!status) {
+      const message = `Unknown status "${task.status}". Available: ${statuses.map(s => s.key).join(', ')}`;
+      throw new ValidationError(message, [
+        new ValidationErrorItem(message, 'Validation error', 'status', task.status)
+      ]);
+    }
+  } else {
+    status = statusForCompletion(statuses, Boolean(task.completed), task.status);
+  }
+
+  const entersColumn = isNew || boardChanged || status.key !== task.previous('status');
+
+  task.status = status.key;
+  task.completed = status.done;
+
+  if (entersColumn) {
+    const last = await Task.max('position', {
+      where: { ...WorkflowStatus.boardWhere(task), status: status.key }
+    });
+    task.position = Number.isInteger(last) ? last + 1 : 0;
+  }
+});
+
+// Fix the day of monthly series (see withSeriesDay). Series saved before
+// this pick up their day on the next save, before the next occurrence is
+// computed.
+Task.addHook('beforeSave', 'seriesDay', (task) => {
+  const rule = withSeriesDay(task.recurrence, task.dueDate);
+
+  if (rule !== task.recurrence) {
+    task.recurrence = rule;
+  }
+});
+
+Task.addHook('beforeSave', 'completedAt', (task) => {
+  if (task.isNewRecord ? task.completed : task.changed('completed')) {
+    task.completedAt = task.completed ? new Date() : null;
+  }
+});
+
+Task.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.searchVector;
+  return values;
+};
+
 module.exports = Task;
\ No newline at end of file
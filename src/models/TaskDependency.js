@@ -0,0 +1,42 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// "taskId is blocked by blockedById"
+const TaskDependency = sequelize.define('TaskDependency', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'tasks',
+      key: 'id'
+    }
+  },
+  blockedById: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'tasks',
+      key: 'id'
+    }
+  }
+}, {
+  tableName: 'task_dependencies',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['taskId', 'blockedById']
+    },
+    {
+      fields: ['blockedById']
+    }
+  ]
+});
+
+module.exports = TaskDependency;
@@ -0,0 +1,58 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Append-only audit trail of task changes. Rows outlive their task, so
+// taskId is not a foreign key. `snapshot` is the task state after the change
+// and is what a restore rolls back to.
+const TaskHistory = sequelize.define('TaskHistory', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  taskId: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  revision: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  action: {
+    type: DataTypes.ENUM('create', 'update', 'complete', 'delete', 'restore', 'purge'),
+    allowNull: false
+  },
+  actorId: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  changes: {
+    type: DataTypes.JSONB,
+    allowNull: false,
+    defaultValue: {}
+  },
+  snapshot: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  }
+}, {
+  tableName: 'task_history',
+  timestamps: true,
+  updatedAt: false,
+  indexes: [
+    {
+      unique: true,
+      fields: ['taskId', 'revision']
+    }
+  ],
+  hooks: {
+    beforeUpdate: () => {
+      throw new Error('Task history is append-only');
+    },
+    beforeDestroy: () => {
+      throw new Error('Task history is append-only');
+    }
+  }
+});
+
+module.exports = TaskHistory;
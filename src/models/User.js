@@ -44,6 +44,11 @@ const User = sequelize.define('User', {
       }
     }
   },
+  role: {
+    type: DataTypes.ENUM('user', 'admin'),
+    allowNull: false,
+    defaultValue: 'user'
+  },
   active: {
     type: DataTypes.BOOLEAN,
     defaultValue: true
@@ -51,6 +56,43 @@ const User = sequelize.define('User', {
   lastAccess: {
     type: DataTypes.DATE,
     allowNull: true
+  },
+  // Consecutive failed logins (password or two-factor code)
+  failedLoginAttempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Logins are refused until then: a short delay or a lockout
+  lockedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Set once the user follows the verification link sent at sign-up
+  emailVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // TOTP secret, encrypted. Set during enrolment, before it is confirmed.
+  twoFactorSecret: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Set once enrolment is confirmed: login then asks for a code
+  twoFactorEnabledAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Time step of the last accepted code, so a code cannot be replayed
+  twoFactorLastStep: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  // SHA-256 of the secret in the calendar feed URL (null when disabled)
+  calendarTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: true,
+    unique: true
   }
 }, {
   tableName: 'users',
@@ -76,6 +118,9 @@ User.prototype.validatePassword = async function(password) {
 User.prototype.toJSON = function() {
   const values = Object.assign({}, this.get());
   delete values.password;
+  delete values.calendarTokenHash;
+  delete values.twoFactorSecret;
+  delete values.twoFactorLastStep;
   return values;
 };
 
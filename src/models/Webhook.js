@@ -0,0 +1,72 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { TASK_EVENTS } = require('../services/taskEvents');
+
+const Webhook = sequelize.define('Webhook', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  url: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    validate: {
+      isUrl: {
+        msg: 'Must be a valid URL'
+      }
+    }
+  },
+  description: {
+    type: DataTypes.STRING(200),
+    allowNull: true
+  },
+  events: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    allowNull: false,
+    validate: {
+      isKnownEvent(value) {
+        if (!Array.isArray(value) || value.length === 0) {
+          throw new Error('Subscribe to at least one event');
+        }
+        const unknown = value.filter(e => !TASK_EVENTS.includes(e));
+        if (unknown.length > 0) {
+          throw new Error(`Unknown events: ${unknown.join(', ')}`);
+        }
+      }
+    }
+  },
+  // Shared secret for the HMAC signature
+  secret: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  active: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: true
+  }
+}, {
+  tableName: 'webhooks',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['userId']
+    }
+  ]
+});
+
+Webhook.prototype.toJSON = function() {
+  const values = Object.assign({}, this.get());
+  delete values.secret;
+  return values;
+};
+
+module.exports = Webhook;
@@ -0,0 +1,65 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const WebhookDelivery = sequelize.define('WebhookDelivery', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  webhookId: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    references: {
+      model: 'webhooks',
+      key: 'id'
+    }
+  },
+  event: {
+    type: DataTypes.STRING(50),
+    allowNull: false
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'sent', 'failed'),
+    allowNull: false,
+    defaultValue: 'pending'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  responseStatus: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  lastError: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  nextAttemptAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deliveredAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  tableName: 'webhook_deliveries',
+  timestamps: true,
+  indexes: [
+    {
+      fields: ['webhookId']
+    },
+    {
+      fields: ['status', 'nextAttemptAt']
+    }
+  ]
+});
+
+module.exports = WebhookDelivery;
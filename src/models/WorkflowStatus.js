@@ -0,0 +1,100 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { DEFAULT_STATUSES } = require('../utils/workflow');
+
+// A column of a board. A board is a project (projectId set) or the
+// personal tasks of a user (userId set); tasks refer to their status by key.
+const WorkflowStatus = sequelize.define('WorkflowStatus', {
+  id: {
+    type: DataTypes.INTEGER,
+    primaryKey: true,
+    autoIncrement: true
+  },
+  userId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'users',
+      key: 'id'
+    }
+  },
+  projectId: {
+    type: DataTypes.INTEGER,
+    allowNull: true,
+    references: {
+      model: 'projects',
+      key: 'id'
+    }
+  },
+  key: {
+    type: DataTypes.STRING(30),
+    allowNull: false
+  },
+  name: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    validate: {
+      notEmpty: {
+        msg: 'Name cannot be empty'
+      }
+    }
+  },
+  // Tasks in a done status are completed
+  done: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  // Column order on the board
+  position: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  // Keys tasks may move to from this status; NULL allows any
+  transitions: {
+    type: DataTypes.ARRAY(DataTypes.STRING(30)),
+    allowNull: true
+  }
+}, {
+  tableName: 'workflow_statuses',
+  timestamps: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['userId', 'key']
+    },
+    {
+      unique: true,
+      fields: ['projectId', 'key']
+    }
+  ]
+});
+
+// Where clause of a board's statuses. Project tasks use the project's
+// workflow, personal tasks their owner's.
+WorkflowStatus.boardWhere = ({ userId, projectId }) => (
+  projectId ? { projectId } : { userId, projectId: null }
+);
+
+// Statuses of a board in column order. Boards start with the default
+// workflow, created the first time it is needed.
+WorkflowStatus.forBoard = async (board, options = {}) => {
+  const where = WorkflowStatus.boardWhere(board);
+  const find = () => WorkflowStatus.findAll({ where, order: [['position', 'ASC']], ...options });
+
+  const statuses = await find();
+
+  if (statuses.length > 0) {
+    return statuses;
+  }
+
+  await WorkflowStatus.bulkCreate(
+    DEFAULT_STATUSES.map((status, position) => ({ ...status, ...where, position })),
+    { ignoreDuplicates: true, ...options }
+  );
+
+  return find();
+};
+
+module.exports = WorkflowStatus;
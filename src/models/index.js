@@ -1,6 +1,26 @@
 // src/models/index.js
 const User = require('./User');
 const Task = require('./Task');
+const RefreshToken = require('./RefreshToken');
+const Project = require('./Project');
+const ProjectMember = require('./ProjectMember');
+const TaskDependency = require('./TaskDependency');
+const Reminder = require('./Reminder');
+const NotificationDelivery = require('./NotificationDelivery');
+const Webhook = require('./Webhook');
+const WebhookDelivery = require('./WebhookDelivery');
+const TaskHistory = require('./TaskHistory');
+const Tag = require('./Tag');
+const Comment = require('./Comment');
+const Notification = require('./Notification');
+const Attachment = require('./Attachment');
+const WorkflowStatus = require('./WorkflowStatus');
+const AccountToken = require('./AccountToken');
+const RecoveryCode = require('./RecoveryCode');
+const ApiKey = require('./ApiKey');
+const RateLimit = require('./RateLimit');
+// After RefreshToken: its afterSync backfill reads refresh_tokens
+const Session = require('./Session');
 
 // Relaciones
 User.hasMany(Task, {
@@ -14,7 +34,298 @@ Task.belongsTo(User, {
   as: 'usuario'
 });
 
+User.hasMany(RefreshToken, {
+  foreignKey: 'userId',
+  as: 'refreshTokens',
+  onDelete: 'CASCADE'
+});
+
+RefreshToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'usuario'
+});
+
+Project.hasMany(ProjectMember, {
+  foreignKey: 'projectId',
+  as: 'members',
+  onDelete: 'CASCADE'
+});
+
+ProjectMember.belongsTo(Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+User.hasMany(ProjectMember, {
+  foreignKey: 'userId',
+  as: 'memberships',
+  onDelete: 'CASCADE'
+});
+
+ProjectMember.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'usuario'
+});
+
+// Deleting a project hands its tasks back to their creators
+Project.hasMany(Task, {
+  foreignKey: 'projectId',
+  as: 'tareas',
+  onDelete: 'SET NULL'
+});
+
+Task.belongsTo(Project, {
+  foreignKey: 'projectId',
+  as: 'project'
+});
+
+// Subtasks
+Task.hasMany(Task, {
+  foreignKey: 'parentId',
+  as: 'subtasks',
+  onDelete: 'CASCADE'
+});
+
+Task.belongsTo(Task, {
+  foreignKey: 'parentId',
+  as: 'parent'
+});
+
+// Dependencies ("blocked by")
+Task.belongsToMany(Task, {
+  through: TaskDependency,
+  foreignKey: 'taskId',
+  otherKey: 'blockedById',
+  as: 'blockedBy'
+});
+
+Task.belongsToMany(Task, {
+  through: TaskDependency,
+  foreignKey: 'blockedById',
+  otherKey: 'taskId',
+  as: 'blocking'
+});
+
+// Reminders and notification deliveries
+Task.hasMany(Reminder, {
+  foreignKey: 'taskId',
+  as: 'reminders',
+  onDelete: 'CASCADE'
+});
+
+Reminder.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+Reminder.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'usuario',
+  onDelete: 'CASCADE'
+});
+
+Reminder.hasMany(NotificationDelivery, {
+  foreignKey: 'reminderId',
+  as: 'deliveries',
+  onDelete: 'SET NULL'
+});
+
+User.hasMany(NotificationDelivery, {
+  foreignKey: 'userId',
+  as: 'deliveries',
+  onDelete: 'CASCADE'
+});
+
+// Outgoing webhooks
+User.hasMany(Webhook, {
+  foreignKey: 'userId',
+  as: 'webhooks',
+  onDelete: 'CASCADE'
+});
+
+Webhook.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'usuario'
+});
+
+Webhook.hasMany(WebhookDelivery, {
+  foreignKey: 'webhookId',
+  as: 'deliveries',
+  onDelete: 'CASCADE'
+});
+
+WebhookDelivery.belongsTo(Webhook, {
+  foreignKey: 'webhookId',
+  as: 'webhook'
+});
+
+// Audit trail (no database constraint: history outlives the task)
+Task.hasMany(TaskHistory, {
+  foreignKey: 'taskId',
+  as: 'history',
+  constraints: false
+});
+
+TaskHistory.belongsTo(User, {
+  foreignKey: 'actorId',
+  as: 'actor',
+  constraints: false
+});
+
+// Tag catalogue
+User.hasMany(Tag, {
+  foreignKey: 'userId',
+  as: 'tags',
+  onDelete: 'CASCADE'
+});
+
+Tag.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'usuario'
+});
+
+// Comments and in-app notifications
+Task.hasMany(Comment, {
+  foreignKey: 'taskId',
+  as: 'comments',
+  onDelete: 'CASCADE'
+});
+
+Comment.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+Comment.belongsTo(User, {
+  foreignKey: 'authorId',
+  as: 'author',
+  onDelete: 'CASCADE'
+});
+
+User.hasMany(Notification, {
+  foreignKey: 'userId',
+  as: 'notifications',
+  onDelete: 'CASCADE'
+});
+
+Notification.belongsTo(User, {
+  foreignKey: 'actorId',
+  as: 'actor',
+  constraints: false
+});
+
+Notification.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task',
+  onDelete: 'CASCADE'
+});
+
+Notification.belongsTo(Comment, {
+  foreignKey: 'commentId',
+  as: 'comment',
+  onDelete: 'CASCADE'
+});
+
+// Attachments. Purging a task keeps the row with a NULL taskId so the
+// stored file can be removed by the cleanup job.
+Task.hasMany(Attachment, {
+  foreignKey: 'taskId',
+  as: 'attachments',
+  onDelete: 'SET NULL'
+});
+
+Attachment.belongsTo(Task, {
+  foreignKey: 'taskId',
+  as: 'task'
+});
+
+Attachment.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'uploader',
+  onDelete: 'SET NULL'
+});
+
+// Workflow statuses of personal and project boards
+User.hasMany(WorkflowStatus, {
+  foreignKey: 'userId',
+  as: 'workflowStatuses',
+  onDelete: 'CASCADE'
+});
+
+Project.hasMany(WorkflowStatus, {
+  foreignKey: 'projectId',
+  as: 'workflowStatuses',
+  onDelete: 'CASCADE'
+});
+
+// Password reset and email verification tokens
+User.hasMany(AccountToken, {
+  foreignKey: 'userId',
+  as: 'accountTokens',
+  onDelete: 'CASCADE'
+});
+
+AccountToken.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'usuario'
+});
+
+// Two-factor authentication recovery codes
+User.hasMany(RecoveryCode, {
+  foreignKey: 'userId',
+  as: 'recoveryCodes',
+  onDelete: 'CASCADE'
+});
+
+RecoveryCode.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'usuario'
+});
+
+// Personal API keys
+User.hasMany(ApiKey, {
+  foreignKey: 'userId',
+  as: 'apiKeys',
+  onDelete: 'CASCADE'
+});
+
+ApiKey.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'usuario'
+});
+
+// Logged-in devices
+User.hasMany(Session, {
+  foreignKey: 'userId',
+  as: 'sessions',
+  onDelete: 'CASCADE'
+});
+
+Session.belongsTo(User, {
+  foreignKey: 'userId',
+  as: 'usuario'
+});
+
 module.exports = {
   User,
-  Task
+  Task,
+  RefreshToken,
+  Project,
+  ProjectMember,
+  TaskDependency,
+  Reminder,
+  NotificationDelivery,
+  Webhook,
+  WebhookDelivery,
+  TaskHistory,
+  Tag,
+  Comment,
+  Notification,
+  Attachment,
+  WorkflowStatus,
+  AccountToken,
+  RecoveryCode,
+  ApiKey,
+  RateLimit,
+  Session
 };
\ No newline at end of file
@@ -0,0 +1,79 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { protectRoute, verifyRole } = require('../middlewares/auth');
+const { validarCampos } = require('../middlewares/validation');
+
+// Import controllers
+const {
+  getUsers,
+  getUser,
+  deactivateUser,
+  reactivateUser,
+  updateRole,
+  resetPassword,
+  unlockUser,
+  resetUserTwoFactor
+} = require('../controllers/adminController');
+
+// All routes require an authenticated admin
+router.use(protectRoute, verifyRole('admin'));
+
+// GET /api/admin/users - List and search users
+router.get('/users', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a number greater than 0'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('active').optional().isBoolean().withMessage('Active must be true or false'),
+  query('role').optional().isIn(['user', 'admin']).withMessage('Invalid role'),
+  validarCampos
+], getUsers);
+
+// GET /api/admin/users/:id - Get specific user
+router.get('/users/:id', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], getUser);
+
+// PATCH /api/admin/users/:id/deactivate - Deactivate user
+router.patch('/users/:id/deactivate', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], deactivateUser);
+
+// PATCH /api/admin/users/:id/reactivate - Reactivate user
+router.patch('/users/:id/reactivate', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], reactivateUser);
+
+// PATCH /api/admin/users/:id/role - Change user role
+router.patch('/users/:id/role', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  body('role').isIn(['user', 'admin']).withMessage('Invalid role'),
+  validarCampos
+], updateRole);
+
+// POST /api/admin/users/:id/reset-password - Set a new password
+router.post('/users/:id/reset-password', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  body('password')
+    .notEmpty().withMessage('Password is required')
+    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+    .withMessage('Password must contain at least one uppercase letter, one lowercase letter and one number'),
+  validarCampos
+], resetPassword);
+
+// PATCH /api/admin/users/:id/unlock - Lift a failed-login lockout
+router.patch('/users/:id/unlock', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], unlockUser);
+
+// DELETE /api/admin/users/:id/two-factor - Turn off two-factor authentication
+router.delete('/users/:id/two-factor', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], resetUserTwoFactor);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { protectRoute } = require('../middlewares/auth');
+const { validarCampos } = require('../middlewares/validation');
+const { SCOPES } = require('../utils/apiKeys');
+
+// Import controllers
+const {
+  getApiKeys,
+  createKey,
+  revokeKey
+} = require('../controllers/apiKeyController');
+
+// All routes require a logged-in user; API keys cannot manage keys
+router.use(protectRoute);
+
+// GET /api/api-keys - My active API keys
+router.get('/', getApiKeys);
+
+// POST /api/api-keys - Create a key; returns it once
+router.post('/', [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be at most 100 characters'),
+  body('scopes')
+    .isArray({ min: 1 }).withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(SCOPES).withMessage(`Scopes must be among: ${SCOPES.join(', ')}`),
+  body('expiresAt')
+    .optional({ nullable: true })
+    .isISO8601().withMessage('expiresAt must be an ISO 8601 date')
+    .custom(value => new Date(value) > new Date()).withMessage('expiresAt must be in the future'),
+  validarCampos
+], createKey);
+
+// DELETE /api/api-keys/:id - Revoke a key
+router.delete('/:id', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], revokeKey);
+
+module.exports = router;
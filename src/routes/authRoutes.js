@@ -1,14 +1,59 @@
 const express = require('express');
 const router = express.Router();
-const { body } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { validarCampos } = require('../middlewares/validation');
 const { protectRoute } = require('../middlewares/auth');
 const {
   register,
   login,
+  verifyTwoFactor,
+  refresh,
+  logout,
   profile,
-  updateProfile
+  updateProfile,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  unlock,
+  resendVerification,
+  changePassword
 } = require('../controllers/authController');
+const {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateCodes,
+  disableTwoFactor
+} = require('../controllers/twoFactorController');
+const {
+  getSessions,
+  deleteSession,
+  deleteAllSessions
+} = require('../controllers/sessionController');
+
+// Password strength rules for sign-up, reset and change
+const passwordRule = (field) => body(field)
+  .notEmpty().withMessage('Password is required')
+  .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
+  .withMessage('Password must contain at least one uppercase letter, one lowercase letter and one number');
+
+const emailRule = () => body('email')
+  .trim()
+  .notEmpty().withMessage('Email is required')
+  .isEmail().withMessage('Invalid email')
+  .normalizeEmail();
+
+const tokenRule = () => body('token')
+  .isString().withMessage('Token is required')
+  .isLength({ min: 1, max: 200 }).withMessage('Token is required');
+
+// A TOTP code, or a recovery code where `allowRecovery`
+const codeRule = (allowRecovery = true) => body('code')
+  .isString().withMessage('Code is required')
+  .trim()
+  .custom(value => /^\d{6}$/.test(value) || (allowRecovery && /^[a-z2-7]{5}-?[a-z2-7]{5}$/i.test(value)))
+  .withMessage(allowRecovery ? 'Code must be a 6-digit code or a recovery code' : 'Code must be 6 digits');
 
 // POST /api/auth/register
 router.post('/register', [
@@ -16,31 +61,44 @@ router.post('/register', [
     .trim()
     .notEmpty().withMessage('Name is required')
     .isLength({ min: 2, max: 100 }).withMessage('Name must be between 2 and 100 characters'),
-  body('email')
-    .trim()
-    .notEmpty().withMessage('Email is required')
-    .isEmail().withMessage('Invalid email')
-    .normalizeEmail(),
-  body('password')
-    .notEmpty().withMessage('Password is required')
-    .isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
-    .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-    .withMessage('Password must contain at least one uppercase letter, one lowercase letter and one number'),
+  emailRule(),
+  passwordRule('password'),
   validarCampos
 ], register);
 
 // POST /api/auth/login
 router.post('/login', [
-  body('email')
-    .trim()
-    .notEmpty().withMessage('Email is required')
-    .isEmail().withMessage('Invalid email')
-    .normalizeEmail(),
+  emailRule(),
   body('password')
     .notEmpty().withMessage('Password is required'),
   validarCampos
 ], login);
 
+// POST /api/auth/2fa/verify - Second login step: exchange the challenge for tokens
+router.post('/2fa/verify', [
+  body('challengeToken')
+    .notEmpty().withMessage('Challenge token is required')
+    .isJWT().withMessage('Invalid challenge token'),
+  codeRule(),
+  validarCampos
+], verifyTwoFactor);
+
+// POST /api/auth/refresh
+router.post('/refresh', [
+  body('refreshToken')
+    .notEmpty().withMessage('Refresh token is required')
+    .isJWT().withMessage('Invalid refresh token'),
+  validarCampos
+], refresh);
+
+// POST /api/auth/logout
+router.post('/logout', [
+  body('refreshToken')
+    .notEmpty().withMessage('Refresh token is required')
+    .isJWT().withMessage('Invalid refresh token'),
+  validarCampos
+], logout);
+
 // GET /api/auth/profile
 router.get('/profile', protectRoute, profile);
 
@@ -55,4 +113,88 @@ router.put('/profile', [
   validarCampos
 ], updateProfile);
 
+// POST /api/auth/forgot-password - Email a password reset token
+router.post('/forgot-password', [
+  emailRule(),
+  validarCampos
+], forgotPassword);
+
+// POST /api/auth/reset-password - Set a new password with the emailed token
+router.post('/reset-password', [
+  tokenRule(),
+  passwordRule('password'),
+  validarCampos
+], resetPassword);
+
+// POST /api/auth/verify-email - Confirm the email address with the emailed token
+router.post('/verify-email', [
+  tokenRule(),
+  validarCampos
+], verifyEmail);
+
+// POST /api/auth/unlock - Lift a lockout with the emailed token
+router.post('/unlock', [
+  tokenRule(),
+  validarCampos
+], unlock);
+
+// POST /api/auth/verify-email/resend - Email a new verification token
+router.post('/verify-email/resend', [
+  emailRule(),
+  validarCampos
+], resendVerification);
+
+// PUT /api/auth/password - Change password (needs the current one)
+router.put('/password', [
+  protectRoute,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  passwordRule('newPassword'),
+  validarCampos
+], changePassword);
+
+// GET /api/auth/sessions - Devices I am logged in on
+router.get('/sessions', protectRoute, getSessions);
+
+// DELETE /api/auth/sessions - Log out everywhere (?keepCurrent=true keeps this one)
+router.delete('/sessions', [
+  protectRoute,
+  query('keepCurrent').optional().isIn(['true', 'false']).withMessage('keepCurrent must be true or false'),
+  validarCampos
+], deleteAllSessions);
+
+// DELETE /api/auth/sessions/:id - Log out one device
+router.delete('/sessions/:id', [
+  protectRoute,
+  param('id').isUUID().withMessage('ID must be a UUID'),
+  validarCampos
+], deleteSession);
+
+// GET /api/auth/2fa - Two-factor status and recovery codes left
+router.get('/2fa', protectRoute, getTwoFactorStatus);
+
+// POST /api/auth/2fa/setup - Get a new secret for an authenticator app
+router.post('/2fa/setup', protectRoute, setupTwoFactor);
+
+// POST /api/auth/2fa/enable - Confirm the secret with a code; returns recovery codes
+router.post('/2fa/enable', [
+  protectRoute,
+  codeRule(false),
+  validarCampos
+], enableTwoFactor);
+
+// POST /api/auth/2fa/recovery-codes - Replace the recovery codes
+router.post('/2fa/recovery-codes', [
+  protectRoute,
+  codeRule(),
+  validarCampos
+], regenerateCodes);
+
+// POST /api/auth/2fa/disable - Turn off two-factor authentication
+router.post('/2fa/disable', [
+  protectRoute,
+  body('password').notEmpty().withMessage('Password is required'),
+  codeRule(),
+  validarCampos
+], disableTwoFactor);
+
 module.exports = router;
\ No newline at end of file
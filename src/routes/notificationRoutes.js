@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const { protectRoute } = require('../middlewares/auth');
+const { validarCampos } = require('../middlewares/validation');
+
+// Import controllers
+const {
+  getDeliveries,
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+
+// All routes require authentication
+router.use(protectRoute);
+
+// GET /api/notifications - My in-app notifications (e.g. mentions)
+router.get('/', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a number greater than 0'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('unread').optional().isBoolean().withMessage('Unread must be true or false'),
+  validarCampos
+], getNotifications);
+
+// POST /api/notifications/read-all - Mark every notification as read
+router.post('/read-all', markAllNotificationsRead);
+
+// PATCH /api/notifications/:id/read - Mark one notification as read
+router.patch('/:id/read', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], markNotificationRead);
+
+// GET /api/notifications/deliveries - Delivery log of reminders and digests
+router.get('/deliveries', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a number greater than 0'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'sent', 'failed']).withMessage('Invalid status'),
+  query('kind').optional().isIn(['reminder', 'digest']).withMessage('Invalid kind'),
+  validarCampos
+], getDeliveries);
+
+module.exports = router;
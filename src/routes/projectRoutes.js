@@ -0,0 +1,92 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { protectRoute } = require('../middlewares/auth');
+const { requireProjectRole } = require('../middlewares/projectAccess');
+const { validarCampos } = require('../middlewares/validation');
+const { ProjectMember } = require('../models');
+
+// Import controllers
+const {
+  getProjects,
+  getProject,
+  createProject,
+  updateProject,
+  deleteProject,
+  getMembers,
+  addMember,
+  updateMember,
+  removeMember
+} = require('../controllers/projectController');
+const { getWorkflow, updateWorkflow } = require('../controllers/workflowController');
+const { workflowRules } = require('../validators/taskValidators');
+
+const idParam = param('id').isInt().withMessage('ID must be an integer');
+
+// All routes require authentication
+router.use(protectRoute);
+
+// GET /api/projects - Projects the user is a member of
+router.get('/', getProjects);
+
+// POST /api/projects - Create project
+router.post('/', [
+  body('name')
+    .trim()
+    .notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name cannot exceed 100 characters'),
+  body('description').optional().trim(),
+  validarCampos
+], createProject);
+
+// GET /api/projects/:id - Get project
+router.get('/:id', [idParam, validarCampos], requireProjectRole(), getProject);
+
+// PUT /api/projects/:id - Update project (owner only)
+router.put('/:id', [
+  idParam,
+  body('name').optional().trim().notEmpty().isLength({ max: 100 }),
+  body('description').optional().trim(),
+  validarCampos
+], requireProjectRole('owner'), updateProject);
+
+// DELETE /api/projects/:id - Delete project (owner only)
+router.delete('/:id', [idParam, validarCampos], requireProjectRole('owner'), deleteProject);
+
+// GET /api/projects/:id/members - List members
+router.get('/:id/members', [idParam, validarCampos], requireProjectRole(), getMembers);
+
+// POST /api/projects/:id/members - Add member (owner only)
+router.post('/:id/members', [
+  idParam,
+  body('email').trim().isEmail().withMessage('Invalid email').normalizeEmail(),
+  body('role').optional().isIn(ProjectMember.ROLES).withMessage('Invalid role'),
+  validarCampos
+], requireProjectRole('owner'), addMember);
+
+// PUT /api/projects/:id/members/:userId - Change member role (owner only)
+router.put('/:id/members/:userId', [
+  idParam,
+  param('userId').isInt().withMessage('User ID must be an integer'),
+  body('role').isIn(ProjectMember.ROLES).withMessage('Invalid role'),
+  validarCampos
+], requireProjectRole('owner'), updateMember);
+
+// DELETE /api/projects/:id/members/:userId - Remove member or leave project
+router.delete('/:id/members/:userId', [
+  idParam,
+  param('userId').isInt().withMessage('User ID must be an integer'),
+  validarCampos
+], requireProjectRole(), removeMember);
+
+// GET /api/projects/:id/workflow - Statuses of the project board
+router.get('/:id/workflow', [idParam, validarCampos], requireProjectRole(), getWorkflow);
+
+// PUT /api/projects/:id/workflow - Replace the project statuses (owner only)
+router.put('/:id/workflow', [
+  idParam,
+  ...workflowRules,
+  validarCampos
+], requireProjectRole('owner'), updateWorkflow);
+
+module.exports = router;
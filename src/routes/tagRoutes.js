@@ -0,0 +1,62 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const { protectRoute } = require('../middlewares/auth');
+const { validarCampos } = require('../middlewares/validation');
+const { validateTagName } = require('../utils/tags');
+
+// Import controllers
+const {
+  getTags,
+  createTag,
+  updateTag,
+  mergeTag,
+  deleteTag
+} = require('../controllers/tagController');
+
+const idParam = param('id').isInt().withMessage('ID must be an integer');
+
+const nameRule = (chain) => chain.custom((name) => {
+  const error = validateTagName(name);
+  if (error) {
+    throw new Error(error);
+  }
+  return true;
+});
+
+const colorRule = (chain) => chain
+  .optional({ nullable: true })
+  .matches(/^#[0-9a-fA-F]{6}$/).withMessage('Color must be a hex color such as #1e90ff');
+
+// All routes require authentication
+router.use(protectRoute);
+
+// GET /api/tags - My tags with the number of tasks using each
+router.get('/', getTags);
+
+// POST /api/tags - Create tag
+router.post('/', [
+  nameRule(body('name')),
+  colorRule(body('color')),
+  validarCampos
+], createTag);
+
+// PUT /api/tags/:id - Rename (updates every task) or recolor a tag
+router.put('/:id', [
+  idParam,
+  nameRule(body('name').optional()),
+  colorRule(body('color')),
+  validarCampos
+], updateTag);
+
+// POST /api/tags/:id/merge - Move the tag's tasks to another tag and drop it
+router.post('/:id/merge', [
+  idParam,
+  body('targetId').isInt().withMessage('Target tag ID must be an integer'),
+  validarCampos
+], mergeTag);
+
+// DELETE /api/tags/:id - Delete tag and remove it from every task
+router.delete('/:id', [idParam, validarCampos], deleteTag);
+
+module.exports = router;
@@ -1,8 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const { body, param, query } = require('express-validator');
-const { protectRoute } = require('../middlewares/auth');
+const { protectRoute, tokenFromQuery, protectFeed } = require('../middlewares/auth');
 const { validarCampos } = require('../middlewares/validation');
+const { hasPublicHost } = require('../utils/webhookTarget');
+const {
+  createTaskRules,
+  updateTaskRules,
+  searchQueryRule,
+  listQueryRules,
+  tagFilterRules,
+  statusRule,
+  moveTaskRules
+} = require('../validators/taskValidators');
 
 // Import controllers
 const {
@@ -11,14 +21,127 @@ const {
   createTask,
   updateTask,
   deleteTask,
+  moveTask,
   getStatistics
 } = require('../controllers/taskController');
+const {
+  getSubtasks,
+  getDependencies,
+  addDependency,
+  removeDependency
+} = require('../controllers/dependencyController');
+const {
+  getReminders,
+  createReminder,
+  deleteReminder
+} = require('../controllers/reminderController');
+const { streamTasks } = require('../controllers/streamController');
+const { bulkTasks } = require('../controllers/bulkController');
+const { exportTasks, importTasks } = require('../controllers/transferController');
+const {
+  getCalendarFeed,
+  createFeedToken,
+  deleteFeedToken
+} = require('../controllers/calendarController');
+const { getHistory, restoreRevision } = require('../controllers/historyController');
+const {
+  getComments,
+  createComment,
+  updateComment,
+  deleteComment,
+  getActivity
+} = require('../controllers/commentController');
+const {
+  getAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  removeAttachment,
+  getAttachmentUsage
+} = require('../controllers/attachmentController');
+const { Comment } = require('../models');
+const {
+  getTrash,
+  restoreTrashedTask,
+  purgeTrashedTask,
+  emptyTrash
+} = require('../controllers/trashController');
+
+const { GROUP_BY } = require('../utils/statistics');
+
+const BULK_MAX_OPERATIONS = parseInt(process.env.BULK_MAX_OPERATIONS || '100');
+
+// GET /api/tasks/stream - Server-Sent Events of my task changes
+// (also accepts ?access_token= for EventSource clients)
+router.get('/stream', [
+  tokenFromQuery,
+  protectRoute,
+  query('lastEventId').optional().isInt().withMessage('Last event ID must be an integer'),
+  validarCampos
+], streamTasks);
+
+// GET /api/tasks/calendar.ics - iCalendar feed of my tasks with a due date
+// (authenticated by the secret ?token= of the feed URL)
+router.get('/calendar.ics', [
+  protectFeed,
+  query('component').optional().isIn(['vevent', 'vtodo']).withMessage('Component must be vevent or vtodo'),
+  query('completed').optional().isBoolean().withMessage('Completed must be true or false'),
+  query('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority'),
+  query('projectId').optional().isInt().withMessage('Project ID must be an integer'),
+  query('parentId').optional().isInt().withMessage('Parent ID must be an integer'),
+  searchQueryRule(),
+  ...tagFilterRules,
+  validarCampos
+], getCalendarFeed);
 
 // All routes require authentication
 router.use(protectRoute);
 
+// POST /api/tasks/calendar/token - Create (or replace) my calendar feed URL
+router.post('/calendar/token', createFeedToken);
+
+// DELETE /api/tasks/calendar/token - Revoke my calendar feed URL
+router.delete('/calendar/token', deleteFeedToken);
+
 // GET /api/tasks/statistics - Get statistics (must be before /:id)
-router.get('/statistics', getStatistics);
+router.get('/statistics', [
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  query('groupBy').optional().isIn(GROUP_BY).withMessage(`Group by must be one of: ${GROUP_BY.join(', ')}`),
+  validarCampos
+], getStatistics);
+
+// GET /api/tasks/export - Download my tasks as CSV, JSON or NDJSON
+router.get('/export', [
+  query('format').optional().isIn(['csv', 'json', 'ndjson']).withMessage('Format must be csv, json or ndjson'),
+  validarCampos
+], exportTasks);
+
+// POST /api/tasks/import - Import tasks from CSV, JSON or NDJSON
+// (JSON bodies are parsed by the app-wide parser)
+router.post('/import', [
+  express.text({ type: ['text/csv', 'application/x-ndjson'], limit: '10mb' }),
+  query('dryRun').optional().isBoolean().toBoolean(),
+  validarCampos
+], importTasks);
+
+// GET /api/tasks/attachments/usage - My attachment storage and quota
+router.get('/attachments/usage', getAttachmentUsage);
+
+// GET /api/tasks/trash - Deleted tasks (must be before /:id)
+router.get('/trash', [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a number greater than 0'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  validarCampos
+], getTrash);
+
+// DELETE /api/tasks/trash - Permanently delete all my trashed tasks
+router.delete('/trash', emptyTrash);
+
+// DELETE /api/tasks/trash/:id - Permanently delete one trashed task
+router.delete('/trash/:id', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], purgeTrashedTask);
 
 // GET /api/tasks - Get all tasks
 router.get('/', [
@@ -26,6 +149,15 @@ router.get('/', [
   query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
   query('completed').optional().isBoolean().withMessage('Completed must be true or false'),
   query('priority').optional().isIn(['low', 'medium', 'high']).withMessage('Invalid priority'),
+  query('projectId').optional().isInt().withMessage('Project ID must be an integer'),
+  query('parentId').optional().isInt().withMessage('Parent ID must be an integer'),
+  statusRule(query('status')),
+  searchQueryRule(),
+  ...tagFilterRules,
+  ...listQueryRules,
+  query('expand').optional().isBoolean().withMessage('Expand must be true or false'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
   validarCampos
 ], getTasks);
 
@@ -35,33 +167,184 @@ router.get('/:id', [
   validarCampos
 ], getTask);
 
+// POST /api/tasks/bulk - Several create / update / delete / complete operations
+router.post('/bulk', [
+  body('operations')
+    .isArray({ min: 1, max: BULK_MAX_OPERATIONS })
+    .withMessage(`Operations must be a list of 1 to ${BULK_MAX_OPERATIONS} items`),
+  body('atomic').optional().isBoolean().toBoolean(),
+  validarCampos
+], bulkTasks);
+
 // POST /api/tasks - Create new task
 router.post('/', [
-  body('title')
-    .trim()
-    .notEmpty().withMessage('Title is required')
-    .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
-  body('description').optional().trim(),
-  body('dueDate').optional().isISO8601().withMessage('Must be a valid date'),
-  body('priority').optional().isIn(['low', 'medium', 'high']),
+  ...createTaskRules,
   validarCampos
 ], createTask);
 
 // PUT /api/tasks/:id - Update task
 router.put('/:id', [
   param('id').isInt().withMessage('ID must be an integer'),
-  body('title').optional().trim().notEmpty().isLength({ max: 200 }),
-  body('description').optional().trim(),
-  body('completed').optional().isBoolean(),
-  body('dueDate').optional().isISO8601(),
-  body('priority').optional().isIn(['low', 'medium', 'high']),
+  ...updateTaskRules,
   validarCampos
 ], updateTask);
 
-// DELETE /api/tasks/:id - Delete task
+// POST /api/tasks/:id/move - Change status and/or position within the column
+router.post('/:id/move', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  ...moveTaskRules,
+  validarCampos
+], moveTask);
+
+// POST /api/tasks/:id/restore - Restore task from the trash
+router.post('/:id/restore', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], restoreTrashedTask);
+
+// DELETE /api/tasks/:id - Move task to the trash
 router.delete('/:id', [
   param('id').isInt().withMessage('ID must be an integer'),
   validarCampos
 ], deleteTask);
 
+// GET /api/tasks/:id/subtasks - List direct subtasks
+router.get('/:id/subtasks', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], getSubtasks);
+
+// GET /api/tasks/:id/dependencies - Tasks blocking / blocked by this one
+router.get('/:id/dependencies', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], getDependencies);
+
+// POST /api/tasks/:id/dependencies - Mark task as blocked by another
+router.post('/:id/dependencies', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  body('blockedById').isInt().withMessage('Blocking task ID must be an integer'),
+  validarCampos
+], addDependency);
+
+// DELETE /api/tasks/:id/dependencies/:blockedById - Remove dependency
+router.delete('/:id/dependencies/:blockedById', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  param('blockedById').isInt().withMessage('Blocking task ID must be an integer'),
+  validarCampos
+], removeDependency);
+
+// GET /api/tasks/:id/reminders - List my reminders for a task
+router.get('/:id/reminders', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], getReminders);
+
+// POST /api/tasks/:id/reminders - Add reminder
+router.post('/:id/reminders', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  body('offsetMinutes').optional().isInt({ min: 0 }).withMessage('Offset must be a positive number of minutes'),
+  body('atTime').optional().matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Time must use the HH:mm format'),
+  body('channel').optional().isIn(['email', 'webhook']).withMessage('Invalid channel'),
+  body('target')
+    .if(body('channel').equals('webhook'))
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('Webhook target must be a valid http(s) URL')
+    .bail()
+    .custom(hasPublicHost)
+    .withMessage('Webhook target must be a public host'),
+  validarCampos
+], createReminder);
+
+// DELETE /api/tasks/:id/reminders/:reminderId - Delete reminder
+router.delete('/:id/reminders/:reminderId', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  param('reminderId').isInt().withMessage('Reminder ID must be an integer'),
+  validarCampos
+], deleteReminder);
+
+// GET /api/tasks/:id/history - Audit trail of a task
+router.get('/:id/history', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], getHistory);
+
+// POST /api/tasks/:id/history/:revision/restore - Roll back to a revision
+router.post('/:id/history/:revision/restore', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  param('revision').isInt({ min: 1 }).withMessage('Revision must be a positive integer'),
+  body('force').optional().isBoolean().toBoolean(),
+  validarCampos
+], restoreRevision);
+
+// GET /api/tasks/:id/comments - Comments of a task, oldest first
+router.get('/:id/comments', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], getComments);
+
+// POST /api/tasks/:id/comments - Add comment (Markdown, @email mentions)
+router.post('/:id/comments', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  body('body')
+    .isString().withMessage('Body must be text')
+    .trim()
+    .notEmpty().withMessage('Comment cannot be empty')
+    .isLength({ max: Comment.MAX_LENGTH }).withMessage(`Comment cannot exceed ${Comment.MAX_LENGTH} characters`),
+  validarCampos
+], createComment);
+
+// PUT /api/tasks/:id/comments/:commentId - Edit my comment
+router.put('/:id/comments/:commentId', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  param('commentId').isInt().withMessage('Comment ID must be an integer'),
+  body('body')
+    .isString().withMessage('Body must be text')
+    .trim()
+    .notEmpty().withMessage('Comment cannot be empty')
+    .isLength({ max: Comment.MAX_LENGTH }).withMessage(`Comment cannot exceed ${Comment.MAX_LENGTH} characters`),
+  validarCampos
+], updateComment);
+
+// DELETE /api/tasks/:id/comments/:commentId - Delete comment
+router.delete('/:id/comments/:commentId', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  param('commentId').isInt().withMessage('Comment ID must be an integer'),
+  validarCampos
+], deleteComment);
+
+// GET /api/tasks/:id/activity - Comments and changes interleaved, newest first
+router.get('/:id/activity', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  query('before').optional().isString().withMessage('Before must be a date or the nextBefore of a previous page'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit must be between 1 and 200'),
+  validarCampos
+], getActivity);
+
+// GET /api/tasks/:id/attachments - Files attached to a task
+router.get('/:id/attachments', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], getAttachments);
+
+// POST /api/tasks/:id/attachments - Upload a file (multipart, field "file")
+router.post('/:id/attachments', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  validarCampos
+], uploadAttachment);
+
+// GET /api/tasks/:id/attachments/:attachmentId - Download a file
+router.get('/:id/attachments/:attachmentId', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  param('attachmentId').isInt().withMessage('Attachment ID must be an integer'),
+  validarCampos
+], downloadAttachment);
+
+// DELETE /api/tasks/:id/attachments/:attachmentId - Delete a file
+router.delete('/:id/attachments/:attachmentId', [
+  param('id').isInt().withMessage('ID must be an integer'),
+  param('attachmentId').isInt().withMessage('Attachment ID must be an integer'),
+  validarCampos
+], removeAttachment);
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,76 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const { protectRoute } = require('../middlewares/auth');
+const { validarCampos } = require('../middlewares/validation');
+const { TASK_EVENTS } = require('../services/taskEvents');
+const { hasPublicHost } = require('../utils/webhookTarget');
+
+// Import controllers
+const {
+  getWebhooks,
+  getWebhook,
+  createWebhook,
+  updateWebhook,
+  deleteWebhook,
+  rotateSecret,
+  getDeliveries
+} = require('../controllers/webhookController');
+
+const idParam = param('id').isInt().withMessage('ID must be an integer');
+
+const urlRule = (chain) => chain
+  .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+  .withMessage('URL must be a valid http(s) URL')
+  .bail()
+  .custom(hasPublicHost)
+  .withMessage('URL must point to a public host');
+
+const eventsRule = (chain) => chain
+  .isArray({ min: 1 }).withMessage('Events must be a non-empty list')
+  .custom(events => events.every(e => TASK_EVENTS.includes(e)))
+  .withMessage(`Events must be any of: ${TASK_EVENTS.join(', ')}`);
+
+// All routes require authentication
+router.use(protectRoute);
+
+// GET /api/webhooks - List my webhooks
+router.get('/', getWebhooks);
+
+// POST /api/webhooks - Register webhook
+router.post('/', [
+  urlRule(body('url')),
+  eventsRule(body('events')),
+  body('description').optional().trim().isLength({ max: 200 }),
+  validarCampos
+], createWebhook);
+
+// GET /api/webhooks/:id - Get webhook
+router.get('/:id', [idParam, validarCampos], getWebhook);
+
+// PUT /api/webhooks/:id - Update webhook
+router.put('/:id', [
+  idParam,
+  urlRule(body('url').optional()),
+  eventsRule(body('events').optional()),
+  body('description').optional().trim().isLength({ max: 200 }),
+  body('active').optional().isBoolean().toBoolean(),
+  validarCampos
+], updateWebhook);
+
+// DELETE /api/webhooks/:id - Delete webhook
+router.delete('/:id', [idParam, validarCampos], deleteWebhook);
+
+// POST /api/webhooks/:id/rotate-secret - Generate a new signing secret
+router.post('/:id/rotate-secret', [idParam, validarCampos], rotateSecret);
+
+// GET /api/webhooks/:id/deliveries - Delivery log
+router.get('/:id/deliveries', [
+  idParam,
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a number greater than 0'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('Limit must be between 1 and 100'),
+  query('status').optional().isIn(['pending', 'sent', 'failed']).withMessage('Invalid status'),
+  validarCampos
+], getDeliveries);
+
+module.exports = router;
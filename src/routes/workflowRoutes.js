@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const { protectRoute } = require('../middlewares/auth');
+const { validarCampos } = require('../middlewares/validation');
+const { workflowRules } = require('../validators/taskValidators');
+
+// Import controllers
+const { getWorkflow, updateWorkflow } = require('../controllers/workflowController');
+
+// All routes require authentication
+router.use(protectRoute);
+
+// GET /api/workflow - Statuses of my personal board
+router.get('/', getWorkflow);
+
+// PUT /api/workflow - Replace my personal statuses
+router.put('/', [
+  ...workflowRules,
+  validarCampos
+], updateWorkflow);
+
+module.exports = router;
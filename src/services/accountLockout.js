@@ -0,0 +1,86 @@
+// src/services/accountLockout.js
+// Brute-force protection per account, on top of the per-IP rate limits:
+// failed logins are counted on the user, slow down further attempts and
+// eventually lock the account until it expires or is unlocked.
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User } = require('../models');
+const { sendAccountUnlock } = require('./accountService');
+const { failureDelay, secondsUntil } = require('../utils/loginThrottle');
+const logger = require('../config/logger');
+
+const LOGIN_DELAY_AFTER = parseInt(process.env.LOGIN_DELAY_AFTER || '3');
+const LOGIN_MAX_DELAY_SECONDS = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS || '60');
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '10');
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '30');
+
+const THROTTLE = {
+  delayAfter: LOGIN_DELAY_AFTER,
+  maxDelayMs: LOGIN_MAX_DELAY_SECONDS * 1000,
+  lockoutThreshold: LOGIN_LOCKOUT_THRESHOLD,
+  lockoutMs: LOGIN_LOCKOUT_MINUTES * 60 * 1000
+};
+
+// null when the user may try to log in, else { retryAfter, lockedOut }
+const lockStatus = (user, now = new Date()) => {
+  const retryAfter = secondsUntil(user.lockedUntil, now);
+
+  if (retryAfter === 0) {
+    return null;
+  }
+
+  return {
+    retryAfter,
+    lockedOut: user.failedLoginAttempts >= LOGIN_LOCKOUT_THRESHOLD
+  };
+};
+
+// Count a failed attempt and set the wait it earns. Concurrent failures
+// are counted with a single UPDATE so none is lost.
+const recordFailedLogin = async (user) => {
+  const { failedLoginAttempts: failures } = await sequelize.query(`
+    UPDATE users SET "failedLoginAttempts" = "failedLoginAttempts" + 1
+    WHERE id = :id
+    RETURNING "failedLoginAttempts"
+  `, {
+    replacements: { id: user.id },
+    type: QueryTypes.SELECT,
+    plain: true
+  });
+
+  const { delayMs, lockout } = failureDelay(failures, THROTTLE);
+
+  if (delayMs > 0) {
+    const lockedUntil = new Date(Date.now() + delayMs);
+    await User.update({ lockedUntil }, { where: { id: user.id } });
+
+    if (lockout) {
+      logger.warn(`Account locked after ${failures} failed logins: user ${user.id}`);
+      sendAccountUnlock(user, lockedUntil)
+        .catch(error => logger.error(`Error sending unlock email to user ${user.id}:`, error));
+    }
+  }
+
+  return failures;
+};
+
+// Back to a clean slate: after a successful login, an unlock or a reset
+const unlockAccount = async (userId) => {
+  await User.update(
+    { failedLoginAttempts: 0, lockedUntil: null },
+    { where: { id: userId } }
+  );
+};
+
+const clearFailedLogins = async (user) => {
+  if (user.failedLoginAttempts > 0 || user.lockedUntil) {
+    await unlockAccount(user.id);
+  }
+};
+
+module.exports = {
+  lockStatus,
+  recordFailedLogin,
+  clearFailedLogins,
+  unlockAccount
+};
@@ -0,0 +1,157 @@
+// src/services/accountService.js
+// Account recovery, email verification and unlock. They mail the user a
+// random, single-use token that expires; only its hash is stored.
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { AccountToken } = require('../models');
+const { hashToken } = require('./refreshTokenService');
+const { sendMail } = require('./mailer');
+const logger = require('../config/logger');
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES || '60');
+const EMAIL_VERIFICATION_TTL_HOURS = parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS || '48');
+
+const TTL_MS = {
+  password_reset: PASSWORD_RESET_TTL_MINUTES * 60 * 1000,
+  email_verification: EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000
+};
+
+// Issue a token for `purpose`, superseding any unused one
+const createAccountToken = async (user, purpose, ttlMs = TTL_MS[purpose]) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const now = new Date();
+
+  await AccountToken.update(
+    { usedAt: now },
+    { where: { userId: user.id, purpose, usedAt: null } }
+  );
+
+  await AccountToken.create({
+    userId: user.id,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(now.getTime() + ttlMs)
+  });
+
+  return token;
+};
+
+// Redeem a token. A single conditional UPDATE marks it used, so two
+// concurrent requests cannot both succeed. Returns the user id or null.
+const consumeAccountToken = async (token, purpose) => {
+  if (typeof token !== 'string' || token.length === 0) {
+    return null;
+  }
+
+  const now = new Date();
+  const [count, rows] = await AccountToken.update(
+    { usedAt: now },
+    {
+      where: {
+        tokenHash: hashToken(token),
+        purpose,
+        usedAt: null,
+        expiresAt: { [Op.gt]: now }
+      },
+      returning: true
+    }
+  );
+
+  return count > 0 ? rows[0].userId : null;
+};
+
+// Link for the mail when a frontend is configured in APP_URL
+const appLink = (path, token) => (
+  process.env.APP_URL ? `${process.env.APP_URL.replace(/\/$/, '')}${path}?token=${token}` : null
+);
+
+const sendPasswordReset = async (user) => {
+  const token = await createAccountToken(user, 'password_reset');
+  const link = appLink('/reset-password', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Someone asked to reset the password of your Tasks API account.',
+      link ? `Choose a new password here: ${link}` : `Your reset token is: ${token}`,
+      '',
+      `This expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.`,
+      'If it was not you, ignore this email: your password has not changed.'
+    ].join('\n')
+  });
+
+  logger.info(`Password reset requested for user: ${user.id}`);
+};
+
+const sendEmailVerification = async (user) => {
+  const token = await createAccountToken(user, 'email_verification');
+  const link = appLink('/verify-email', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Confirm your email address',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Please confirm the email address of your Tasks API account.',
+      link ? `Confirm it here: ${link}` : `Your verification token is: ${token}`,
+      '',
+      `This expires in ${EMAIL_VERIFICATION_TTL_HOURS} hours.`
+    ].join('\n')
+  });
+
+  logger.info(`Email verification sent to user: ${user.id}`);
+};
+
+// Sent when too many failed logins lock the account; the link works until
+// the lock would expire anyway
+const sendAccountUnlock = async (user, lockedUntil) => {
+  const token = await createAccountToken(user, 'account_unlock', lockedUntil - Date.now());
+  const link = appLink('/unlock-account', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Your account has been locked',
+    text: [
+      `Hi ${user.name},`,
+      '',
+      'Your Tasks API account was locked after too many failed login attempts.',
+      `It unlocks by itself at ${lockedUntil.toISOString()}.`,
+      link ? `To unlock it now: ${link}` : `To unlock it now, use this token: ${token}`,
+      '',
+      'If these attempts were not yours, someone may know your email: consider changing your password.'
+    ].join('\n')
+  });
+
+  logger.info(`Account unlock email sent to user: ${user.id}`);
+};
+
+// Delete tokens that can no longer be redeemed
+const purgeAccountTokens = async (now = new Date()) => {
+  const count = await AccountToken.destroy({
+    where: {
+      [Op.or]: [
+        { usedAt: { [Op.ne]: null } },
+        { expiresAt: { [Op.lt]: now } }
+      ]
+    }
+  });
+
+  if (count > 0) {
+    logger.info(`Account tokens purged: ${count}`);
+  }
+
+  return count;
+};
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken,
+  sendPasswordReset,
+  sendEmailVerification,
+  sendAccountUnlock,
+  purgeAccountTokens
+};
@@ -0,0 +1,89 @@
+// src/services/apiKeyService.js
+// Personal API keys. The plain key is returned once, at creation; requests
+// authenticate with it through protectRoute.
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { ApiKey, User } = require('../models');
+const { hashToken } = require('./refreshTokenService');
+const { API_KEY_PREFIX } = require('../utils/apiKeys');
+const logger = require('../config/logger');
+
+// Usage is written at most this often per key, not on every request
+const USAGE_WRITE_INTERVAL_MS = 60 * 1000;
+
+const createApiKey = async (userId, { name, scopes, expiresAt }) => {
+  const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    userId,
+    name: name.trim(),
+    prefix: key.slice(0, 12),
+    keyHash: hashToken(key),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresAt || null
+  });
+
+  logger.info(`API key ${apiKey.id} created for user: ${userId}`);
+
+  return { apiKey, key };
+};
+
+const listApiKeys = (userId) => ApiKey.findAll({
+  where: { userId, revokedAt: null },
+  order: [['createdAt', 'DESC']]
+});
+
+// Returns the revoked key, or null if the user has no such active key
+const revokeApiKey = async (userId, id) => {
+  const apiKey = await ApiKey.findOne({ where: { id, userId, revokedAt: null } });
+
+  if (!apiKey) {
+    return null;
+  }
+
+  await apiKey.update({ revokedAt: new Date() });
+
+  logger.info(`API key ${apiKey.id} revoked for user: ${userId}`);
+
+  return apiKey;
+};
+
+// Find the active key and its owner, recording when and from where it
+// was used. Returns null for unknown, revoked or expired keys.
+const authenticateApiKey = async (key, ip) => {
+  const now = new Date();
+  const apiKey = await ApiKey.findOne({
+    where: {
+      keyHash: hashToken(key),
+      revokedAt: null,
+      [Op.or]: [
+        { expiresAt: null },
+        { expiresAt: { [Op.gt]: now } }
+      ]
+    },
+    include: [{
+      model: User,
+      as: 'usuario',
+      attributes: { exclude: ['password'] }
+    }]
+  });
+
+  if (!apiKey) {
+    return null;
+  }
+
+  const stale = !apiKey.lastUsedAt || now - apiKey.lastUsedAt >= USAGE_WRITE_INTERVAL_MS;
+
+  if (stale || apiKey.lastUsedIp !== ip) {
+    await apiKey.update({ lastUsedAt: now, lastUsedIp: ip });
+  }
+
+  return { apiKey, user: apiKey.usuario };
+};
+
+module.exports = {
+  createApiKey,
+  listApiKeys,
+  revokeApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,172 @@
+// src/services/attachmentService.js
+// Multipart uploads streamed into the attachment storage, quotas and
+// cleanup of files whose task is gone
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const multer = require('multer');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Attachment, User } = require('../models');
+const { getStorage } = require('./attachmentStorage');
+const { SNIFF_BYTES, sniffMimeType, safeFilename } = require('../utils/files');
+const logger = require('../config/logger');
+
+const ATTACHMENT_MAX_BYTES = parseInt(process.env.ATTACHMENT_MAX_BYTES || String(10 * 1024 * 1024));
+const ATTACHMENT_QUOTA_BYTES = parseInt(process.env.ATTACHMENT_QUOTA_BYTES || String(100 * 1024 * 1024));
+
+const CLEANUP_BATCH = 100;
+
+class AttachmentQuotaError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AttachmentQuotaError';
+  }
+}
+
+// Bytes stored by a user across all their attachments
+const usedBytes = async (userId) => {
+  const total = await Attachment.sum('size', { where: { userId } });
+  return Number(total) || 0;
+};
+
+// multer storage engine: streams the file into the storage backend while
+// measuring its size, hashing it and keeping its first bytes for sniffing
+const storageEngine = (userId) => ({
+  _handleFile(req, file, cb) {
+    const storageKey = `${userId}/${crypto.randomUUID()}`;
+    const hash = crypto.createHash('sha256');
+    let size = 0;
+    let head = Buffer.alloc(0);
+
+    const meter = new Transform({
+      transform(chunk, encoding, done) {
+        size += chunk.length;
+        hash.update(chunk);
+
+        if (head.length < SNIFF_BYTES) {
+          head = Buffer.concat([head, chunk.subarray(0, SNIFF_BYTES - head.length)]);
+        }
+
+        done(null, chunk);
+      }
+    });
+
+    file.stream.once('error', error => meter.destroy(error));
+
+    getStorage().write(storageKey, file.stream.pipe(meter))
+      .then(() => cb(null, {
+        storageKey,
+        size,
+        checksum: hash.digest('hex'),
+        sniffedType: sniffMimeType(head, file.mimetype)
+      }))
+      .catch(cb);
+  },
+
+  _removeFile(req, file, cb) {
+    if (!file.storageKey) {
+      return cb(null);
+    }
+
+    getStorage().remove(file.storageKey).then(() => cb(null), cb);
+  }
+});
+
+// Parse a multipart request with a single `file` part, storing it as it
+// arrives. Resolves with the stored file (or undefined when none was sent);
+// rejects with a MulterError such as LIMIT_FILE_SIZE, in which case nothing
+// is left in storage.
+const receiveUpload = (req, res, { userId, maxBytes }) => {
+  const upload = multer({
+    storage: storageEngine(userId),
+    limits: { fileSize: maxBytes, files: 1, fields: 10 },
+    defParamCharset: 'utf8'
+  }).single('file');
+
+  return new Promise((resolve, reject) => {
+    upload(req, res, (error) => (error ? reject(error) : resolve(req.file)));
+  });
+};
+
+// Record an uploaded file on a task. The quota checked before the upload
+// may have been used up by a parallel one meanwhile, so it is checked again
+// with the uploader's row locked until the new row is stored. The stored
+// file is removed again if the row cannot be created.
+const createAttachment = async (task, userId, file) => {
+  try {
+    return await sequelize.transaction(async (transaction) => {
+      await User.findByPk(userId, {
+        attributes: ['id'],
+        lock: transaction.LOCK.NO_KEY_UPDATE,
+        transaction
+      });
+
+      if (await usedBytes(userId) + file.size > ATTACHMENT_QUOTA_BYTES) {
+        throw new AttachmentQuotaError(`Storage quota of ${ATTACHMENT_QUOTA_BYTES} bytes exceeded. Delete attachments to free space`);
+      }
+
+      return Attachment.create({
+        taskId: task.id,
+        userId,
+        filename: safeFilename(file.originalname),
+        mimeType: file.sniffedType,
+        size: file.size,
+        checksum: file.checksum,
+        storageKey: file.storageKey
+      });
+    });
+  } catch (error) {
+    await getStorage().remove(file.storageKey);
+    throw error;
+  }
+};
+
+const deleteAttachment = async (attachment) => {
+  await attachment.destroy();
+
+  // A file left behind here only costs disk space; the row is gone either way
+  try {
+    await getStorage().remove(attachment.storageKey);
+  } catch (error) {
+    logger.error(`Error removing stored file of attachment ${attachment.id}:`, error);
+  }
+};
+
+// Remove the files of attachments whose task was purged (taskId set to
+// NULL by the foreign key), then their rows
+const removeOrphanedAttachments = async () => {
+  const orphans = await Attachment.findAll({
+    where: { taskId: { [Op.is]: null } },
+    order: [['id', 'ASC']],
+    limit: CLEANUP_BATCH
+  });
+
+  let removed = 0;
+
+  for (const attachment of orphans) {
+    try {
+      await getStorage().remove(attachment.storageKey);
+      await attachment.destroy();
+      removed++;
+    } catch (error) {
+      logger.error(`Error removing orphaned attachment ${attachment.id}:`, error);
+    }
+  }
+
+  if (removed > 0) {
+    logger.info(`Attachment cleanup: ${removed} files of purged tasks removed`);
+  }
+
+  return removed;
+};
+
+module.exports = {
+  AttachmentQuotaError,
+  ATTACHMENT_MAX_BYTES,
+  ATTACHMENT_QUOTA_BYTES,
+  usedBytes,
+  receiveUpload,
+  createAttachment,
+  deleteAttachment,
+  removeOrphanedAttachments
+};
@@ -0,0 +1,74 @@
+// src/services/attachmentStorage.js
+// Where attachment contents live. Every backend implements the same
+// interface, keyed by an opaque storage key chosen by the API:
+//   write(key, stream) -> Promise, stores the stream
+//   read(key)          -> Readable (emits an error with code 'ENOENT' if missing)
+//   remove(key)        -> Promise, succeeds if the key does not exist
+// STORAGE_DRIVER picks the backend.
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+const createLocalStorage = (root) => {
+  const base = path.resolve(root);
+
+  // Keys are generated by the API, but never let one escape the root
+  const fileFor = (key) => {
+    const file = path.resolve(base, key);
+
+    if (!file.startsWith(base + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+
+    return file;
+  };
+
+  return {
+    driver: 'local',
+
+    async write(key, stream) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+
+      try {
+        await pipeline(stream, fs.createWriteStream(file, { flags: 'wx' }));
+      } catch (error) {
+        await fs.promises.rm(file, { force: true });
+        throw error;
+      }
+    },
+
+    read(key) {
+      return fs.createReadStream(fileFor(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(fileFor(key), { force: true });
+    }
+  };
+};
+
+const DRIVERS = {
+  local: () => createLocalStorage(process.env.STORAGE_LOCAL_PATH || path.join(process.cwd(), 'uploads'))
+};
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    const driver = process.env.STORAGE_DRIVER || 'local';
+
+    if (!DRIVERS[driver]) {
+      throw new Error(`Unknown STORAGE_DRIVER "${driver}". Available: ${Object.keys(DRIVERS).join(', ')}`);
+    }
+
+    storage = DRIVERS[driver]();
+  }
+
+  return storage;
+};
+
+module.exports = {
+  createLocalStorage,
+  getStorage
+};
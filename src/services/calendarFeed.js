@@ -0,0 +1,38 @@
+// src/services/calendarFeed.js
+// Secret tokens for the calendar feed. Calendar apps cannot send a Bearer
+// header, so the feed URL itself carries a revocable token.
+const crypto = require('crypto');
+const { User } = require('../models');
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Issue a new feed token, replacing (and so revoking) the previous one.
+// Only the hash is stored: the token is shown to the user once.
+const rotateFeedToken = async (user) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  await user.update({ calendarTokenHash: hashToken(token) });
+  return token;
+};
+
+const revokeFeedToken = async (user) => {
+  await user.update({ calendarTokenHash: null });
+};
+
+const findUserByFeedToken = async (token) => {
+  if (typeof token !== 'string' || token.length === 0) {
+    return null;
+  }
+
+  return User.findOne({
+    where: { calendarTokenHash: hashToken(token) },
+    attributes: { exclude: ['password'] }
+  });
+};
+
+module.exports = {
+  rotateFeedToken,
+  revokeFeedToken,
+  findUserByFeedToken
+};
@@ -0,0 +1,108 @@
+// src/services/commentService.js
+// Comment mentions and the per-task activity feed
+const { Op } = require('sequelize');
+const { Comment, Notification, TaskHistory, User } = require('../models');
+const { taskReaderIds } = require('./taskAccess');
+const { extractMentions } = require('../utils/mentions');
+const { compareActivity, encodeActivityCursor, activityAfter } = require('../utils/activity');
+const logger = require('../config/logger');
+
+const actorAttributes = ['id', 'name', 'email'];
+
+// Notify users @mentioned in a comment. On edits only mentions that were
+// not in the previous body count. Users who cannot read the task and the
+// author are skipped. Returns the notified user ids.
+const notifyMentions = async (comment, task, previousBody = '') => {
+  const previous = new Set(extractMentions(previousBody));
+  const emails = extractMentions(comment.body).filter(email => !previous.has(email));
+
+  if (emails.length === 0) {
+    return [];
+  }
+
+  const [users, readers] = await Promise.all([
+    User.findAll({ where: { email: { [Op.in]: emails }, active: true }, attributes: ['id', 'email'] }),
+    taskReaderIds(task)
+  ]);
+
+  const recipients = users
+    .map(u => u.id)
+    .filter(id => readers.includes(id) && id !== comment.authorId);
+
+  if (recipients.length > 0) {
+    await Notification.bulkCreate(recipients.map(userId => ({
+      userId,
+      type: 'mention',
+      actorId: comment.authorId,
+      taskId: task.id,
+      commentId: comment.id
+    })));
+
+    logger.info(`Comment ${comment.id} mentioned users: ${recipients.join(', ')}`);
+  }
+
+  return recipients;
+};
+
+// Comments and field changes of a task, newest first. `after` is the
+// position to continue from (see utils/activity); nextBefore is the cursor
+// of the following page, null on the last one.
+const activityFeed = async (taskId, { after, limit }) => {
+  const [comments, changes] = await Promise.all([
+    Comment.findAll({
+      where: { taskId, ...activityAfter('comment', after) },
+      include: [{ model: User, as: 'author', attributes: actorAttributes }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1
+    }),
+    TaskHistory.findAll({
+      where: { taskId, ...activityAfter('change', after) },
+      attributes: { exclude: ['snapshot'] },
+      include: [{ model: User, as: 'actor', attributes: actorAttributes }],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit: limit + 1
+    })
+  ]);
+
+  const entries = [
+    ...comments.map(comment => ({
+      position: { at: comment.createdAt, type: 'comment', id: comment.id },
+      entry: {
+        type: 'comment',
+        at: comment.createdAt,
+        actor: comment.author,
+        comment: {
+          id: comment.id,
+          body: comment.body,
+          editedAt: comment.editedAt
+        }
+      }
+    })),
+    ...changes.map(change => ({
+      position: { at: change.createdAt, type: 'change', id: change.id },
+      entry: {
+        type: 'change',
+        at: change.createdAt,
+        actor: change.actor,
+        action: change.action,
+        revision: change.revision,
+        changes: change.changes
+      }
+    }))
+  ];
+
+  entries.sort((a, b) => compareActivity(a.position, b.position));
+
+  const page = entries.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    activity: page.map(({ entry }) => entry),
+    nextBefore: entries.length > limit ? encodeActivityCursor(last.position) : null
+  };
+};
+
+module.exports = {
+  notifyMentions,
+  activityFeed
+};
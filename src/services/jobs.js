@@ -0,0 +1,25 @@
+// src/services/jobs.js
+// Background jobs run by the in-process scheduler
+const { scheduleJob } = require('./scheduler');
+const { processDueReminders } = require('./reminderService');
+const { processPendingDeliveries, sendOverdueDigests } = require('./notificationService');
+const { processPendingWebhookDeliveries } = require('./webhookService');
+const { purgeExpired } = require('./trashService');
+const { removeOrphanedAttachments } = require('./attachmentService');
+const { purgeAccountTokens } = require('./accountService');
+const { purgeRateLimits } = require('./rateLimitStore');
+
+const MINUTE = 60 * 1000;
+
+const registerJobs = () => {
+  scheduleJob('reminders', MINUTE, processDueReminders);
+  scheduleJob('notification-retries', MINUTE, processPendingDeliveries);
+  scheduleJob('overdue-digest', 15 * MINUTE, sendOverdueDigests);
+  scheduleJob('webhook-retries', MINUTE / 2, processPendingWebhookDeliveries);
+  scheduleJob('trash-purge', 60 * MINUTE, purgeExpired);
+  scheduleJob('attachment-cleanup', 10 * MINUTE, removeOrphanedAttachments);
+  scheduleJob('account-token-purge', 60 * MINUTE, purgeAccountTokens);
+  scheduleJob('rate-limit-purge', 15 * MINUTE, purgeRateLimits);
+};
+
+module.exports = { registerJobs };
@@ -0,0 +1,41 @@
+// src/services/mailer.js
+const nodemailer = require('nodemailer');
+const logger = require('../config/logger');
+
+let transport;
+
+// SMTP transport configured from the environment. In development point
+// SMTP_HOST at the Mailpit container from docker-compose.
+const getTransport = () => {
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: parseInt(process.env.SMTP_PORT || '1025'),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASSWORD }
+        : undefined
+    });
+  }
+  return transport;
+};
+
+// Replace the transport, e.g. with nodemailer's jsonTransport in tests
+const setTransport = (customTransport) => {
+  transport = customTransport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+  const info = await getTransport().sendMail({
+    from: process.env.MAIL_FROM || 'Tasks API <no-reply@localhost>',
+    to,
+    subject,
+    text,
+    html
+  });
+
+  logger.debug(`Mail sent to ${to}: ${subject}`);
+  return info;
+};
+
+module.exports = { sendMail, setTransport };
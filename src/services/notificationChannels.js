@@ -0,0 +1,57 @@
+// src/services/notificationChannels.js
+// Delivery channels for notifications. A channel is an object with a `name`
+// and an async `send(target, message)` that throws when delivery fails;
+// new channels are plugged in with registerChannel().
+const { sendMail } = require('./mailer');
+const { assertPublicTarget } = require('../utils/webhookTarget');
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+const emailChannel = {
+  name: 'email',
+  send: async (target, message) => {
+    await sendMail({
+      to: target,
+      subject: message.subject,
+      text: message.text
+    });
+  }
+};
+
+const webhookChannel = {
+  name: 'webhook',
+  send: async (target, message) => {
+    await assertPublicTarget(target);
+
+    const response = await fetch(target, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(message),
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Webhook responded with status ${response.status}`);
+    }
+  }
+};
+
+const channels = new Map();
+
+const registerChannel = (channel) => {
+  channels.set(channel.name, channel);
+};
+
+const getChannel = (name) => {
+  const channel = channels.get(name);
+  if (!channel) {
+    throw new Error(`Unknown notification channel: ${name}`);
+  }
+  return channel;
+};
+
+registerChannel(emailChannel);
+registerChannel(webhookChannel);
+
+module.exports = { registerChannel, getChannel };
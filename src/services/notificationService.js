@@ -0,0 +1,186 @@
+// src/services/notificationService.js
+const { Op } = require('sequelize');
+const { NotificationDelivery, ProjectMember, Task, User } = require('../models');
+const { getChannel } = require('./notificationChannels');
+const logger = require('../config/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS || '5');
+const DIGEST_HOUR = parseInt(process.env.DIGEST_HOUR || '8');
+
+// Exponential backoff: 2, 4, 8... minutes, capped at one hour
+const retryDelay = (attempts) => Math.min(2 ** attempts, 60) * 60 * 1000;
+
+// Queue a notification. Returns null when one with the same dedupeKey exists.
+const queueDelivery = async (values) => {
+  try {
+    return await NotificationDelivery.create({
+      ...values,
+      status: 'pending',
+      nextAttemptAt: new Date()
+    });
+  } catch (error) {
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return null;
+    }
+    throw error;
+  }
+};
+
+// Try to send a delivery once and record the outcome
+const attemptDelivery = async (delivery) => {
+  const attempts = delivery.attempts + 1;
+
+  try {
+    await getChannel(delivery.channel).send(delivery.target, delivery.payload);
+
+    await delivery.update({
+      status: 'sent',
+      attempts,
+      deliveredAt: new Date(),
+      nextAttemptAt: null,
+      lastError: null
+    });
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+
+    await delivery.update({
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      lastError: error.message,
+      nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay(attempts))
+    });
+
+    logger.warn(`Delivery ${delivery.id} via ${delivery.channel} failed (attempt ${attempts}): ${error.message}`);
+  }
+
+  return delivery;
+};
+
+// Retry queued deliveries whose backoff has elapsed
+const processPendingDeliveries = async (limit = 50) => {
+  const deliveries = await NotificationDelivery.findAll({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { [Op.lte]: new Date() }
+    },
+    order: [['nextAttemptAt', 'ASC']],
+    limit
+  });
+
+  for (const delivery of deliveries) {
+    await attemptDelivery(delivery);
+  }
+
+  return deliveries.length;
+};
+
+const digestMessage = (tasks, now) => ({
+  event: 'tasks.overdue_digest',
+  subject: `You have ${tasks.length} overdue task${tasks.length === 1 ? '' : 's'}`,
+  text: tasks
+    .map(t => `- ${t.title} (due ${t.dueDate.toISOString().slice(0, 10)}, ${t.priority})`)
+    .join('\n'),
+  generatedAt: now,
+  tasks: tasks.map(t => ({
+    id: t.id,
+    title: t.title,
+    dueDate: t.dueDate,
+    priority: t.priority
+  }))
+});
+
+// Once a day, after DIGEST_HOUR (UTC), email each user the overdue tasks
+// they can read.
+// The per-day dedupeKey makes repeated runs harmless.
+const sendOverdueDigests = async (now = new Date()) => {
+  if (now.getUTCHours() < DIGEST_HOUR) {
+    return 0;
+  }
+
+  const day = now.toISOString().slice(0, 10);
+
+  const overdue = await Task.findAll({
+    where: {
+      completed: false,
+      dueDate: { [Op.lt]: now }
+    },
+    attributes: ['id', 'title', 'dueDate', 'priority', 'userId', 'projectId'],
+    order: [['dueDate', 'ASC']]
+  });
+
+  // Personal tasks go to their owner and project tasks to every member of
+  // the project. Only active users with a verified email get a digest.
+  const recipientWhere = { active: true, emailVerifiedAt: { [Op.ne]: null } };
+  const ownerIds = new Set(overdue.filter(t => !t.projectId).map(t => t.userId));
+  const projectIds = new Set(overdue.filter(t => t.projectId).map(t => t.projectId));
+
+  const [owners, members] = await Promise.all([
+    User.findAll({
+      where: { ...recipientWhere, id: { [Op.in]: [...ownerIds] } },
+      attributes: ['id', 'email']
+    }),
+    ProjectMember.findAll({
+      where: { projectId: { [Op.in]: [...projectIds] } },
+      attributes: ['projectId', 'userId'],
+      include: [{
+        model: User,
+        as: 'usuario',
+        where: recipientWhere,
+        attributes: ['id', 'email']
+      }]
+    })
+  ]);
+
+  const users = new Map(owners.map(u => [u.id, u]));
+  const projectReaders = new Map();
+  for (const member of members) {
+    users.set(member.userId, member.usuario);
+    if (!projectReaders.has(member.projectId)) {
+      projectReaders.set(member.projectId, []);
+    }
+    projectReaders.get(member.projectId).push(member.userId);
+  }
+
+  const byUser = new Map();
+  for (const task of overdue) {
+    const readerIds = task.projectId ? projectReaders.get(task.projectId) || [] : [task.userId];
+
+    for (const userId of readerIds.filter(id => users.has(id))) {
+      if (!byUser.has(userId)) {
+        byUser.set(userId, { user: users.get(userId), tasks: [] });
+      }
+      byUser.get(userId).tasks.push(task);
+    }
+  }
+
+  let sent = 0;
+
+  for (const { user, tasks } of byUser.values()) {
+    const delivery = await queueDelivery({
+      userId: user.id,
+      kind: 'digest',
+      channel: 'email',
+      target: user.email,
+      payload: digestMessage(tasks, now),
+      dedupeKey: `digest:${user.id}:${day}`
+    });
+
+    if (delivery) {
+      await attemptDelivery(delivery);
+      sent++;
+    }
+  }
+
+  if (sent > 0) {
+    logger.info(`Overdue digests queued: ${sent}`);
+  }
+
+  return sent;
+};
+
+module.exports = {
+  queueDelivery,
+  attemptDelivery,
+  processPendingDeliveries,
+  sendOverdueDigests
+};
@@ -0,0 +1,97 @@
+// src/services/rateLimitStore.js
+// Stores for express-rate-limit. The default in-memory store counts per
+// process, so with several API replicas each one allows the full limit;
+// RATE_LIMIT_STORE=postgres keeps the counters in the shared database.
+const { Op, QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { RateLimit } = require('../models');
+const logger = require('../config/logger');
+
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory';
+
+// Times come from the database clock so replicas agree on the windows
+const INCREMENT_SQL = `
+  INSERT INTO rate_limits ("key", hits, "resetAt")
+  VALUES (:key, 1, now() + :windowMs * interval '1 millisecond')
+  ON CONFLICT ("key") DO UPDATE SET
+    hits = CASE WHEN rate_limits."resetAt" <= now() THEN 1 ELSE rate_limits.hits + 1 END,
+    "resetAt" = CASE WHEN rate_limits."resetAt" <= now() THEN EXCLUDED."resetAt" ELSE rate_limits."resetAt" END
+  RETURNING hits, "resetAt"
+`;
+
+// `prefix` separates the counters of each limiter sharing the table
+const createPostgresStore = (prefix) => {
+  let windowMs;
+
+  return {
+    prefix,
+    localKeys: false,
+
+    init(options) {
+      windowMs = options.windowMs;
+    },
+
+    async get(key) {
+      const row = await RateLimit.findOne({
+        where: { key: prefix + key, resetAt: { [Op.gt]: sequelize.fn('now') } }
+      });
+
+      return row ? { totalHits: row.hits, resetTime: row.resetAt } : undefined;
+    },
+
+    async increment(key) {
+      const { hits, resetAt } = await sequelize.query(INCREMENT_SQL, {
+        replacements: { key: prefix + key, windowMs },
+        type: QueryTypes.SELECT,
+        plain: true
+      });
+
+      return { totalHits: hits, resetTime: new Date(resetAt) };
+    },
+
+    async decrement(key) {
+      await RateLimit.decrement('hits', {
+        where: { key: prefix + key, hits: { [Op.gt]: 0 } }
+      });
+    },
+
+    async resetKey(key) {
+      await RateLimit.destroy({ where: { key: prefix + key } });
+    },
+
+    async resetAll() {
+      await RateLimit.destroy({ where: { key: { [Op.startsWith]: prefix } } });
+    }
+  };
+};
+
+// Store for a limiter; undefined lets express-rate-limit use its MemoryStore
+const createRateLimitStore = (prefix) => {
+  if (RATE_LIMIT_STORE === 'postgres') {
+    return createPostgresStore(`${prefix}:`);
+  }
+
+  if (RATE_LIMIT_STORE !== 'memory') {
+    throw new Error(`Unknown RATE_LIMIT_STORE "${RATE_LIMIT_STORE}". Available: memory, postgres`);
+  }
+
+  return undefined;
+};
+
+// Delete counters whose window is over
+const purgeRateLimits = async () => {
+  const count = await RateLimit.destroy({
+    where: { resetAt: { [Op.lte]: sequelize.fn('now') } }
+  });
+
+  if (count > 0) {
+    logger.debug(`Expired rate limit counters purged: ${count}`);
+  }
+
+  return count;
+};
+
+module.exports = {
+  createRateLimitStore,
+  purgeRateLimits
+};
@@ -0,0 +1,106 @@
+// src/services/recurringTasks.js
+const { Op } = require('sequelize');
+const { Task } = require('../models');
+const { nextOccurrence, occurrencesBetween } = require('../utils/recurrence');
+const { recordHistory } = require('./taskHistory');
+
+// Fields copied from one occurrence to the next
+const COPIED_FIELDS = ['title', 'description', 'priority', 'tags', 'userId', 'projectId', 'parentId', 'recurrence'];
+
+// Create the occurrence that follows a completed recurring task.
+// Returns the new task, the existing one if it was already created, or
+// null when the series has ended.
+const createNextOccurrence = async (task, options = {}) => {
+  if (!task.recurrence || !task.dueDate) {
+    return null;
+  }
+
+  const dueDate = nextOccurrence(task.recurrence, task.dueDate, task.occurrence);
+
+  if (!dueDate) {
+    return null;
+  }
+
+  const seriesId = task.seriesId || task.id;
+  const occurrence = task.occurrence + 1;
+
+  // Completing, reopening and completing again must not fork the series
+  const existing = await Task.findOne({
+    where: { seriesId, occurrence },
+    transaction: options.transaction
+  });
+
+  if (existing) {
+    return existing;
+  }
+
+  if (!task.seriesId) {
+    await task.update({ seriesId }, { transaction: options.transaction });
+  }
+
+  const values = COPIED_FIELDS.reduce((acc, field) => {
+    acc[field] = task[field];
+    return acc;
+  }, {});
+
+  const next = await Task.create({
+    ...values,
+    dueDate,
+    seriesId,
+    occurrence
+  }, { transaction: options.transaction });
+
+  await recordHistory(next, 'create', options.actorId, null, options);
+
+  return next;
+};
+
+// Virtual occurrences of the open recurring tasks matching `where`,
+// computed on the fly and never written to the database
+const expandOccurrences = async (where, from, to, max = 200) => {
+  const tasks = await Task.findAll({
+    where: {
+      [Op.and]: [where],
+      completed: false,
+      recurrence: { [Op.ne]: null },
+      dueDate: { [Op.ne]: null, [Op.lte]: to }
+    }
+  });
+
+  const occurrences = [];
+
+  for (const task of tasks) {
+    const upcoming = occurrencesBetween(
+      task.recurrence,
+      task.dueDate,
+      task.occurrence,
+      from,
+      to,
+      max - occurrences.length
+    );
+
+    for (const { occurrence, dueDate } of upcoming) {
+      occurrences.push({
+        taskId: task.id,
+        seriesId: task.seriesId || task.id,
+        occurrence,
+        title: task.title,
+        priority: task.priority,
+        tags: task.tags,
+        dueDate,
+        virtual: true
+      });
+    }
+
+    if (occurrences.length >= max) {
+      break;
+    }
+  }
+
+  return occurrences.sort((a, b) => a.dueDate - b.dueDate);
+};
+
+module.exports = {
+  createNextOccurrence,
+  expandOccurrences
+};
@@ -0,0 +1,218 @@
+// src/services/refreshTokenService.js
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { RefreshToken, Session } = require('../models');
+const { generarToken, generarRefreshToken, verificarRefreshToken } = require('../utils/jwt');
+const { describeDevice } = require('../utils/userAgent');
+const logger = require('../config/logger');
+
+const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+// Error raised when a refresh token cannot be exchanged
+class RefreshTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.status = 401;
+  }
+}
+
+// Build the access token payload. `sid` ties the access token to its
+// refresh-token family so protectRoute can reject revoked sessions.
+const accessPayload = (user, family) => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  sid: family
+});
+
+// Sign a refresh token for the given family and persist its hash
+const storeRefreshToken = async (user, family, transaction) => {
+  const refreshToken = generarRefreshToken({
+    id: user.id,
+    family,
+    jti: crypto.randomUUID()
+  });
+  const { exp } = verificarRefreshToken(refreshToken);
+
+  const record = await RefreshToken.create({
+    tokenHash: hashToken(refreshToken),
+    family,
+    userId: user.id,
+    expiresAt: new Date(exp * 1000)
+  }, { transaction });
+
+  return { refreshToken, record };
+};
+
+// Start a new token family (login / register) and record it as a session
+// of the device described by `client` ({ userAgent, ip })
+const issueTokens = async (user, client = {}) => {
+  const family = crypto.randomUUID();
+
+  const refreshToken = await RefreshToken.sequelize.transaction(async (transaction) => {
+    const { refreshToken, record } = await storeRefreshToken(user, family, transaction);
+    const userAgent = client.userAgent ? client.userAgent.slice(0, 500) : null;
+
+    await Session.create({
+      id: family,
+      userId: user.id,
+      device: describeDevice(userAgent),
+      userAgent,
+      ip: client.ip || null,
+      lastSeenAt: new Date(),
+      expiresAt: record.expiresAt
+    }, { transaction });
+
+    return refreshToken;
+  });
+
+  return {
+    token: generarToken(accessPayload(user, family)),
+    refreshToken
+  };
+};
+
+// The revoke functions end sessions together with their refresh tokens and
+// return the number of sessions revoked
+const revokeFamily = async (family, transaction) => {
+  const now = new Date();
+  await RefreshToken.update(
+    { revokedAt: now },
+    { where: { family, revokedAt: null }, transaction }
+  );
+  const [count] = await Session.update(
+    { revokedAt: now },
+    { where: { id: family, revokedAt: null }, transaction }
+  );
+  return count;
+};
+
+// Revoke every session of a user (deactivation, password reset, log out
+// everywhere)
+const revokeUserTokens = async (userId, transaction) => {
+  const now = new Date();
+  await RefreshToken.update(
+    { revokedAt: now },
+    { where: { userId, revokedAt: null }, transaction }
+  );
+  const [count] = await Session.update(
+    { revokedAt: now },
+    { where: { userId, revokedAt: null }, transaction }
+  );
+  return count;
+};
+
+// Revoke every session of a user but the given one (password change)
+const revokeOtherSessions = async (userId, family) => {
+  const now = new Date();
+  await RefreshToken.update(
+    { revokedAt: now },
+    {
+      where: {
+        userId,
+        revokedAt: null,
+        ...(family && { family: { [Op.ne]: family } })
+      }
+    }
+  );
+  const [count] = await Session.update(
+    { revokedAt: now },
+    {
+      where: {
+        userId,
+        revokedAt: null,
+        ...(family && { id: { [Op.ne]: family } })
+      }
+    }
+  );
+  return count;
+};
+
+// Exchange a refresh token for a new pair. Presenting a token that was
+// already rotated means it leaked, so the whole family is revoked. The
+// session is marked as seen from `client` ({ ip }).
+const rotateTokens = async (refreshToken, loadUser, client = {}) => {
+  let decoded;
+  try {
+    decoded = verificarRefreshToken(refreshToken);
+  } catch (error) {
+    throw new RefreshTokenError('Invalid or expired refresh token');
+  }
+
+  // Throwing inside the transaction would roll back the family revocation,
+  // so rejections are returned and thrown once it has committed
+  const result = await RefreshToken.sequelize.transaction(async (transaction) => {
+    const current = await RefreshToken.findOne({
+      where: { tokenHash: hashToken(refreshToken) },
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    if (!current || current.userId !== decoded.id) {
+      return { rejected: 'Invalid refresh token' };
+    }
+
+    if (current.revokedAt) {
+      await revokeFamily(current.family, transaction);
+      logger.warn(`Refresh token reuse detected for user: ${current.userId}, family revoked`);
+      return { rejected: 'Refresh token has been revoked' };
+    }
+
+    const user = await loadUser(current.userId);
+    if (!user || !user.active) {
+      await revokeFamily(current.family, transaction);
+      return { rejected: 'User not found or inactive' };
+    }
+
+    const { refreshToken: nextToken, record } = await storeRefreshToken(
+      user,
+      current.family,
+      transaction
+    );
+
+    await current.update({ revokedAt: new Date(), replacedBy: record.id }, { transaction });
+    await Session.update(
+      { lastSeenAt: new Date(), expiresAt: record.expiresAt, ...(client.ip && { ip: client.ip }) },
+      { where: { id: current.family }, transaction }
+    );
+
+    return {
+      user,
+      token: generarToken(accessPayload(user, current.family)),
+      refreshToken: nextToken
+    };
+  });
+
+  if (result.rejected) {
+    throw new RefreshTokenError(result.rejected);
+  }
+
+  return result;
+};
+
+// Revoke the family of a refresh token. Unknown tokens are ignored.
+const revokeToken = async (refreshToken) => {
+  const current = await RefreshToken.findOne({
+    where: { tokenHash: hashToken(refreshToken) }
+  });
+
+  if (!current) {
+    return 0;
+  }
+
+  return revokeFamily(current.family);
+};
+
+module.exports = {
+  RefreshTokenError,
+  hashToken,
+  issueTokens,
+  rotateTokens,
+  revokeToken,
+  revokeFamily,
+  revokeUserTokens,
+  revokeOtherSessions
+};
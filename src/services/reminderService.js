@@ -0,0 +1,97 @@
+// src/services/reminderService.js
+const { Op } = require('sequelize');
+const { Reminder, Task, User } = require('../models');
+const { computeRemindAt } = require('../utils/reminders');
+const { queueDelivery, attemptDelivery } = require('./notificationService');
+const logger = require('../config/logger');
+
+const reminderMessage = (task) => ({
+  event: 'task.reminder',
+  subject: `Reminder: ${task.title}`,
+  text: `"${task.title}" is due on ${task.dueDate.toISOString()}.`,
+  task: {
+    id: task.id,
+    title: task.title,
+    dueDate: task.dueDate,
+    priority: task.priority
+  }
+});
+
+// Recompute the fire time of a task's reminders after its due date changed.
+// Reminders that already fired are re-armed if the new time is ahead.
+const syncReminders = async (task) => {
+  const reminders = await Reminder.findAll({
+    where: { taskId: task.id, status: { [Op.ne]: 'cancelled' } }
+  });
+
+  const now = new Date();
+
+  for (const reminder of reminders) {
+    const remindAt = computeRemindAt(reminder, task.dueDate);
+    const status = reminder.status === 'sent' && remindAt && remindAt > now
+      ? 'pending'
+      : reminder.status;
+
+    await reminder.update({ remindAt, status });
+  }
+};
+
+// Fire every pending reminder whose time has come
+const processDueReminders = async (limit = 100) => {
+  const reminders = await Reminder.findAll({
+    where: {
+      status: 'pending',
+      remindAt: { [Op.lte]: new Date() }
+    },
+    include: [
+      // Reminders of trashed tasks wait until the task is restored or purged
+      { model: Task, as: 'task', required: true },
+      { model: User, as: 'usuario', attributes: ['id', 'email', 'active'] }
+    ],
+    order: [['remindAt', 'ASC']],
+    limit
+  });
+
+  let fired = 0;
+
+  for (const reminder of reminders) {
+    const { task, usuario: user } = reminder;
+    const skip = task.completed || !user.active;
+
+    // Claim the reminder so a concurrent run does not send it twice
+    const [claimed] = await Reminder.update(
+      { status: skip ? 'cancelled' : 'sent' },
+      { where: { id: reminder.id, status: 'pending' } }
+    );
+
+    if (!claimed || skip) {
+      continue;
+    }
+
+    const delivery = await queueDelivery({
+      userId: user.id,
+      reminderId: reminder.id,
+      kind: 'reminder',
+      channel: reminder.channel,
+      target: reminder.channel === 'email' ? user.email : reminder.target,
+      payload: reminderMessage(task),
+      dedupeKey: `reminder:${reminder.id}:${reminder.remindAt.toISOString()}`
+    });
+
+    if (delivery) {
+      await attemptDelivery(delivery);
+      fired++;
+    }
+  }
+
+  if (fired > 0) {
+    logger.info(`Reminders fired: ${fired}`);
+  }
+
+  return fired;
+};
+
+module.exports = {
+  syncReminders,
+  processDueReminders
+};
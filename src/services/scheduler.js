@@ -0,0 +1,48 @@
+// src/services/scheduler.js
+// Minimal in-process job scheduler. Each job runs on a fixed interval and
+// never overlaps with itself; errors are logged and the job keeps running.
+const logger = require('../config/logger');
+
+const jobs = new Map();
+
+const scheduleJob = (name, intervalMs, fn) => {
+  jobs.set(name, { name, intervalMs, fn, timer: null, running: false });
+};
+
+const runJob = async (job) => {
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  try {
+    await job.fn();
+  } catch (error) {
+    logger.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+const startScheduler = () => {
+  for (const job of jobs.values()) {
+    if (!job.timer) {
+      job.timer = setInterval(() => runJob(job), job.intervalMs);
+      job.timer.unref();
+      logger.info(`Job scheduled: ${job.name} every ${job.intervalMs / 1000}s`);
+    }
+  }
+};
+
+const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearInterval(job.timer);
+    job.timer = null;
+  }
+};
+
+module.exports = {
+  scheduleJob,
+  startScheduler,
+  stopScheduler
+};
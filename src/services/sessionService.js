@@ -0,0 +1,51 @@
+// src/services/sessionService.js
+// The devices a user is logged in on. Sessions are created and revoked with
+// their refresh-token family (see refreshTokenService); this module looks
+// them up for protectRoute and the session endpoints.
+const { Op } = require('sequelize');
+const { Session } = require('../models');
+const { revokeFamily } = require('./refreshTokenService');
+
+// lastSeenAt is written at most this often per session, not on every request
+const SESSION_TOUCH_INTERVAL_MS = 60 * 1000;
+
+const activeWhere = () => ({
+  revokedAt: null,
+  expiresAt: { [Op.gt]: new Date() }
+});
+
+const findActiveSession = (id) => Session.findOne({ where: { id, ...activeWhere() } });
+
+// Record activity seen by protectRoute
+const touchSession = async (session, ip) => {
+  const stale = Date.now() - session.lastSeenAt >= SESSION_TOUCH_INTERVAL_MS;
+
+  if (stale || (ip && session.ip !== ip)) {
+    await session.update({ lastSeenAt: new Date(), ...(ip && { ip }) });
+  }
+};
+
+// Most recently used first
+const listSessions = (userId) => Session.findAll({
+  where: { userId, ...activeWhere() },
+  order: [['lastSeenAt', 'DESC']]
+});
+
+// Returns false if the user has no such active session
+const revokeSession = async (userId, id) => {
+  const session = await Session.findOne({ where: { id, userId, ...activeWhere() } });
+
+  if (!session) {
+    return false;
+  }
+
+  await revokeFamily(session.id);
+  return true;
+};
+
+module.exports = {
+  findActiveSession,
+  touchSession,
+  listSessions,
+  revokeSession
+};
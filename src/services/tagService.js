@@ -0,0 +1,114 @@
+// src/services/tagService.js
+// Tag catalogue kept in step with Task.tags. The catalogue is per user, so
+// renames, merges and deletes rewrite the tags of the owner's personal
+// tasks, trashed ones included; project tasks other members see are left
+// alone.
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Task, Tag } = require('../models');
+const { snapshotOf, recordHistory } = require('./taskHistory');
+const { emitTaskEvent } = require('./taskEvents');
+const { normalizeTags } = require('../utils/tags');
+
+// Add any tags missing from the user's catalogue
+const ensureTags = async (userId, tags) => {
+  if (!Array.isArray(tags) || tags.length === 0) {
+    return;
+  }
+
+  await Tag.bulkCreate(
+    tags.map(name => ({ userId, name })),
+    { ignoreDuplicates: true }
+  );
+};
+
+// { tagName: number of (non-trashed) personal tasks using it }
+const tagUsage = async (userId) => {
+  const rows = await Task.findAll({
+    where: { userId, projectId: null },
+    attributes: [
+      [sequelize.fn('unnest', sequelize.col('tags')), 'tag'],
+      [sequelize.fn('COUNT', sequelize.col('id')), 'count']
+    ],
+    group: ['tag'],
+    raw: true
+  });
+
+  return rows.reduce((acc, row) => {
+    acc[row.tag] = parseInt(row.count);
+    return acc;
+  }, {});
+};
+
+// Catalogue with usage counts. Tags only found on tasks (e.g. written
+// before the catalogue existed) are added to it first.
+const listTags = async (userId) => {
+  const usage = await tagUsage(userId);
+  await ensureTags(userId, Object.keys(usage));
+
+  const tags = await Tag.findAll({
+    where: { userId },
+    order: [['name', 'ASC']]
+  });
+
+  return tags.map(tag => ({ ...tag.toJSON(), taskCount: usage[tag.name] || 0 }));
+};
+
+// Replace tag `from` with `to` (or remove it when `to` is null) on every
+// personal task of the user, recording each change in the task history.
+// Returns the number of tasks changed.
+const retagTasks = async (userId, from, to, actorId, { emit = emitTaskEvent } = {}) => {
+  const tasks = await Task.findAll({
+    where: { userId, projectId: null, tags: { [Op.contains]: [from] } },
+    paranoid: false
+  });
+
+  for (const task of tasks) {
+    const before = snapshotOf(task);
+    const tags = normalizeTags(task.tags.map(t => (t === from ? to : t)).filter(Boolean));
+
+    await task.update({ tags });
+    await recordHistory(task, 'update', actorId, before);
+
+    if (!task.deletedAt) {
+      emit('task.updated', task, actorId);
+    }
+  }
+
+  return tasks.length;
+};
+
+// Run a catalogue change in a transaction; task events go out on commit
+const inTransaction = async (work) => {
+  const events = [];
+  const result = await sequelize.transaction(() => work((...args) => events.push(args)));
+  events.forEach(args => emitTaskEvent(...args));
+  return result;
+};
+
+const renameTag = (tag, name, actorId) => inTransaction(async (emit) => {
+  const tasks = await retagTasks(tag.userId, tag.name, name, actorId, { emit });
+  await tag.update({ name });
+  return tasks;
+});
+
+// Move every task from `source` to `target` and drop `source`
+const mergeTags = (source, target, actorId) => inTransaction(async (emit) => {
+  const tasks = await retagTasks(source.userId, source.name, target.name, actorId, { emit });
+  await source.destroy();
+  return tasks;
+});
+
+const deleteTag = (tag, actorId) => inTransaction(async (emit) => {
+  const tasks = await retagTasks(tag.userId, tag.name, null, actorId, { emit });
+  await tag.destroy();
+  return tasks;
+});
+
+module.exports = {
+  ensureTags,
+  listTags,
+  renameTag,
+  mergeTags,
+  deleteTag
+};
@@ -0,0 +1,121 @@
+// src/services/taskAccess.js
+const { Op } = require('sequelize');
+const { Task, ProjectMember } = require('../models');
+const { searchConditions } = require('./taskSearch');
+const { normalizeTags } = require('../utils/tags');
+const { WRITE_ROLES, canWrite, taskAccessFor } = require('../utils/projectRoles');
+
+const getProjectRole = async (projectId, userId) => {
+  const membership = await ProjectMember.findOne({
+    where: { projectId, userId },
+    attributes: ['role']
+  });
+  return membership ? membership.role : null;
+};
+
+// Where clause matching every task a user can read: their personal tasks
+// plus the tasks of every project they are a member of. Creating a project
+// task gives no access of its own once the creator leaves the project.
+const readableTasksWhere = async (userId) => {
+  const memberships = await ProjectMember.findAll({
+    where: { userId },
+    attributes: ['projectId']
+  });
+
+  if (memberships.length === 0) {
+    return { userId, projectId: null };
+  }
+
+  return {
+    [Op.or]: [
+      { userId, projectId: null },
+      { projectId: { [Op.in]: memberships.map(m => m.projectId) } }
+    ]
+  };
+};
+
+// Ids of the users who can currently read a task: the owner of a personal
+// task, or every member of the task's project.
+const taskReaderIds = async (task) => {
+  if (!task.projectId) {
+    return [task.userId];
+  }
+
+  const members = await ProjectMember.findAll({
+    where: { projectId: task.projectId },
+    attributes: ['userId']
+  });
+  return members.map(m => m.userId);
+};
+
+// Where clause for the task list filters (completed, status, priority,
+// projectId, parentId, tags, search) shared by the listing and the calendar feed.
+// Returns null when the requested project is not visible to the user.
+const taskFiltersWhere = async (userId, filters = {}) => {
+  const { completed, status, priority, projectId, parentId, tags, tagMatch, search } = filters;
+  const where = { [Op.and]: [await readableTasksWhere(userId)] };
+
+  if (projectId) {
+    if (!(await getProjectRole(projectId, userId))) {
+      return null;
+    }
+    where.projectId = projectId;
+  }
+
+  if (parentId) {
+    where.parentId = parentId;
+  }
+
+  if (completed !== undefined) {
+    where.completed = completed === 'true';
+  }
+
+  if (status) {
+    where.status = status;
+  }
+
+  if (priority) {
+    where.priority = priority;
+  }
+
+  // Any of the tags by default, all of them with tagMatch=all
+  if (tags) {
+    const list = normalizeTags([].concat(tags).flatMap(t => String(t).split(',')));
+    if (list.length > 0) {
+      where.tags = { [tagMatch === 'all' ? Op.contains : Op.overlap]: list };
+    }
+  }
+
+  // Full-text search plus tag:, priority:, due: and is: filters
+  if (search) {
+    where[Op.and].push(...searchConditions(search));
+  }
+
+  return where;
+};
+
+// Load a task the user can access: personal tasks by their owner, project
+// tasks by the members of the project, with the rights of their role.
+// Returns { task, role, canWrite } or null when the task is not visible.
+const findAccessibleTask = async (id, userId, options = {}) => {
+  const task = await Task.findByPk(id, options);
+
+  if (!task) {
+    return null;
+  }
+
+  const role = task.projectId ? await getProjectRole(task.projectId, userId) : null;
+  const access = taskAccessFor(task, userId, role);
+
+  return access && { task, ...access };
+};
+
+module.exports = {
+  WRITE_ROLES,
+  canWrite,
+  getProjectRole,
+  readableTasksWhere,
+  taskReaderIds,
+  taskFiltersWhere,
+  findAccessibleTask
+};
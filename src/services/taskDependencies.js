@@ -0,0 +1,97 @@
+// src/services/taskDependencies.js
+const { Op } = require('sequelize');
+const { Task, TaskDependency } = require('../models');
+const { hasPath } = require('../utils/graph');
+
+// Ids of the tasks that block any of the given tasks
+const blockersOf = async (ids) => {
+  const rows = await TaskDependency.findAll({
+    where: { taskId: { [Op.in]: ids } },
+    attributes: ['blockedById']
+  });
+  return rows.map(r => r.blockedById);
+};
+
+// Ids of the ancestors one level up from the given tasks
+const parentsOf = async (ids) => {
+  const rows = await Task.findAll({
+    where: { id: { [Op.in]: ids }, parentId: { [Op.ne]: null } },
+    attributes: ['parentId']
+  });
+  return rows.map(r => r.parentId);
+};
+
+// Adding "taskId blocked by blockedById" closes a cycle when taskId
+// already (transitively) blocks blockedById
+const wouldCreateDependencyCycle = (taskId, blockedById) => {
+  return hasPath(blockersOf, blockedById, taskId);
+};
+
+// Making parentId the parent of taskId closes a cycle when taskId is
+// parentId itself or one of its ancestors
+const wouldCreateParentCycle = (taskId, parentId) => {
+  return hasPath(parentsOf, parentId, taskId);
+};
+
+// Blocking tasks that are still open
+const findOpenBlockers = async (taskId) => {
+  const task = await Task.findByPk(taskId, {
+    include: [{
+      model: Task,
+      as: 'blockedBy',
+      where: { completed: false },
+      attributes: ['id', 'title', 'completed'],
+      through: { attributes: [] }
+    }]
+  });
+  return task ? task.blockedBy : [];
+};
+
+// Completion roll-up: { [parentId]: { total, completed } }
+const getSubtaskProgress = async (parentIds) => {
+  if (parentIds.length === 0) {
+    return {};
+  }
+
+  const rows = await Task.findAll({
+    where: { parentId: { [Op.in]: parentIds } },
+    attributes: [
+      'parentId',
+      [Task.sequelize.fn('COUNT', Task.sequelize.col('id')), 'total'],
+      [
+        Task.sequelize.fn(
+          'SUM',
+          Task.sequelize.literal('CASE WHEN "completed" THEN 1 ELSE 0 END')
+        ),
+        'completed'
+      ]
+    ],
+    group: ['parentId'],
+    raw: true
+  });
+
+  return rows.reduce((acc, row) => {
+    acc[row.parentId] = {
+      total: parseInt(row.total),
+      completed: parseInt(row.completed)
+    };
+    return acc;
+  }, {});
+};
+
+// Serialize tasks with their subtask roll-up attached
+const withSubtaskProgress = async (tasks) => {
+  const progress = await getSubtaskProgress(tasks.map(t => t.id));
+  return tasks.map(task => ({
+    ...task.toJSON(),
+    subtasks: progress[task.id] || { total: 0, completed: 0 }
+  }));
+};
+
+module.exports = {
+  wouldCreateDependencyCycle,
+  wouldCreateParentCycle,
+  findOpenBlockers,
+  getSubtaskProgress,
+  withSubtaskProgress
+};
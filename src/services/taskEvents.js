@@ -0,0 +1,42 @@
+// src/services/taskEvents.js
+// In-process bus for task lifecycle events. Controllers emit, integrations
+// (webhooks, streaming...) subscribe with onTaskEvent().
+const { EventEmitter } = require('events');
+const logger = require('../config/logger');
+
+const TASK_EVENTS = [
+  'task.created',
+  'task.updated',
+  'task.completed',
+  'task.deleted',
+  'task.restored'
+];
+
+const emitter = new EventEmitter();
+
+const emitTaskEvent = (event, task, actorId) => {
+  const data = task.toJSON ? task.toJSON() : task;
+
+  emitter.emit('event', {
+    event,
+    userId: data.userId,
+    actorId,
+    occurredAt: new Date(),
+    task: data
+  });
+};
+
+// Subscribers run asynchronously and must never break the request
+const onTaskEvent = (handler) => {
+  emitter.on('event', (payload) => {
+    Promise.resolve()
+      .then(() => handler(payload))
+      .catch((error) => logger.error(`Task event handler failed for ${payload.event}:`, error));
+  });
+};
+
+module.exports = {
+  TASK_EVENTS,
+  emitTaskEvent,
+  onTaskEvent
+};
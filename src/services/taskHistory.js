@@ -0,0 +1,69 @@
+// src/services/taskHistory.js
+const { sequelize, namespace } = require('../config/database');
+const { Task, TaskHistory } = require('../models');
+const { pickFields, diffFields } = require('../utils/diff');
+
+// Fields tracked by the audit trail and restorable from a revision
+const TRACKED_FIELDS = [
+  'title',
+  'description',
+  'completed',
+  'status',
+  'dueDate',
+  'priority',
+  'tags',
+  'projectId',
+  'parentId',
+  'recurrence'
+];
+
+const snapshotOf = (task) => pickFields(task, TRACKED_FIELDS);
+
+// Append a revision. `before` is a snapshot taken before the change (null on
+// create); the state after the change is read from `task` unless deleted.
+const recordHistory = async (task, action, actorId, before = null, options = {}) => {
+  const after = ['delete', 'purge'].includes(action) ? null : snapshotOf(task);
+  const changes = diffFields(before, after, TRACKED_FIELDS);
+
+  // Updates that touched nothing tracked are not worth a revision
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  // Two writers reading the same max(revision) would collide on the unique
+  // (taskId, revision) index, so the task row stays locked until the
+  // revision is stored. Inside a transaction (passed in or the CLS one) the
+  // lock lives as long as it; otherwise a short one is opened here.
+  const append = async (transaction) => {
+    await Task.findByPk(task.id, {
+      attributes: ['id'],
+      paranoid: false,
+      lock: transaction.LOCK.UPDATE,
+      transaction
+    });
+
+    const last = await TaskHistory.max('revision', {
+      where: { taskId: task.id },
+      transaction
+    });
+
+    return TaskHistory.create({
+      taskId: task.id,
+      revision: (last || 0) + 1,
+      action,
+      actorId,
+      changes,
+      snapshot: after
+    }, { transaction });
+  };
+
+  const current = options.transaction || namespace.get('transaction');
+
+  return current ? append(current) : sequelize.transaction(append);
+};
+
+module.exports = {
+  TRACKED_FIELDS,
+  snapshotOf,
+  recordHistory
+};
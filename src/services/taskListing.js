@@ -0,0 +1,133 @@
+// src/services/taskListing.js
+// Sorting, field projection and offset or cursor pages for the task list
+const { Op } = require('sequelize');
+const { Task } = require('../models');
+const { withSubtaskProgress } = require('./taskDependencies');
+const { TaskOperationError } = require('./taskService');
+const { pickFields } = require('../utils/diff');
+const {
+  parseSort,
+  withTiebreaker,
+  reverseSort,
+  keysetWhere,
+  encodeCursor,
+  decodeCursor
+} = require('../utils/pagination');
+
+const TASK_SORT_FIELDS = ['id', 'title', 'dueDate', 'priority', 'completed', 'status', 'position', 'createdAt', 'updatedAt'];
+const DEFAULT_TASK_SORT = 'completed,dueDate,-createdAt';
+
+const MODEL_FIELDS = Object.keys(Task.rawAttributes).filter(f => !['searchVector', 'deletedAt'].includes(f));
+const SEARCH_FIELDS = ['rank', 'titleHighlight', 'descriptionHighlight'];
+
+// Fields a client can ask for with ?fields=
+const TASK_LIST_FIELDS = [...MODEL_FIELDS, 'subtasks', ...SEARCH_FIELDS];
+
+// Sort from ?sort= (already validated), ending in the id so rows never tie
+const resolveSort = (value) => withTiebreaker(parseSort(value || DEFAULT_TASK_SORT, TASK_SORT_FIELDS).sort);
+
+// Columns to load: the requested fields plus the ones pages are keyed on
+const selectAttributes = (fields, sort, ranking) => {
+  if (!fields) {
+    return ranking ? { include: ranking.attributes } : undefined;
+  }
+
+  const columns = new Set(['id', ...sort.map(s => s.field), ...fields.filter(f => MODEL_FIELDS.includes(f))]);
+  const extras = ranking ? ranking.attributes.filter(([, alias]) => fields.includes(alias)) : [];
+
+  return [...columns, ...extras];
+};
+
+// Serialize rows, keeping only the requested fields (the id is always sent)
+const projectTasks = async (rows, fields) => {
+  if (!fields) {
+    return withSubtaskProgress(rows);
+  }
+
+  const tasks = fields.includes('subtasks')
+    ? await withSubtaskProgress(rows)
+    : rows.map(row => row.toJSON());
+
+  return tasks.map(task => pickFields(task, ['id', ...fields.filter(f => f !== 'id')]));
+};
+
+const toOrder = (sort) => sort.map(({ field, direction }) => [field, direction]);
+
+// Classic page/limit listing. A text search without an explicit sort is
+// ordered by relevance first.
+const findOffsetPage = async ({ where, sort, explicitSort, ranking, attributes, page, limit }) => {
+  const { count, rows } = await Task.findAndCountAll({
+    where,
+    ...(attributes && { attributes }),
+    limit,
+    offset: (page - 1) * limit,
+    order: [
+      ...(ranking && !explicitSort ? ranking.order : []),
+      ...toOrder(sort)
+    ]
+  });
+
+  return {
+    rows,
+    pagination: {
+      total: count,
+      page,
+      limit,
+      totalPages: Math.ceil(count / limit)
+    }
+  };
+};
+
+// Keyset listing: the cursor holds the sort values of the row to continue
+// from, so pages stay stable while tasks are added or removed
+const findCursorPage = async ({ where, sort, attributes, cursor, limit }) => {
+  const position = cursor ? decodeCursor(cursor, sort) : null;
+
+  if (cursor && !position) {
+    throw new TaskOperationError(400, 'Invalid cursor. Cursors only work with the sort they were issued for');
+  }
+
+  const backwards = position !== null && position.direction === 'prev';
+  const order = backwards ? reverseSort(sort) : sort;
+
+  const rows = await Task.findAll({
+    where: position ? { [Op.and]: [where, keysetWhere(order, position.values)] } : where,
+    ...(attributes && { attributes }),
+    order: toOrder(order),
+    limit: limit + 1
+  });
+
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+
+  if (backwards) {
+    page.reverse();
+  }
+
+  const first = page[0];
+  const last = page[page.length - 1];
+
+  // Paging backwards, the rows after this page are the ones we came from
+  const hasNext = backwards ? Boolean(last) : hasMore;
+  const hasPrev = backwards ? hasMore : Boolean(position && first);
+
+  return {
+    rows: page,
+    pagination: {
+      limit,
+      next: hasNext ? encodeCursor(sort, last, 'next') : null,
+      prev: hasPrev ? encodeCursor(sort, first, 'prev') : null
+    }
+  };
+};
+
+module.exports = {
+  TASK_SORT_FIELDS,
+  TASK_LIST_FIELDS,
+  DEFAULT_TASK_SORT,
+  resolveSort,
+  selectAttributes,
+  projectTasks,
+  findOffsetPage,
+  findCursorPage
+};
@@ -0,0 +1,74 @@
+// src/services/taskSearch.js
+// Turns a parsed search (see utils/searchQuery) into task where conditions,
+// relevance ordering and highlighted snippets
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { SEARCH_CONFIG, parseSearch, toTsQuery } = require('../utils/searchQuery');
+const { normalizeTag } = require('../utils/tags');
+
+const HIGHLIGHT = 'StartSel=<mark>, StopSel=</mark>';
+
+const tsQuery = (query) => sequelize.fn('to_tsquery', SEARCH_CONFIG, query);
+
+// Conditions to AND into the task where clause
+const searchConditions = (search) => {
+  const { terms, tags, priorities, due, completed } = parseSearch(search);
+  const conditions = [];
+  const query = toTsQuery(terms);
+
+  if (query) {
+    conditions.push({ searchVector: { [Op.match]: tsQuery(query) } });
+  }
+
+  for (const { tag, negated } of tags) {
+    const hasTag = { tags: { [Op.contains]: [normalizeTag(tag)] } };
+    conditions.push(negated ? { [Op.not]: hasTag } : hasTag);
+  }
+
+  for (const { priority, negated } of priorities) {
+    conditions.push({ priority: negated ? { [Op.ne]: priority } : priority });
+  }
+
+  for (const { from, before } of due) {
+    conditions.push({
+      dueDate: {
+        ...(from && { [Op.gte]: from }),
+        ...(before && { [Op.lt]: before })
+      }
+    });
+  }
+
+  if (completed !== undefined) {
+    conditions.push({ completed });
+  }
+
+  return conditions;
+};
+
+// Extra attributes and ordering for a text search: the relevance `rank` and
+// a `highlight` of the matching title and description. Null without text.
+const searchRanking = (search) => {
+  const query = toTsQuery(parseSearch(search).terms);
+
+  if (!query) {
+    return null;
+  }
+
+  const rank = sequelize.fn('ts_rank_cd', sequelize.col('searchVector'), tsQuery(query));
+
+  return {
+    attributes: [
+      [rank, 'rank'],
+      [sequelize.fn('ts_headline', SEARCH_CONFIG, sequelize.col('title'), tsQuery(query),
+        `${HIGHLIGHT}, HighlightAll=true`), 'titleHighlight'],
+      [sequelize.fn('ts_headline', SEARCH_CONFIG, sequelize.fn('coalesce', sequelize.col('description'), ''),
+        tsQuery(query), `${HIGHLIGHT}, MaxFragments=2, MinWords=5, MaxWords=20`), 'descriptionHighlight']
+    ],
+    order: [[rank, 'DESC']]
+  };
+};
+
+module.exports = {
+  searchConditions,
+  searchRanking
+};
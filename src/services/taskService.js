@@ -0,0 +1,312 @@
+// src/services/taskService.js
+// Task write operations shared by the REST handlers and the bulk endpoint.
+// Business-rule failures throw TaskOperationError with the HTTP status to use.
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Task, WorkflowStatus } = require('../models');
+const logger = require('../config/logger');
+const { canWrite, getProjectRole, findAccessibleTask } = require('./taskAccess');
+const { wouldCreateParentCycle, findOpenBlockers } = require('./taskDependencies');
+const { createNextOccurrence } = require('./recurringTasks');
+const { syncReminders } = require('./reminderService');
+const { emitTaskEvent } = require('./taskEvents');
+const { snapshotOf, recordHistory } = require('./taskHistory');
+const { trashTask } = require('./trashService');
+const { ensureTags } = require('./tagService');
+const { normalizeTags } = require('../utils/tags');
+const { statusForCompletion, checkTransition } = require('../utils/workflow');
+
+class TaskOperationError extends Error {
+  constructor(status, message, data) {
+    super(message);
+    this.name = 'TaskOperationError';
+    this.status = status;
+    this.data = data;
+  }
+}
+
+// Load a task the user can change, or throw
+const findWritableTask = async (id, userId, action = 'modify') => {
+  const access = await findAccessibleTask(id, userId);
+
+  if (!access) {
+    throw new TaskOperationError(404, 'Task not found');
+  }
+
+  if (!access.canWrite) {
+    throw new TaskOperationError(403, `You do not have permission to ${action} this task`);
+  }
+
+  return access.task;
+};
+
+// Subtasks need write access to their parent
+const checkParent = async (parentId, userId) => {
+  const parent = await findAccessibleTask(parentId, userId);
+
+  if (!parent) {
+    throw new TaskOperationError(404, 'Parent task not found');
+  }
+
+  if (!parent.canWrite) {
+    throw new TaskOperationError(403, 'You cannot add subtasks to this task');
+  }
+
+  return parent.task;
+};
+
+// `emit` lets callers defer events, e.g. until a transaction commits
+const createTask = async (userId, values, { emit = emitTaskEvent } = {}) => {
+  const { title, description, dueDate, priority, parentId, recurrence, status } = values;
+  const tags = normalizeTags(values.tags);
+  let { projectId } = values;
+
+  if (recurrence && !dueDate) {
+    throw new TaskOperationError(400, 'Recurring tasks need a due date');
+  }
+
+  // Subtasks live in their parent's project
+  if (parentId) {
+    const parent = await checkParent(parentId, userId);
+    projectId = parent.projectId;
+  }
+
+  // Only project owners and editors can add tasks to a project
+  if (projectId) {
+    const role = await getProjectRole(projectId, userId);
+    if (!canWrite(role)) {
+      throw role
+        ? new TaskOperationError(403, 'You cannot add tasks to this project')
+        : new TaskOperationError(404, 'Project not found');
+    }
+  }
+
+  const task = await Task.create({
+    title,
+    description,
+    dueDate,
+    priority,
+    tags,
+    userId,
+    projectId,
+    parentId,
+    recurrence,
+    status
+  });
+
+  await ensureTags(userId, tags);
+  await recordHistory(task, 'create', userId);
+
+  logger.info(`Task created: ${task.id} by user: ${userId}`);
+  emit('task.created', task, userId);
+
+  return task;
+};
+
+// Returns { task, nextTask } where nextTask is the next occurrence created
+// when a recurring task is completed. `action` names the history entry
+// (restoring a revision goes through here too).
+const updateTask = async (userId, id, values, { emit = emitTaskEvent, action } = {}) => {
+  const {
+    title,
+    description,
+    completed,
+    status,
+    dueDate,
+    priority,
+    projectId,
+    parentId,
+    recurrence,
+    force
+  } = values;
+  const tags = normalizeTags(values.tags);
+
+  const task = await findWritableTask(id, userId);
+
+  // Subtasks live in their parent's project: a new parent brings the task
+  // into its project, and a subtask only changes project with its parent
+  let targetProjectId = projectId;
+
+  if (parentId !== undefined && parentId !== null && parentId !== task.parentId) {
+    const parent = await checkParent(parentId, userId);
+
+    if (await wouldCreateParentCycle(task.id, parentId)) {
+      throw new TaskOperationError(400, 'A task cannot be a subtask of itself or of its own subtasks');
+    }
+
+    targetProjectId = parent.projectId;
+  } else if (task.parentId && parentId !== null && projectId !== undefined && projectId !== task.projectId) {
+    throw new TaskOperationError(400, 'Subtasks stay in their parent\'s project. Set parentId to null to move the task on its own');
+  }
+
+  // Moving a task into or out of a project requires a write role on both sides
+  if (targetProjectId !== undefined && targetProjectId !== task.projectId) {
+    if (task.projectId && !canWrite(await getProjectRole(task.projectId, userId))) {
+      throw new TaskOperationError(403, 'You cannot move tasks out of this project');
+    }
+
+    if (targetProjectId !== null && !canWrite(await getProjectRole(targetProjectId, userId))) {
+      throw new TaskOperationError(403, 'You cannot move tasks to this project');
+    }
+  }
+
+  // Status changes, completing and reopening included, follow the workflow
+  // of the board the task ends up on
+  let target = null;
+
+  if (status !== undefined || completed !== undefined) {
+    const sameBoard = targetProjectId === undefined || String(targetProjectId) === String(task.projectId);
+    const statuses = await WorkflowStatus.forBoard({
+      userId: task.userId,
+      projectId: sameBoard ? task.projectId : targetProjectId
+    });
+
+    target = status !== undefined
+      ? statuses.find(s => s.key === status)
+      : statusForCompletion(statuses, completed, task.status);
+
+    if (!target) {
+      throw new TaskOperationError(400, `Unknown status "${status}". Available: ${statuses.map(s => s.key).join(', ')}`);
+    }
+
+    // Allowed transitions only apply within a board
+    const transitionError = sameBoard && checkTransition(statuses, task.status, target.key);
+    if (transitionError) {
+      throw new TaskOperationError(409, transitionError, { from: task.status, to: target.key });
+    }
+  }
+
+  // Open blockers prevent completion unless the client forces it
+  if (target && target.done && !task.completed && force !== true) {
+    const blockers = await findOpenBlockers(task.id);
+    if (blockers.length > 0) {
+      throw new TaskOperationError(
+        409,
+        'Task is blocked by open tasks. Send force: true to complete it anyway',
+        { blockedBy: blockers }
+      );
+    }
+  }
+
+  if (recurrence && !(dueDate || task.dueDate)) {
+    throw new TaskOperationError(400, 'Recurring tasks need a due date');
+  }
+
+  const wasCompleted = task.completed;
+  const before = snapshotOf(task);
+
+  await task.update({
+    title,
+    description,
+    completed: target ? target.done : undefined,
+    status: target ? target.key : undefined,
+    dueDate,
+    priority,
+    tags,
+    projectId: targetProjectId,
+    parentId,
+    recurrence
+  });
+
+  // Tags go to the catalogue of the task's owner
+  await ensureTags(task.userId, tags);
+
+  const completedNow = !wasCompleted && task.completed;
+  await recordHistory(task, action || (completedNow ? 'complete' : 'update'), userId, before);
+
+  if (dueDate !== undefined) {
+    await syncReminders(task);
+  }
+
+  // Completing an occurrence of a recurring task schedules the next one
+  let nextTask = null;
+  if (completedNow && task.recurrence) {
+    nextTask = await createNextOccurrence(task, { actorId: userId });
+  }
+
+  logger.info(`Task updated: ${id} by user: ${userId}`);
+  emit('task.updated', task, userId);
+  if (completedNow) {
+    emit('task.completed', task, userId);
+  }
+  if (nextTask) {
+    emit('task.created', nextTask, userId);
+  }
+
+  return { task, nextTask };
+};
+
+// Renumber a task's column with the task at `index` (0-based, clamped)
+const placeInColumn = async (task, index) => {
+  const column = await Task.findAll({
+    where: {
+      ...WorkflowStatus.boardWhere(task),
+      status: task.status,
+      id: { [Op.ne]: task.id }
+    },
+    attributes: ['id'],
+    order: [['position', 'ASC'], ['id', 'ASC']],
+    lock: true
+  });
+
+  const ids = column.map(t => t.id);
+  const position = Math.min(index, ids.length);
+  ids.splice(position, 0, task.id);
+
+  await sequelize.query(`
+    UPDATE tasks SET position = o.ord - 1
+    FROM unnest(ARRAY[:ids]::int[]) WITH ORDINALITY AS o(id, ord)
+    WHERE tasks.id = o.id AND tasks.position <> o.ord - 1
+  `, { replacements: { ids } });
+
+  task.setDataValue('position', position);
+};
+
+// Move a task on its board: to another status (an update that follows the
+// workflow) and/or to `position` within its column. Returns { task, nextTask }.
+const moveTask = async (userId, id, { status, position, force }, { emit = emitTaskEvent } = {}) => {
+  const events = [];
+  const defer = (...args) => events.push(args);
+
+  const result = await sequelize.transaction(async () => {
+    const moved = status === undefined
+      ? { task: await findWritableTask(id, userId, 'move'), nextTask: null }
+      : await updateTask(userId, id, { status, force }, { emit: defer });
+
+    if (position !== undefined) {
+      await placeInColumn(moved.task, position);
+    }
+
+    return moved;
+  });
+
+  // Status changes were announced by the update
+  if (status === undefined) {
+    defer('task.updated', result.task, userId);
+  }
+
+  logger.info(`Task moved: ${id} to ${result.task.status}#${result.task.position} by user: ${userId}`);
+  events.forEach(args => emit(...args));
+
+  return result;
+};
+
+// Moves the task (and its subtasks) to the trash
+const deleteTask = async (userId, id, { emit = emitTaskEvent } = {}) => {
+  const task = await findWritableTask(id, userId, 'delete');
+
+  await trashTask(task, userId);
+
+  logger.info(`Task deleted: ${id} by user: ${userId}`);
+  emit('task.deleted', task, userId);
+
+  return task;
+};
+
+module.exports = {
+  TaskOperationError,
+  createTask,
+  updateTask,
+  moveTask,
+  deleteTask
+};
@@ -0,0 +1,94 @@
+// src/services/taskStatistics.js
+// Task statistics of a user computed in a single aggregate query
+const { QueryTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Totals describe the current state of every (non-trashed) task. The
+// period block covers tasks created or completed in [from, to).
+const STATISTICS_SQL = `
+  WITH scoped AS (
+    SELECT completed, priority, tags, "dueDate", "createdAt", "completedAt"
+    FROM tasks WHERE "userId" = :userId AND "deletedAt" IS NULL
+  ),
+  buckets AS (
+    SELECT generate_series(
+      date_trunc(:groupBy, CAST(:from AS timestamptz)),
+      CAST(:to AS timestamptz) - interval '1 microsecond',
+      CAST('1 ' || :groupBy AS interval)
+    ) AS bucket
+  ),
+  created AS (
+    SELECT date_trunc(:groupBy, "createdAt") AS bucket, COUNT(*) AS n
+    FROM scoped WHERE "createdAt" >= :from AND "createdAt" < :to
+    GROUP BY 1
+  ),
+  done AS (
+    SELECT date_trunc(:groupBy, "completedAt") AS bucket,
+      EXTRACT(EPOCH FROM "completedAt" - "createdAt") / 3600 AS hours
+    FROM scoped WHERE "completedAt" >= :from AND "completedAt" < :to
+  )
+  SELECT
+    (SELECT COUNT(*) FROM scoped)::int AS total,
+    (SELECT COUNT(*) FROM scoped WHERE completed)::int AS completed,
+    (SELECT COUNT(*) FROM scoped WHERE NOT completed)::int AS pending,
+    (SELECT COUNT(*) FROM scoped WHERE NOT completed AND "dueDate" < now())::int AS overdue,
+    (SELECT coalesce(json_object_agg(priority, n), '{}') FROM (
+      SELECT priority, COUNT(*) AS n FROM scoped GROUP BY priority
+    ) p) AS "byPriority",
+    (SELECT coalesce(json_agg(t ORDER BY t.total DESC, t.tag), '[]') FROM (
+      SELECT tag, COUNT(*)::int AS total, (COUNT(*) FILTER (WHERE completed))::int AS completed,
+        (COUNT(*) FILTER (WHERE NOT completed AND "dueDate" < now()))::int AS overdue
+      FROM scoped, unnest(tags) AS tag GROUP BY tag
+    ) t) AS "byTag",
+    (SELECT coalesce(SUM(n), 0) FROM created)::int AS "createdInPeriod",
+    (SELECT COUNT(*) FROM done)::int AS "completedInPeriod",
+    (SELECT AVG(hours) FROM done)::float AS "averageHoursToComplete",
+    (SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY hours) FROM done)::float AS "medianHoursToComplete",
+    (SELECT coalesce(json_agg(json_build_object(
+      'period', b.bucket,
+      'created', coalesce(c.n, 0),
+      'completed', coalesce(d.n, 0)
+    ) ORDER BY b.bucket), '[]')
+    FROM buckets b
+    LEFT JOIN created c ON c.bucket = b.bucket
+    LEFT JOIN (SELECT bucket, COUNT(*) AS n FROM done GROUP BY bucket) d ON d.bucket = b.bucket
+    ) AS timeline
+`;
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+const getTaskStatistics = async (userId, { from, to, groupBy = 'day' }) => {
+  const stats = await sequelize.query(STATISTICS_SQL, {
+    replacements: {
+      userId,
+      from: from.toISOString(),
+      to: to.toISOString(),
+      groupBy
+    },
+    type: QueryTypes.SELECT,
+    plain: true
+  });
+
+  return {
+    total: stats.total,
+    completed: stats.completed,
+    pending: stats.pending,
+    overdue: stats.overdue,
+    byPriority: stats.byPriority,
+    byTag: stats.byTag,
+    period: {
+      from,
+      to,
+      groupBy,
+      created: stats.createdInPeriod,
+      completed: stats.completedInPeriod,
+      averageHoursToComplete: round(stats.averageHoursToComplete),
+      medianHoursToComplete: round(stats.medianHoursToComplete),
+      timeline: stats.timeline
+    }
+  };
+};
+
+module.exports = {
+  getTaskStatistics
+};
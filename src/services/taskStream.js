@@ -0,0 +1,94 @@
+// src/services/taskStream.js
+// Server-Sent Events fan-out of task events to the users who can read the
+// task: the owner of a personal task, the members of a project. Recent events
+// are kept in a ring buffer so clients can resume with Last-Event-ID.
+//
+// Event ids are seeded from the clock at boot, so ids from a previous
+// process are always older than the buffer and trigger a `reset` event
+// (the client should refetch). The buffer is per process: behind several
+// replicas, clients need sticky sessions to resume without a reset.
+const { onTaskEvent } = require('./taskEvents');
+const { taskReaderIds } = require('./taskAccess');
+
+const BUFFER_SIZE = parseInt(process.env.STREAM_BUFFER_SIZE || '1000');
+
+const clients = new Map(); // userId -> Set of responses
+const buffer = [];
+let lastId = Date.now();
+
+const writeEvent = (res, entry) => {
+  res.write(`id: ${entry.id}\nevent: ${entry.event}\ndata: ${JSON.stringify(entry.data)}\n\n`);
+};
+
+const publish = async ({ event, actorId, occurredAt, task }) => {
+  const recipients = await taskReaderIds(task);
+  const entry = {
+    id: ++lastId,
+    recipients,
+    event,
+    data: { event, actorId, occurredAt, task }
+  };
+
+  buffer.push(entry);
+  if (buffer.length > BUFFER_SIZE) {
+    buffer.shift();
+  }
+
+  for (const userId of recipients) {
+    for (const res of clients.get(userId) || []) {
+      writeEvent(res, entry);
+    }
+  }
+};
+
+// Send the events a reconnecting client missed. Returns false when the
+// requested id is no longer in the buffer.
+const replay = (res, userId, lastEventId) => {
+  const oldestAvailable = buffer.length > 0 ? buffer[0].id - 1 : lastId;
+  if (lastEventId < oldestAvailable) {
+    return false;
+  }
+
+  for (const entry of buffer) {
+    if (entry.id > lastEventId && entry.recipients.includes(userId)) {
+      writeEvent(res, entry);
+    }
+  }
+
+  return true;
+};
+
+const addClient = (userId, res, lastEventId) => {
+  if (lastEventId !== undefined && !replay(res, userId, lastEventId)) {
+    writeEvent(res, {
+      id: lastId,
+      event: 'reset',
+      data: { message: 'Missed events are no longer available, refetch your tasks' }
+    });
+  }
+
+  if (!clients.has(userId)) {
+    clients.set(userId, new Set());
+  }
+  clients.get(userId).add(res);
+};
+
+const removeClient = (userId, res) => {
+  const set = clients.get(userId);
+  if (set) {
+    set.delete(res);
+    if (set.size === 0) {
+      clients.delete(userId);
+    }
+  }
+};
+
+const subscribeTaskStream = () => {
+  onTaskEvent(publish);
+};
+
+module.exports = {
+  addClient,
+  removeClient,
+  subscribeTaskStream
+};
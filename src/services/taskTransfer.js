@@ -0,0 +1,293 @@
+// src/services/taskTransfer.js
+// Export and import of a user's tasks as CSV, JSON or NDJSON
+const { once } = require('events');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Task } = require('../models');
+const { validarObjeto } = require('../middlewares/validation');
+const { importTaskRules } = require('../validators/taskValidators');
+const { recordHistory } = require('./taskHistory');
+const { ensureTags } = require('./tagService');
+const { toCsvLine, parseCsvObjects } = require('../utils/csv');
+const { normalizeTags } = require('../utils/tags');
+
+const EXPORT_FIELDS = [
+  'id',
+  'externalId',
+  'title',
+  'description',
+  'completed',
+  'status',
+  'dueDate',
+  'priority',
+  'tags',
+  'projectId',
+  'parentId',
+  'createdAt',
+  'updatedAt'
+];
+
+const IMPORT_FIELDS = ['externalId', 'title', 'description', 'completed', 'dueDate', 'priority', 'tags'];
+
+const EXPORT_BATCH_SIZE = 500;
+const IMPORT_MAX_ROWS = parseInt(process.env.IMPORT_MAX_ROWS || '5000');
+
+// Tags are a single cell in CSV
+const TAG_SEPARATOR = ';';
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    head: toCsvLine(EXPORT_FIELDS),
+    row: (task) => toCsvLine(EXPORT_FIELDS.map(field => (
+      field === 'tags' ? (task.tags || []).join(TAG_SEPARATOR) : task[field]
+    )), { escapeFormulas: true }),
+    separator: '',
+    tail: ''
+  },
+  json: {
+    contentType: 'application/json; charset=utf-8',
+    head: '[',
+    row: (task) => JSON.stringify(task),
+    separator: ',',
+    tail: ']\n'
+  },
+  ndjson: {
+    contentType: 'application/x-ndjson; charset=utf-8',
+    head: '',
+    row: (task) => JSON.stringify(task) + '\n',
+    separator: '',
+    tail: ''
+  }
+};
+
+class ImportError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ImportError';
+  }
+}
+
+// Write to a stream, waiting for it to drain when its buffer is full.
+// Resolves false if the client went away.
+const write = async (stream, chunk) => {
+  if (stream.destroyed) {
+    return false;
+  }
+
+  if (!stream.write(chunk)) {
+    await Promise.race([once(stream, 'drain'), once(stream, 'close')]);
+  }
+
+  return !stream.destroyed;
+};
+
+// Stream the user's personal tasks in id order, one batch at a time, so
+// large accounts are never loaded into memory at once. Project tasks belong
+// to the project, not to whoever created them, and are left out.
+const exportTasks = async (userId, format, stream) => {
+  const { head, row, separator, tail } = FORMATS[format];
+  let lastId = 0;
+  let count = 0;
+
+  if (head && !(await write(stream, head))) {
+    return count;
+  }
+
+  for (;;) {
+    const tasks = await Task.findAll({
+      where: { userId, projectId: null, id: { [Op.gt]: lastId } },
+      attributes: EXPORT_FIELDS,
+      order: [['id', 'ASC']],
+      limit: EXPORT_BATCH_SIZE,
+      raw: true
+    });
+
+    if (tasks.length === 0) {
+      break;
+    }
+
+    const chunk = tasks
+      .map((task, index) => (count + index > 0 ? separator : '') + row(task))
+      .join('');
+
+    count += tasks.length;
+    lastId = tasks[tasks.length - 1].id;
+
+    if (!(await write(stream, chunk))) {
+      return count;
+    }
+  }
+
+  stream.end(tail);
+  return count;
+};
+
+// Split an import body into plain row objects based on its content type
+const parseImport = (contentType, body) => {
+  if (contentType === 'json') {
+    const rows = Array.isArray(body) ? body : body && body.tasks;
+    if (!Array.isArray(rows)) {
+      throw new ImportError('JSON imports must be a list of tasks or { "tasks": [...] }');
+    }
+    return rows;
+  }
+
+  if (typeof body !== 'string') {
+    throw new ImportError('Import body is empty');
+  }
+
+  if (contentType === 'csv') {
+    return parseCsvObjects(body);
+  }
+
+  // NDJSON: one task per line; unparseable lines are reported as row errors
+  return body
+    .split(/\r?\n/)
+    .filter(line => line.trim() !== '')
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (error) {
+        return { invalidJson: true };
+      }
+    });
+};
+
+// Keep the importable fields. CSV cells arrive as strings, so empty cells
+// are dropped and booleans and tag lists are decoded.
+const normalizeRow = (row, fromCsv) => {
+  const values = {};
+
+  for (const field of IMPORT_FIELDS) {
+    let value = row[field];
+
+    if (value === undefined || value === null || (fromCsv && value === '')) {
+      continue;
+    }
+
+    if (fromCsv && field === 'completed') {
+      value = ['true', '1', 'yes'].includes(value.trim().toLowerCase())
+        ? true
+        : ['false', '0', 'no'].includes(value.trim().toLowerCase()) ? false : value;
+    }
+
+    if (fromCsv && field === 'tags') {
+      value = value.split(TAG_SEPARATOR).map(tag => tag.trim()).filter(Boolean);
+    }
+
+    values[field] = field === 'tags' ? normalizeTags(value) : value;
+  }
+
+  return values;
+};
+
+// Check a row against the request rules and the Task model validations
+const validateRow = async (userId, row, fromCsv) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row) || row.invalidJson) {
+    return { errors: [{ msg: 'Row is not a valid task object' }] };
+  }
+
+  const values = normalizeRow(row, fromCsv);
+  const errors = await validarObjeto(importTaskRules, values);
+
+  if (errors.length > 0) {
+    return { values, errors };
+  }
+
+  try {
+    await Task.build({ ...values, userId }).validate();
+  } catch (error) {
+    if (error.name !== 'SequelizeValidationError') {
+      throw error;
+    }
+    return { values, errors: error.errors.map(e => ({ path: e.path, msg: e.message })) };
+  }
+
+  return { values, errors: [] };
+};
+
+// Validate every row and create the valid ones in a single transaction.
+// Rows whose externalId already exists (or repeats in the file) are skipped.
+const importTasks = async (userId, rows, { fromCsv = false, dryRun = false } = {}) => {
+  const results = [];
+
+  for (const [index, row] of rows.entries()) {
+    const { values, errors } = await validateRow(userId, row, fromCsv);
+    results.push({
+      row: index + 1,
+      ...(values && values.externalId && { externalId: values.externalId }),
+      ...(errors.length > 0
+        ? { status: 'invalid', errors }
+        : { status: dryRun ? 'valid' : 'created', values })
+    });
+  }
+
+  const externalIds = results.filter(r => r.values && r.externalId).map(r => r.externalId);
+  const existing = new Set();
+  const seen = new Set();
+
+  if (externalIds.length > 0) {
+    // Trashed tasks keep their external id reserved
+    const found = await Task.findAll({
+      where: { userId, externalId: { [Op.in]: externalIds } },
+      attributes: ['externalId'],
+      paranoid: false
+    });
+    found.forEach(task => existing.add(task.externalId));
+  }
+
+  for (const result of results) {
+    if (!result.values || !result.externalId) {
+      continue;
+    }
+
+    if (existing.has(result.externalId) || seen.has(result.externalId)) {
+      result.status = 'skipped';
+      result.reason = existing.has(result.externalId)
+        ? 'A task with this external ID already exists'
+        : 'Repeats the external ID of an earlier row';
+      delete result.values;
+    } else {
+      seen.add(result.externalId);
+    }
+  }
+
+  const toCreate = results.filter(r => r.values);
+
+  if (!dryRun && toCreate.length > 0) {
+    await sequelize.transaction(async () => {
+      for (const result of toCreate) {
+        const task = await Task.create({ ...result.values, userId });
+        await recordHistory(task, 'create', userId);
+        result.id = task.id;
+      }
+
+      await ensureTags(userId, [...new Set(toCreate.flatMap(r => r.values.tags || []))]);
+    });
+  }
+
+  toCreate.forEach(result => delete result.values);
+
+  const count = status => results.filter(r => r.status === status).length;
+
+  return {
+    results,
+    summary: {
+      total: results.length,
+      [dryRun ? 'valid' : 'created']: count(dryRun ? 'valid' : 'created'),
+      skipped: count('skipped'),
+      invalid: count('invalid')
+    }
+  };
+};
+
+module.exports = {
+  EXPORT_FIELDS,
+  IMPORT_MAX_ROWS,
+  FORMATS,
+  ImportError,
+  exportTasks,
+  parseImport,
+  importTasks
+};
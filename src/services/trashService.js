@@ -0,0 +1,109 @@
+// src/services/trashService.js
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { Task } = require('../models');
+const { snapshotOf, recordHistory } = require('./taskHistory');
+const { retentionCutoff } = require('../utils/trash');
+const logger = require('../config/logger');
+
+const RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS || '30');
+
+// Ids of every subtask below the given task, at any depth
+const descendantIds = async (taskId, options = {}) => {
+  const ids = [];
+  let frontier = [taskId];
+
+  while (frontier.length > 0) {
+    const children = await Task.findAll({
+      where: { parentId: { [Op.in]: frontier } },
+      attributes: ['id'],
+      ...options
+    });
+    frontier = children.map(c => c.id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+// Soft-delete a task together with its subtasks. A single UPDATE gives the
+// whole batch the same deletedAt, which is how restore finds it again.
+const trashTask = async (task, actorId) => {
+  const before = snapshotOf(task);
+  const ids = [task.id, ...(await descendantIds(task.id))];
+
+  await Task.destroy({ where: { id: { [Op.in]: ids } } });
+  await recordHistory(task, 'delete', actorId, before);
+
+  return ids.length;
+};
+
+// Bring back a trashed task and the subtasks trashed along with it
+const restoreTask = async (task, actorId) => {
+  const deletedAt = task.deletedAt;
+  const ids = await descendantIds(task.id, { paranoid: false });
+
+  await Task.restore({
+    where: {
+      [Op.or]: [
+        { id: task.id },
+        { id: { [Op.in]: ids }, deletedAt }
+      ]
+    }
+  });
+
+  await task.reload();
+  await recordHistory(task, 'restore', actorId, null);
+
+  return task;
+};
+
+// Delete for good. Subtasks, reminders, comments and dependencies go with it
+// through the foreign keys; attachment files are removed by the cleanup job.
+const purgeTask = async (task, actorId) => {
+  await recordHistory(task, 'purge', actorId, snapshotOf(task));
+  await task.destroy({ force: true });
+};
+
+// Purge the trashed tasks matching `where` in one go, each with its 'purge'
+// revision as purgeTask does. actorId is null for the retention job.
+// Returns the number of tasks purged.
+const purgeTrashed = (where, actorId = null) => sequelize.transaction(async () => {
+  const tasks = await Task.findAll({
+    where: { [Op.and]: [where, { deletedAt: { [Op.ne]: null } }] },
+    paranoid: false
+  });
+
+  for (const task of tasks) {
+    await recordHistory(task, 'purge', actorId, snapshotOf(task));
+  }
+
+  if (tasks.length > 0) {
+    await Task.destroy({
+      where: { id: { [Op.in]: tasks.map(t => t.id) } },
+      force: true
+    });
+  }
+
+  return tasks.length;
+});
+
+// Purge every task that has been in the trash longer than the retention
+const purgeExpired = async (now = new Date()) => {
+  const count = await purgeTrashed({ deletedAt: { [Op.lt]: retentionCutoff(now, RETENTION_DAYS) } });
+
+  if (count > 0) {
+    logger.info(`Trash emptied: ${count} tasks older than ${RETENTION_DAYS} days purged`);
+  }
+
+  return count;
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  trashTask,
+  restoreTask,
+  purgeTask,
+  purgeTrashed,
+  purgeExpired
+};
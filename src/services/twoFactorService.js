@@ -0,0 +1,185 @@
+// src/services/twoFactorService.js
+// TOTP two-factor authentication. Users enrol with a secret their
+// authenticator app reads from a provisioning URI, confirm it with a first
+// code and receive recovery codes for when the app is lost.
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { User, RecoveryCode } = require('../models');
+const { hashToken } = require('./refreshTokenService');
+const { generateSecret, verifyTotp, provisioningUri, base32Encode } = require('../utils/totp');
+const logger = require('../config/logger');
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Tasks API';
+const RECOVERY_CODE_COUNT = 10;
+
+// Error raised when an enrolment step does not apply to the user's state
+class TwoFactorError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.name = 'TwoFactorError';
+    this.status = status;
+  }
+}
+
+// Secrets are encrypted at rest (AES-256-GCM). Changing the key disables
+// every enrolled authenticator, so set TWO_FACTOR_ENCRYPTION_KEY rather than
+// relying on JWT_SECRET if the latter is ever rotated.
+const encryptionKey = () => crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+  .digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString('base64')).join('.');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split('.').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like "k3vq7-mx2pa": dashes, spaces and case are
+// ignored when they are typed back
+const normalizeRecoveryCode = (code) => String(code).toLowerCase().replace(/[\s-]/g, '');
+
+const generateRecoveryCode = () => {
+  const code = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+  return `${code.slice(0, 5)}-${code.slice(5)}`;
+};
+
+// Replace the user's recovery codes; the plain codes are only returned here
+const regenerateRecoveryCodes = async (userId) => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, generateRecoveryCode);
+
+  await sequelize.transaction(async () => {
+    await RecoveryCode.destroy({ where: { userId } });
+    await RecoveryCode.bulkCreate(codes.map(code => ({
+      userId,
+      codeHash: hashToken(normalizeRecoveryCode(code))
+    })));
+  });
+
+  return codes;
+};
+
+const countRecoveryCodes = (userId) => RecoveryCode.count({ where: { userId, usedAt: null } });
+
+// Accept a TOTP code at most once: the stored step only moves forward
+const acceptTotp = async (user, code) => {
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code);
+
+  if (step === null) {
+    return false;
+  }
+
+  const [count] = await User.update(
+    { twoFactorLastStep: step },
+    {
+      where: {
+        id: user.id,
+        [Op.or]: [
+          { twoFactorLastStep: null },
+          { twoFactorLastStep: { [Op.lt]: step } }
+        ]
+      }
+    }
+  );
+
+  return count > 0;
+};
+
+const consumeRecoveryCode = async (userId, code) => {
+  const [count] = await RecoveryCode.update(
+    { usedAt: new Date() },
+    { where: { userId, codeHash: hashToken(normalizeRecoveryCode(code)), usedAt: null } }
+  );
+
+  return count > 0;
+};
+
+// Start (or restart) enrolment with a new secret
+const startEnrollment = async (user) => {
+  if (user.twoFactorEnabledAt) {
+    throw new TwoFactorError(409, 'Two-factor authentication is already enabled');
+  }
+
+  const secret = generateSecret();
+
+  await User.update(
+    { twoFactorSecret: encryptSecret(secret), twoFactorLastStep: null },
+    { where: { id: user.id } }
+  );
+
+  return {
+    secret,
+    otpauthUri: provisioningUri({ secret, account: user.email, issuer: TWO_FACTOR_ISSUER })
+  };
+};
+
+// Enable two-factor authentication once the app proves it has the secret.
+// Returns the recovery codes.
+const confirmEnrollment = async (user, code) => {
+  if (user.twoFactorEnabledAt) {
+    throw new TwoFactorError(409, 'Two-factor authentication is already enabled');
+  }
+
+  if (!user.twoFactorSecret) {
+    throw new TwoFactorError(400, 'Start the setup before enabling two-factor authentication');
+  }
+
+  if (!(await acceptTotp(user, code))) {
+    throw new TwoFactorError(400, 'Invalid code');
+  }
+
+  await User.update({ twoFactorEnabledAt: new Date() }, { where: { id: user.id } });
+  const recoveryCodes = await regenerateRecoveryCodes(user.id);
+
+  logger.info(`Two-factor authentication enabled for user: ${user.id}`);
+
+  return recoveryCodes;
+};
+
+// Check the second factor of an enrolled user: a TOTP code or an unused
+// recovery code. Returns the method used, or null.
+const verifySecondFactor = async (user, code) => {
+  if (!user.twoFactorEnabledAt || typeof code !== 'string') {
+    return null;
+  }
+
+  if (/^\d{6}$/.test(code)) {
+    return (await acceptTotp(user, code)) ? 'totp' : null;
+  }
+
+  return (await consumeRecoveryCode(user.id, code)) ? 'recovery_code' : null;
+};
+
+// Turn two-factor authentication off, by the user or an admin
+const resetTwoFactor = async (userId) => {
+  await sequelize.transaction(async () => {
+    await User.update(
+      { twoFactorSecret: null, twoFactorEnabledAt: null, twoFactorLastStep: null },
+      { where: { id: userId } }
+    );
+    await RecoveryCode.destroy({ where: { userId } });
+  });
+
+  logger.info(`Two-factor authentication disabled for user: ${userId}`);
+};
+
+module.exports = {
+  TwoFactorError,
+  startEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  countRecoveryCodes,
+  resetTwoFactor
+};
@@ -0,0 +1,140 @@
+// src/services/webhookService.js
+const { Op } = require('sequelize');
+const { Webhook, WebhookDelivery } = require('../models');
+const { onTaskEvent } = require('./taskEvents');
+const { taskReaderIds } = require('./taskAccess');
+const { signPayload } = require('../utils/webhookSignature');
+const { assertPublicTarget } = require('../utils/webhookTarget');
+const logger = require('../config/logger');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6');
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000');
+
+// 30s, 1m, 2m, 4m... capped at one hour
+const retryDelay = (attempts) => Math.min(30 * 2 ** (attempts - 1), 3600) * 1000;
+
+// POST a delivery to its endpoint once and record the outcome
+const deliver = async (delivery, webhook) => {
+  const attempts = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+
+  try {
+    await assertPublicTarget(webhook.url);
+
+    const response = await fetch(webhook.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Tasks-API-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body)
+      },
+      body,
+      // A redirect could point at an internal host
+      redirect: 'manual',
+      signal: AbortSignal.timeout(TIMEOUT_MS)
+    });
+
+    responseStatus = response.status;
+
+    if (!response.ok) {
+      throw new Error(`Endpoint responded with status ${response.status}`);
+    }
+
+    await delivery.update({
+      status: 'sent',
+      attempts,
+      responseStatus,
+      lastError: null,
+      nextAttemptAt: null,
+      deliveredAt: new Date()
+    });
+  } catch (error) {
+    const failed = attempts >= MAX_ATTEMPTS;
+
+    await delivery.update({
+      status: failed ? 'failed' : 'pending',
+      attempts,
+      responseStatus,
+      lastError: error.message,
+      nextAttemptAt: failed ? null : new Date(Date.now() + retryDelay(attempts))
+    });
+
+    logger.warn(`Webhook delivery ${delivery.id} to ${webhook.url} failed (attempt ${attempts}): ${error.message}`);
+  }
+
+  return delivery;
+};
+
+// Queue one delivery per active webhook subscribed to the event and send
+// them in the background. Only the users who can read the task get it:
+// the owner of a personal task or the members of the task's project.
+const dispatch = async ({ event, actorId, occurredAt, task }) => {
+  const webhooks = await Webhook.findAll({
+    where: {
+      userId: { [Op.in]: await taskReaderIds(task) },
+      active: true,
+      events: { [Op.contains]: [event] }
+    }
+  });
+
+  for (const webhook of webhooks) {
+    const delivery = await WebhookDelivery.create({
+      webhookId: webhook.id,
+      event,
+      payload: {
+        event,
+        occurredAt,
+        actorId,
+        data: { task }
+      },
+      // Picked up by the retry job only if the first attempt never happens
+      nextAttemptAt: new Date(Date.now() + retryDelay(1))
+    });
+
+    setImmediate(() => {
+      deliver(delivery, webhook).catch((error) => {
+        logger.error(`Error delivering webhook ${delivery.id}:`, error);
+      });
+    });
+  }
+};
+
+// Retry deliveries whose backoff has elapsed
+const processPendingWebhookDeliveries = async (limit = 50) => {
+  const deliveries = await WebhookDelivery.findAll({
+    where: {
+      status: 'pending',
+      nextAttemptAt: { [Op.lte]: new Date() }
+    },
+    include: [{ model: Webhook, as: 'webhook' }],
+    order: [['nextAttemptAt', 'ASC']],
+    limit
+  });
+
+  for (const delivery of deliveries) {
+    if (!delivery.webhook.active) {
+      await delivery.update({ status: 'failed', lastError: 'Webhook disabled', nextAttemptAt: null });
+      continue;
+    }
+    await deliver(delivery, delivery.webhook);
+  }
+
+  return deliveries.length;
+};
+
+const subscribeWebhooks = () => {
+  onTaskEvent(dispatch);
+};
+
+module.exports = {
+  deliver,
+  dispatch,
+  processPendingWebhookDeliveries,
+  subscribeWebhooks
+};
@@ -0,0 +1,119 @@
+// src/services/workflowService.js
+// Configuration of board workflows. Bulk updates here bypass the Task hooks,
+// so they keep completed in step with the statuses themselves.
+const { sequelize } = require('../config/database');
+const { Task, WorkflowStatus } = require('../models');
+const { TaskOperationError } = require('./taskService');
+const { validateWorkflow, statusForCompletion } = require('../utils/workflow');
+
+// { statusKey: number of tasks }, trashed tasks included since they return
+// to their status when restored
+const statusUsage = async (board) => {
+  const rows = await Task.findAll({
+    where: WorkflowStatus.boardWhere(board),
+    attributes: ['status', [sequelize.fn('COUNT', sequelize.col('id')), 'count']],
+    group: ['status'],
+    paranoid: false,
+    raw: true
+  });
+
+  return rows.reduce((acc, row) => {
+    acc[row.status] = parseInt(row.count);
+    return acc;
+  }, {});
+};
+
+// Replace the statuses of a board, in column order. Tasks in a removed
+// status must be moved with remap ({ oldKey: newKey }); tasks in a status
+// whose done flag changes are completed or reopened.
+const replaceWorkflow = async (board, definitions, remap = {}) => {
+  const error = validateWorkflow(definitions);
+
+  if (error) {
+    throw new TaskOperationError(400, error);
+  }
+
+  const keys = definitions.map(d => d.key);
+  const badTarget = Object.values(remap).find(key => !keys.includes(key));
+
+  if (badTarget !== undefined) {
+    throw new TaskOperationError(400, `Cannot remap to "${badTarget}": it is not a status of the new workflow`);
+  }
+
+  const usage = await statusUsage(board);
+  const removed = Object.keys(usage).filter(key => !keys.includes(key));
+  const stranded = removed.filter(key => !remap[key]);
+
+  if (stranded.length > 0) {
+    throw new TaskOperationError(
+      409,
+      `Statuses still have tasks: ${stranded.join(', ')}. Pass remap to move them`,
+      { inUse: stranded.reduce((acc, key) => ({ ...acc, [key]: usage[key] }), {}) }
+    );
+  }
+
+  const where = WorkflowStatus.boardWhere(board);
+
+  return sequelize.transaction(async () => {
+    await WorkflowStatus.destroy({ where });
+
+    const statuses = await WorkflowStatus.bulkCreate(definitions.map((d, position) => ({
+      ...where,
+      key: d.key,
+      name: d.name.trim(),
+      done: d.done === true,
+      transitions: d.transitions || null,
+      position
+    })));
+
+    for (const key of removed) {
+      await Task.update(
+        { status: remap[key] },
+        { where: { ...where, status: key }, paranoid: false }
+      );
+    }
+
+    // completed follows the done flag, which may have changed or been
+    // reached through a remap
+    for (const status of statuses) {
+      await Task.update(
+        { completed: status.done, completedAt: status.done ? new Date() : null },
+        {
+          where: { ...where, status: status.key, completed: !status.done },
+          paranoid: false
+        }
+      );
+    }
+
+    return statuses;
+  });
+};
+
+// Before a project is deleted its tasks go back to their creators' personal
+// boards; statuses those boards lack are mapped by completion
+const releaseProjectTasks = async (projectId) => {
+  const groups = await Task.findAll({
+    where: { projectId },
+    attributes: ['userId', 'status', 'completed'],
+    group: ['userId', 'status', 'completed'],
+    paranoid: false,
+    raw: true
+  });
+
+  for (const { userId, status, completed } of groups) {
+    const statuses = await WorkflowStatus.forBoard({ userId });
+
+    if (!statuses.some(s => s.key === status)) {
+      await Task.update(
+        { status: statusForCompletion(statuses, completed, status).key },
+        { where: { projectId, userId, status }, paranoid: false }
+      );
+    }
+  }
+};
+
+module.exports = {
+  statusUsage,
+  replaceWorkflow,
+  releaseProjectTasks
+};
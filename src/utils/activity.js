@@ -0,0 +1,67 @@
+// src/utils/activity.js
+// Order and keyset cursor of the task activity feed, which interleaves
+// comments and history entries. Entries are newest first; at the same
+// instant comments come before changes, then higher ids first, so every
+// entry has a distinct position (at, type, id).
+const { Op } = require('sequelize');
+const { keysetWhere, encodeCursor, decodeCursor } = require('./pagination');
+
+const ACTIVITY_TYPES = ['comment', 'change'];
+
+const ACTIVITY_ORDER = [
+  { field: 'at', direction: 'DESC' },
+  { field: 'type', direction: 'DESC' },
+  { field: 'id', direction: 'DESC' }
+];
+
+// Order of the rows of each table within the feed
+const ROW_ORDER = [
+  { field: 'createdAt', direction: 'DESC' },
+  { field: 'id', direction: 'DESC' }
+];
+
+const compareActivity = (a, b) => (
+  (b.at - a.at) ||
+  (a.type === b.type ? 0 : (a.type > b.type ? -1 : 1)) ||
+  (b.id - a.id)
+);
+
+const encodeActivityCursor = (position) => encodeCursor(ACTIVITY_ORDER, position, 'next');
+
+// `before` is the nextBefore cursor of a previous page or, to start at a
+// point in time, a date. Returns the position { at, type, id } to continue
+// from (type and id are null for a date), or null when it is neither.
+const parseActivityBefore = (before) => {
+  const cursor = decodeCursor(before, ACTIVITY_ORDER);
+
+  if (cursor) {
+    const [at, type, id] = cursor.values;
+    const valid = !Number.isNaN(Date.parse(at)) && ACTIVITY_TYPES.includes(type) && Number.isInteger(id);
+    return valid ? { at, type, id } : null;
+  }
+
+  const date = new Date(before);
+  return Number.isNaN(date.getTime()) ? null : { at: date.toISOString(), type: null, id: null };
+};
+
+// Where clause for the rows of one type that come after `position`
+const activityAfter = (type, position) => {
+  if (!position) {
+    return {};
+  }
+
+  if (position.type === type) {
+    return keysetWhere(ROW_ORDER, [position.at, position.id]);
+  }
+
+  // Changes of the cursor's instant still follow a comment cursor
+  const sameInstantFollows = position.type !== null && type < position.type;
+  return { createdAt: { [sameInstantFollows ? Op.lte : Op.lt]: position.at } };
+};
+
+module.exports = {
+  compareActivity,
+  encodeActivityCursor,
+  parseActivityBefore,
+  activityAfter
+};
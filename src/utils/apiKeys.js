@@ -0,0 +1,44 @@
+// src/utils/apiKeys.js
+// Personal API keys and their scopes. A scope is `<resource>:read` or
+// `<resource>:write`, where the resource is the API section the key may use
+// (/api/tasks -> tasks). Write implies read.
+
+const API_KEY_PREFIX = 'tsk_';
+
+const SCOPE_RESOURCES = ['tasks', 'projects', 'tags', 'workflow', 'notifications', 'webhooks'];
+
+const SCOPES = SCOPE_RESOURCES.flatMap(resource => [`${resource}:read`, `${resource}:write`]);
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+// Scope a request needs, from the mount path of its router. Null for
+// sections keys cannot use at all (account, API keys, admin).
+const requiredScope = (method, baseUrl) => {
+  const match = /^\/api\/([^/]+)/.exec(baseUrl || '');
+  const resource = match && match[1];
+
+  if (!SCOPE_RESOURCES.includes(resource)) {
+    return null;
+  }
+
+  return `${resource}:${READ_METHODS.includes(method) ? 'read' : 'write'}`;
+};
+
+const hasScope = (granted, required) => {
+  if (!required || !Array.isArray(granted)) {
+    return false;
+  }
+
+  const [resource, access] = required.split(':');
+  return granted.includes(required) || (access === 'read' && granted.includes(`${resource}:write`));
+};
+
+module.exports = {
+  API_KEY_PREFIX,
+  SCOPES,
+  isApiKey,
+  requiredScope,
+  hasScope
+};
@@ -0,0 +1,96 @@
+// src/utils/csv.js
+// Minimal RFC 4180 CSV: comma separated, fields with commas, quotes or line
+// breaks are quoted and inner quotes doubled.
+
+// Spreadsheets run text cells starting with these as formulas
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const escapeCell = (value, { escapeFormulas = false } = {}) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  // A leading quote makes the spreadsheet show the text as typed
+  if (escapeFormulas && typeof value === 'string' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Pass { escapeFormulas: true } for files meant to be opened in a
+// spreadsheet, so user text such as "=HYPERLINK(...)" is not evaluated
+const toCsvLine = (values, options) => values.map(value => escapeCell(value, options)).join(',') + '\r\n';
+
+// Parse CSV text into an array of rows (arrays of strings)
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  // Skip a UTF-8 byte order mark written by spreadsheet apps
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Ignore blank lines
+  return rows.filter(r => r.length > 1 || r[0] !== '');
+};
+
+// Parse CSV with a header row into objects keyed by column name
+const parseCsvObjects = (text) => {
+  const [header, ...rows] = parseCsv(text);
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(h => h.trim());
+
+  return rows.map(values => columns.reduce((acc, column, index) => {
+    acc[column] = values[index] !== undefined ? values[index] : '';
+    return acc;
+  }, {}));
+};
+
+module.exports = {
+  toCsvLine,
+  parseCsv,
+  parseCsvObjects
+};
@@ -0,0 +1,38 @@
+// src/utils/diff.js
+
+// JSON-friendly copy of a value (dates become ISO strings)
+const normalize = (value) => {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value === undefined) {
+    return null;
+  }
+  return JSON.parse(JSON.stringify(value));
+};
+
+// Plain object with the given fields of a model instance or object
+const pickFields = (source, fields) => {
+  return fields.reduce((acc, field) => {
+    acc[field] = normalize(source ? source[field] : null);
+    return acc;
+  }, {});
+};
+
+// Field-level diff: { field: { from, to } } for every field that changed
+const diffFields = (before, after, fields) => {
+  const from = pickFields(before, fields);
+  const to = pickFields(after, fields);
+
+  return fields.reduce((acc, field) => {
+    if (JSON.stringify(from[field]) !== JSON.stringify(to[field])) {
+      acc[field] = { from: from[field], to: to[field] };
+    }
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  pickFields,
+  diffFields
+};
@@ -0,0 +1,85 @@
+// src/utils/files.js
+// Helpers for uploaded files: content type sniffing and safe file names
+
+// Bytes of the file start looked at by sniffMimeType
+const SNIFF_BYTES = 4096;
+
+// Magic numbers of common binary formats. `offset` is where the signature
+// starts; `also` is a second signature that must match too.
+const SIGNATURES = [
+  { type: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { type: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { type: 'image/gif', bytes: 'GIF87a' },
+  { type: 'image/gif', bytes: 'GIF89a' },
+  { type: 'image/webp', bytes: 'RIFF', also: { offset: 8, bytes: 'WEBP' } },
+  { type: 'audio/wav', bytes: 'RIFF', also: { offset: 8, bytes: 'WAVE' } },
+  { type: 'application/pdf', bytes: '%PDF-' },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x03, 0x04] },
+  { type: 'application/zip', bytes: [0x50, 0x4b, 0x05, 0x06] },
+  { type: 'application/gzip', bytes: [0x1f, 0x8b] },
+  { type: 'application/x-7z-compressed', bytes: [0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c] },
+  { type: 'audio/mpeg', bytes: 'ID3' },
+  { type: 'audio/ogg', bytes: 'OggS' },
+  { type: 'video/mp4', offset: 4, bytes: 'ftyp' }
+];
+
+// Declared types trusted for files that sniff as text
+const TEXT_TYPES = ['text/plain', 'text/csv', 'text/markdown', 'text/calendar', 'application/json', 'application/xml'];
+
+const matches = (head, offset, bytes) => {
+  const expected = typeof bytes === 'string' ? Buffer.from(bytes, 'latin1') : Buffer.from(bytes);
+  return head.length >= offset + expected.length &&
+    head.subarray(offset, offset + expected.length).equals(expected);
+};
+
+// UTF-8 text without NUL bytes. A multi-byte character cut off at the end
+// of the sample is not an error.
+const looksLikeText = (head) => {
+  if (head.includes(0)) {
+    return false;
+  }
+
+  try {
+    new TextDecoder('utf-8', { fatal: true }).decode(head, { stream: true });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Content type of a file from its first bytes. The type the client declared
+// is only used to tell text formats apart; it never turns binary content
+// into something else.
+const sniffMimeType = (head, declared = '') => {
+  const signature = SIGNATURES.find(s => (
+    matches(head, s.offset || 0, s.bytes) && (!s.also || matches(head, s.also.offset, s.also.bytes))
+  ));
+
+  if (signature) {
+    return signature.type;
+  }
+
+  if (head.length > 0 && looksLikeText(head)) {
+    const type = String(declared).split(';')[0].trim().toLowerCase();
+    return TEXT_TYPES.includes(type) ? type : 'text/plain';
+  }
+
+  return 'application/octet-stream';
+};
+
+// Keep the last path segment of a client-supplied name, without control
+// characters, and at most 255 characters
+const safeFilename = (name) => {
+  const base = Array.from(String(name || '').split(/[\\/]/).pop())
+    .filter(ch => ch >= ' ' && ch !== '\u007f')
+    .join('')
+    .trim();
+
+  return (base && base !== '.' && base !== '..' ? base : 'file').slice(0, 255);
+};
+
+module.exports = {
+  SNIFF_BYTES,
+  sniffMimeType,
+  safeFilename
+};
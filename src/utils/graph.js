@@ -0,0 +1,33 @@
+// src/utils/graph.js
+
+// Breadth-first search over a directed graph whose edges are loaded lazily.
+// `getNeighbors(ids)` receives a whole frontier at once and resolves to the
+// ids reachable in one step, so each level costs a single query.
+const hasPath = async (getNeighbors, from, to) => {
+  if (from === to) {
+    return true;
+  }
+
+  const visited = new Set([from]);
+  let frontier = [from];
+
+  while (frontier.length > 0) {
+    const next = [];
+
+    for (const id of await getNeighbors(frontier)) {
+      if (id === to) {
+        return true;
+      }
+      if (!visited.has(id)) {
+        visited.add(id);
+        next.push(id);
+      }
+    }
+
+    frontier = next;
+  }
+
+  return false;
+};
+
+module.exports = { hasPath };
@@ -0,0 +1,108 @@
+// src/utils/ical.js
+// iCalendar (RFC 5545) serialization of tasks as VTODO or VEVENT entries
+
+const PRODID = '-//Tasks API//Calendar Feed//EN';
+
+// RFC 5545 priorities: 1 is highest, 9 lowest
+const PRIORITIES = { high: 1, medium: 5, low: 9 };
+
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// 20261019T083000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Multi-byte characters are never split.
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+  let size = 0;
+
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    const limit = parts.length === 0 ? 75 : 74;
+
+    if (size + bytes > limit) {
+      parts.push(current);
+      current = '';
+      size = 0;
+    }
+
+    current += char;
+    size += bytes;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const taskLines = (task, component, domain) => {
+  const todo = component === 'VTODO';
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:task-${task.id}@${domain}`,
+    `DTSTAMP:${formatDate(task.updatedAt || new Date())}`,
+    `${todo ? 'DUE' : 'DTSTART'}:${formatDate(task.dueDate)}`,
+    // Events have no completed state, so it is shown in the title
+    `SUMMARY:${escapeText(!todo && task.completed ? `✔ ${task.title}` : task.title)}`
+  ];
+
+  if (task.description) {
+    lines.push(`DESCRIPTION:${escapeText(task.description)}`);
+  }
+
+  if (PRIORITIES[task.priority]) {
+    lines.push(`PRIORITY:${PRIORITIES[task.priority]}`);
+  }
+
+  if (task.tags && task.tags.length > 0) {
+    lines.push(`CATEGORIES:${task.tags.map(escapeText).join(',')}`);
+  }
+
+  if (todo) {
+    lines.push(`STATUS:${task.completed ? 'COMPLETED' : 'NEEDS-ACTION'}`);
+    if (task.completed) {
+      lines.push('PERCENT-COMPLETE:100');
+    }
+  } else {
+    lines.push('TRANSP:TRANSPARENT');
+  }
+
+  if (task.createdAt) {
+    lines.push(`CREATED:${formatDate(task.createdAt)}`);
+  }
+
+  if (task.updatedAt) {
+    lines.push(`LAST-MODIFIED:${formatDate(task.updatedAt)}`);
+  }
+
+  lines.push(`END:${component}`);
+  return lines;
+};
+
+// Build a VCALENDAR document. `component` is 'VTODO' or 'VEVENT'.
+const buildCalendar = (tasks, { name = 'Tasks', component = 'VEVENT', domain = 'tasks-api' } = {}) => {
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...tasks.flatMap(task => taskLines(task, component, domain)),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  escapeText,
+  formatDate,
+  foldLine,
+  buildCalendar
+};
@@ -21,17 +21,38 @@ const generarRefreshToken = (payload) => {
     payload,
     process.env.JWT_SECRET + '_refresh',
     { 
-      expiresIn: '30d',
+      expiresIn: process.env.JWT_REFRESH_EXPIRE || '30d',
       algorithm: 'HS256'
     }
   );
 };
 
-module.exports = {
-  generarToken,
-  verificarToken,
-  generarRefreshToken
+const verificarRefreshToken = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET + '_refresh');
 };
 
+// Short-lived token proving the password step of a two-factor login.
+// Its own secret keeps it from being accepted as an access token.
+const generarChallengeToken = (payload) => {
+  return jwt.sign(
+    payload,
+    process.env.JWT_SECRET + '_2fa',
+    {
+      expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRE || '5m',
+      algorithm: 'HS256'
+    }
+  );
+};
 
+const verificarChallengeToken = (token) => {
+  return jwt.verify(token, process.env.JWT_SECRET + '_2fa');
+};
 
+module.exports = {
+  generarToken,
+  verificarToken,
+  generarRefreshToken,
+  verificarRefreshToken,
+  generarChallengeToken,
+  verificarChallengeToken
+};
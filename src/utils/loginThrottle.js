@@ -0,0 +1,30 @@
+// src/utils/loginThrottle.js
+// How long an account waits after consecutive failed logins: nothing for
+// the first `delayAfter` failures, then a delay that doubles with each one
+// (capped at `maxDelayMs`), and a lockout of `lockoutMs` once
+// `lockoutThreshold` is reached.
+
+const failureDelay = (failures, { delayAfter, maxDelayMs, lockoutThreshold, lockoutMs }) => {
+  if (failures >= lockoutThreshold) {
+    return { delayMs: lockoutMs, lockout: true };
+  }
+
+  if (failures < delayAfter) {
+    return { delayMs: 0, lockout: false };
+  }
+
+  return {
+    delayMs: Math.min(1000 * 2 ** (failures - delayAfter), maxDelayMs),
+    lockout: false
+  };
+};
+
+// Whole seconds left until `until`, 0 once it has passed
+const secondsUntil = (until, now = new Date()) => (
+  until && until > now ? Math.ceil((until - now) / 1000) : 0
+);
+
+module.exports = {
+  failureDelay,
+  secondsUntil
+};
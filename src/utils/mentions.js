@@ -0,0 +1,18 @@
+// src/utils/mentions.js
+
+// Users are mentioned by email, e.g. "@ana@example.com", which is unique
+// where names are not. The mention must start a word.
+const MENTION = /(^|[^\w@.+-])@([\w.%+-]+@[a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})/gi;
+
+// Lowercased, de-duplicated emails mentioned in a text
+const extractMentions = (text) => {
+  const emails = new Set();
+
+  for (const match of String(text || '').matchAll(MENTION)) {
+    emails.add(match[2].toLowerCase());
+  }
+
+  return [...emails];
+};
+
+module.exports = { extractMentions };
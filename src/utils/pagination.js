@@ -0,0 +1,115 @@
+// src/utils/pagination.js
+// Sort parsing and keyset (cursor) pagination helpers.
+//
+// A sort is a list of { field, direction }. Keyset pages continue from the
+// sort values of the last row seen, so the sort must end in a unique field
+// (the id). NULLs follow PostgreSQL defaults: last when ascending, first
+// when descending.
+const { Op } = require('sequelize');
+
+// "-priority,dueDate" => [{ field: 'priority', direction: 'DESC' }, ...]
+// Returns { sort } or { error }
+const parseSort = (value, allowed) => {
+  const sort = [];
+
+  for (const part of String(value).split(',').map(p => p.trim()).filter(Boolean)) {
+    const descending = part.startsWith('-');
+    const field = descending ? part.slice(1) : part.replace(/^\+/, '');
+
+    if (!allowed.includes(field)) {
+      return { error: `Cannot sort by "${field}". Allowed: ${allowed.join(', ')}` };
+    }
+
+    if (sort.some(s => s.field === field)) {
+      return { error: `Sort field "${field}" is repeated` };
+    }
+
+    sort.push({ field, direction: descending ? 'DESC' : 'ASC' });
+  }
+
+  if (sort.length === 0) {
+    return { error: 'Sort cannot be empty' };
+  }
+
+  return { sort };
+};
+
+// Append the unique key so every row has a distinct position
+const withTiebreaker = (sort, key = 'id') => (
+  sort.some(s => s.field === key) ? sort : [...sort, { field: key, direction: 'ASC' }]
+);
+
+const reverseSort = (sort) => sort.map(({ field, direction }) => ({
+  field,
+  direction: direction === 'ASC' ? 'DESC' : 'ASC'
+}));
+
+const sortKey = (sort) => sort.map(s => (s.direction === 'DESC' ? '-' : '') + s.field).join(',');
+
+// Rows strictly after `values` (one per sort field) in the given order
+const keysetWhere = (sort, values) => {
+  const branches = [];
+
+  sort.forEach(({ field, direction }, index) => {
+    const value = values[index];
+    let after;
+
+    if (direction === 'ASC') {
+      // Nothing comes after NULL when NULLs are last
+      if (value === null) {
+        return;
+      }
+      after = { [Op.or]: [{ [field]: { [Op.gt]: value } }, { [field]: null }] };
+    } else {
+      after = value === null
+        ? { [field]: { [Op.ne]: null } }
+        : { [field]: { [Op.lt]: value } };
+    }
+
+    const equalBefore = sort.slice(0, index).map((s, i) => ({ [s.field]: values[i] }));
+    branches.push({ [Op.and]: [...equalBefore, after] });
+  });
+
+  return { [Op.or]: branches };
+};
+
+// Cursors are opaque to clients: base64url JSON with the sort they belong
+// to, the direction to page in and the sort values of the boundary row
+const encodeCursor = (sort, row, direction) => {
+  const values = sort.map(({ field }) => {
+    const value = row[field];
+    return value instanceof Date ? value.toISOString() : (value === undefined ? null : value);
+  });
+
+  return Buffer.from(JSON.stringify({ s: sortKey(sort), d: direction, v: values })).toString('base64url');
+};
+
+// Returns { direction, values } or null when the cursor is malformed or
+// was issued for a different sort
+const decodeCursor = (cursor, sort) => {
+  try {
+    const { s, d, v } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+
+    if (s !== sortKey(sort) || !['next', 'prev'].includes(d) || !Array.isArray(v) || v.length !== sort.length) {
+      return null;
+    }
+
+    // Only plain values may reach the where clause
+    if (!v.every(value => value === null || ['string', 'number', 'boolean'].includes(typeof value))) {
+      return null;
+    }
+
+    return { direction: d, values: v };
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = {
+  parseSort,
+  withTiebreaker,
+  reverseSort,
+  keysetWhere,
+  encodeCursor,
+  decodeCursor
+};
@@ -0,0 +1,29 @@
+// src/utils/projectRoles.js
+// What a user may do with a task, from its owner and, for project tasks,
+// the user's role in the project.
+
+// Project roles allowed to change a project's tasks
+const WRITE_ROLES = ['owner', 'editor'];
+
+const canWrite = (role) => WRITE_ROLES.includes(role);
+
+// Access to a task: personal tasks belong to their owner alone, project
+// tasks follow the project role (null when the user is not a member).
+// Returns { role, canWrite } or null when the task is not visible.
+const taskAccessFor = (task, userId, projectRole = null) => {
+  if (!task.projectId) {
+    return task.userId === userId ? { role: 'owner', canWrite: true } : null;
+  }
+
+  if (!projectRole) {
+    return null;
+  }
+
+  return { role: projectRole, canWrite: canWrite(projectRole) };
+};
+
+module.exports = {
+  WRITE_ROLES,
+  canWrite,
+  taskAccessFor
+};
@@ -0,0 +1,261 @@
+// src/utils/recurrence.js
+// Recurrence rules, a small subset of iCalendar RRULE:
+//
+//   { freq: 'daily', interval: 3 }                       every 3 days
+//   { freq: 'weekly', byWeekday: [1, 3] }                Mondays and Wednesdays
+//   { freq: 'monthly', byMonthDay: 15, count: 6 }        the 15th, six times
+//   { freq: 'daily', until: '2026-12-31T23:59:59Z' }     daily until a date
+//
+// Weekdays follow Date#getUTCDay (0 = Sunday). All arithmetic is done in UTC
+// and keeps the time of day of the previous occurrence.
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Window of expanded occurrences: its default and longest length
+const EXPAND_DEFAULT_DAYS = 30;
+const EXPAND_MAX_DAYS = 366;
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+
+// Returns an error message, or null when the rule is valid
+const validateRecurrence = (rule) => {
+  if (rule === null || rule === undefined) {
+    return null;
+  }
+
+  if (typeof rule !== 'object' || Array.isArray(rule)) {
+    return 'Recurrence must be an object';
+  }
+
+  if (!FREQUENCIES.includes(rule.freq)) {
+    return `Recurrence freq must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+
+  if (rule.interval !== undefined && !isPositiveInt(rule.interval)) {
+    return 'Recurrence interval must be a positive integer';
+  }
+
+  if (rule.byWeekday !== undefined) {
+    if (rule.freq !== 'weekly') {
+      return 'byWeekday is only allowed with weekly recurrence';
+    }
+    if (
+      !Array.isArray(rule.byWeekday) ||
+      rule.byWeekday.length === 0 ||
+      !rule.byWeekday.every(d => Number.isInteger(d) && d >= 0 && d <= 6)
+    ) {
+      return 'byWeekday must be a non-empty list of weekdays (0 = Sunday ... 6 = Saturday)';
+    }
+  }
+
+  if (rule.byMonthDay !== undefined) {
+    if (rule.freq !== 'monthly') {
+      return 'byMonthDay is only allowed with monthly recurrence';
+    }
+    if (!Number.isInteger(rule.byMonthDay) || rule.byMonthDay < 1 || rule.byMonthDay > 31) {
+      return 'byMonthDay must be between 1 and 31';
+    }
+  }
+
+  if (rule.until !== undefined && rule.count !== undefined) {
+    return 'Recurrence accepts either until or count, not both';
+  }
+
+  if (rule.until !== undefined && isNaN(new Date(rule.until).getTime())) {
+    return 'Recurrence until must be a valid date';
+  }
+
+  if (rule.count !== undefined && !isPositiveInt(rule.count)) {
+    return 'Recurrence count must be a positive integer';
+  }
+
+  return null;
+};
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Day N of a month, clamped to the month length and keeping the time of day
+const monthDay = (base, year, month, day) => {
+  const date = new Date(base.getTime());
+  date.setUTCFullYear(year, month, Math.min(day, daysInMonth(year, month)));
+  return date;
+};
+
+const weekStart = (date) => {
+  return Math.floor(date.getTime() / DAY_MS) - date.getUTCDay();
+};
+
+const nextDaily = (rule, date) => {
+  return new Date(date.getTime() + (rule.interval || 1) * DAY_MS);
+};
+
+const nextWeekly = (rule, date) => {
+  const interval = rule.interval || 1;
+
+  if (!rule.byWeekday) {
+    return new Date(date.getTime() + interval * 7 * DAY_MS);
+  }
+
+  // Walk forward day by day; a candidate must fall on a listed weekday in a
+  // week that is a multiple of `interval` weeks after the current one
+  const anchor = weekStart(date);
+  for (let i = 1; i <= interval * 7 + 7; i++) {
+    const candidate = new Date(date.getTime() + i * DAY_MS);
+    const weeks = (weekStart(candidate) - anchor) / 7;
+    if (weeks % interval === 0 && rule.byWeekday.includes(candidate.getUTCDay())) {
+      return candidate;
+    }
+  }
+
+  return null;
+};
+
+const nextMonthly = (rule, date) => {
+  const interval = rule.interval || 1;
+  const day = rule.byMonthDay || date.getUTCDate();
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth();
+
+  // A series can start before its day of the month
+  const sameMonth = monthDay(date, year, month, day);
+  if (sameMonth > date) {
+    return sameMonth;
+  }
+
+  return monthDay(date, year, month + interval, day);
+};
+
+// Monthly rules without byMonthDay repeat on the day of the due date.
+// Storing it keeps the series on that day: stepping from the previous date
+// would carry a clamped day forward for good (Jan 31 -> Feb 28 -> Mar 28).
+// Returns the rule itself when there is nothing to add.
+const withSeriesDay = (rule, dueDate) => {
+  if (!rule || rule.freq !== 'monthly' || rule.byMonthDay !== undefined || !dueDate) {
+    return rule;
+  }
+
+  return { ...rule, byMonthDay: new Date(dueDate).getUTCDate() };
+};
+
+const stepFunctions = {
+  daily: nextDaily,
+  weekly: nextWeekly,
+  monthly: nextMonthly
+};
+
+// Date of the occurrence after `date`, or null when the series has ended.
+// `occurrence` is the 1-based number of the occurrence at `date`.
+const nextOccurrence = (rule, date, occurrence = 1) => {
+  if (!rule || !date) {
+    return null;
+  }
+
+  if (rule.count !== undefined && occurrence >= rule.count) {
+    return null;
+  }
+
+  const next = stepFunctions[rule.freq](rule, new Date(date));
+
+  if (!next || (rule.until !== undefined && next > new Date(rule.until))) {
+    return null;
+  }
+
+  return next;
+};
+
+// Move a series forward to its last point before `from` in whole periods
+// (interval days, weeks or months), counting the occurrences passed, so
+// far-off windows cost no more than near ones. Weekly periods hold one
+// occurrence per listed weekday. Monthly series only jump with a fixed
+// byMonthDay. Returns { date, occurrence }.
+const skipBefore = (rule, date, occurrence, from) => {
+  const interval = rule.interval || 1;
+
+  if (rule.freq === 'monthly') {
+    if (!rule.byMonthDay) {
+      return { date, occurrence };
+    }
+
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const months = (from.getUTCFullYear() - year) * 12 + from.getUTCMonth() - month;
+    const periods = Math.floor(months / interval) - 1;
+
+    if (periods <= 0) {
+      return { date, occurrence };
+    }
+
+    // A series starting before its day also has that month's occurrence
+    const startsBefore = monthDay(date, year, month, rule.byMonthDay) > date;
+
+    return {
+      date: monthDay(date, year, month + periods * interval, rule.byMonthDay),
+      occurrence: occurrence + periods + (startsBefore ? 1 : 0)
+    };
+  }
+
+  const period = (rule.freq === 'weekly' ? 7 : 1) * interval * DAY_MS;
+  const periods = Math.ceil((from - date) / period) - 1;
+
+  if (periods <= 0) {
+    return { date, occurrence };
+  }
+
+  const perPeriod = rule.freq === 'weekly' && rule.byWeekday ? rule.byWeekday.length : 1;
+
+  return {
+    date: new Date(date.getTime() + periods * period),
+    occurrence: occurrence + periods * perPeriod
+  };
+};
+
+// Upcoming occurrences after `date` that fall inside [from, to].
+// Returns [{ occurrence, dueDate }], at most `max` entries.
+const occurrencesBetween = (rule, date, occurrence, from, to, max = 100) => {
+  const result = [];
+  const start = skipBefore(rule, new Date(date), occurrence, from);
+  let current = start.date;
+  let number = start.occurrence;
+
+  while (result.length < max) {
+    current = nextOccurrence(rule, current, number);
+    number += 1;
+
+    if (!current || current > to) {
+      break;
+    }
+
+    if (current >= from) {
+      result.push({ occurrence: number, dueDate: current });
+    }
+  }
+
+  return result;
+};
+
+// The [from, to] window to expand from the query: `from` defaults to now
+// and `to` to EXPAND_DEFAULT_DAYS later. Returns { from, to } or { error }.
+const expansionWindow = ({ from, to } = {}, now = new Date()) => {
+  const start = from ? new Date(from) : now;
+  const end = to ? new Date(to) : new Date(start.getTime() + EXPAND_DEFAULT_DAYS * DAY_MS);
+
+  if (start > end) {
+    return { error: 'From must not be after to' };
+  }
+
+  if (end - start > EXPAND_MAX_DAYS * DAY_MS) {
+    return { error: `The expanded window cannot exceed ${EXPAND_MAX_DAYS} days` };
+  }
+
+  return { from: start, to: end };
+};
+
+module.exports = {
+  FREQUENCIES,
+  validateRecurrence,
+  expansionWindow,
+  withSeriesDay,
+  nextOccurrence,
+  occurrencesBetween
+};
@@ -0,0 +1,35 @@
+// src/utils/redactUrl.js
+// Request URLs as written to the access log. The event stream and the
+// calendar feed take credentials in the query string (?access_token=,
+// ?token=), which must not end up in log files.
+
+const SECRET_PARAMS = ['access_token', 'token'];
+
+const decode = (value) => {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+};
+
+// Replace the value of every secret parameter, however its name is
+// encoded, and keep the rest of the URL as it was
+const redactUrl = (url) => {
+  const queryStart = url.indexOf('?');
+
+  if (queryStart === -1) {
+    return url;
+  }
+
+  const query = url.slice(queryStart + 1).split('&').map((pair) => {
+    const [name] = pair.split('=', 1);
+    return SECRET_PARAMS.includes(decode(name)) ? `${name}=[REDACTED]` : pair;
+  });
+
+  return `${url.slice(0, queryStart)}?${query.join('&')}`;
+};
+
+module.exports = {
+  redactUrl
+};
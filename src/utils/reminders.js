@@ -0,0 +1,22 @@
+// src/utils/reminders.js
+
+// When a reminder should fire for a given due date, or null without one.
+// `atTime` is HH:mm in UTC on the due day; otherwise `offsetMinutes` before.
+const computeRemindAt = ({ offsetMinutes, atTime }, dueDate) => {
+  if (!dueDate) {
+    return null;
+  }
+
+  const due = new Date(dueDate);
+
+  if (atTime) {
+    const [hours, minutes] = atTime.split(':').map(Number);
+    const remindAt = new Date(due.getTime());
+    remindAt.setUTCHours(hours, minutes, 0, 0);
+    return remindAt;
+  }
+
+  return new Date(due.getTime() - (offsetMinutes || 0) * 60 * 1000);
+};
+
+module.exports = { computeRemindAt };
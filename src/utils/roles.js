@@ -0,0 +1,25 @@
+// src/utils/roles.js
+// Account roles: who may use a role-restricted endpoint, and the changes an
+// admin may not make to their own account (locking themselves out).
+
+const hasRole = (user, allowedRoles) => Boolean(user && user.role && allowedRoles.includes(user.role));
+
+const SELF_CHANGE_ERRORS = {
+  deactivate: 'You cannot deactivate your own account',
+  role: 'You cannot change your own role'
+};
+
+// Error message when the admin targets their own account with a change
+// they may not make to it, otherwise null. targetId comes from the URL.
+const selfChangeError = (change, targetId, adminId) => {
+  if (!SELF_CHANGE_ERRORS[change] || parseInt(targetId) !== adminId) {
+    return null;
+  }
+
+  return SELF_CHANGE_ERRORS[change];
+};
+
+module.exports = {
+  hasRole,
+  selfChangeError
+};
@@ -0,0 +1,119 @@
+// src/utils/searchQuery.js
+// Parser for the task search syntax:
+//   words and "quoted phrases" (prefix matched, -word excludes),
+//   tag:x, priority:high, due:<2026-11-01, is:done / is:open
+
+// Text search configuration used for the search vector and the queries.
+// 'simple' does no stemming, which suits tasks written in any language.
+const SEARCH_CONFIG = /^[a-z_]+$/.test(process.env.SEARCH_CONFIG || '')
+  ? process.env.SEARCH_CONFIG
+  : 'simple';
+
+const PRIORITIES = ['low', 'medium', 'high'];
+const IS_VALUES = { done: true, completed: true, open: false, pending: false };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOKEN = /(-?)(?:([a-z]+):("[^"]*"|\S*)|"([^"]*)"|(\S+))/gi;
+
+// Date range { from, before } (from inclusive, before exclusive) for due:
+const parseDue = (value) => {
+  const match = /^(<=|>=|<|>|=)?(\d{4}-\d{2}-\d{2})$/.exec(value);
+  const day = match && new Date(`${match[2]}T00:00:00.000Z`);
+
+  if (!match || Number.isNaN(day.getTime())) {
+    return null;
+  }
+
+  const next = new Date(day.getTime() + DAY_MS);
+
+  switch (match[1]) {
+    case '<': return { before: day };
+    case '<=': return { before: next };
+    case '>': return { from: next };
+    case '>=': return { from: day };
+    default: return { from: day, before: next };
+  }
+};
+
+// Returns { terms, tags, priorities, due, completed, errors }
+const parseSearch = (input = '') => {
+  const result = { terms: [], tags: [], priorities: [], due: [], completed: undefined, errors: [] };
+
+  for (const [token, minus, rawKey, rawValue, phrase, word] of String(input).matchAll(TOKEN)) {
+    const negated = minus === '-';
+    const key = rawKey && rawKey.toLowerCase();
+
+    if (phrase !== undefined || word !== undefined) {
+      result.terms.push({ text: phrase !== undefined ? phrase : word, phrase: phrase !== undefined, negated });
+      continue;
+    }
+
+    const value = rawValue.replace(/^"(.*)"$/, '$1');
+
+    switch (key) {
+      case 'tag':
+        if (value) {
+          result.tags.push({ tag: value, negated });
+        } else {
+          result.errors.push('tag: needs a tag name');
+        }
+        break;
+      case 'priority':
+        if (PRIORITIES.includes(value.toLowerCase())) {
+          result.priorities.push({ priority: value.toLowerCase(), negated });
+        } else {
+          result.errors.push(`priority: must be one of ${PRIORITIES.join(', ')}`);
+        }
+        break;
+      case 'due': {
+        const range = parseDue(value);
+        if (range && !negated) {
+          result.due.push(range);
+        } else {
+          result.errors.push('due: must be a date such as due:2026-11-01 or due:<2026-11-01');
+        }
+        break;
+      }
+      case 'is':
+        if (value.toLowerCase() in IS_VALUES) {
+          result.completed = IS_VALUES[value.toLowerCase()] !== negated;
+        } else {
+          result.errors.push(`is: must be one of ${Object.keys(IS_VALUES).join(', ')}`);
+        }
+        break;
+      default:
+        // Not a filter (e.g. "note:"), search it as text
+        result.terms.push({ text: token.slice(minus.length), phrase: false, negated });
+    }
+  }
+
+  return result;
+};
+
+// Build a to_tsquery() expression from the parsed terms. Words are prefix
+// matched; only letters and digits reach the query, so input cannot break
+// the tsquery syntax. Returns '' when there is nothing to match.
+const toTsQuery = (terms) => {
+  return terms
+    .map(({ text, phrase, negated }) => {
+      const lexemes = text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+      if (lexemes.length === 0) {
+        return null;
+      }
+
+      // Phrases match exactly; words match as prefixes
+      const parts = lexemes.map(l => (phrase ? l : `${l}:*`));
+      const query = parts.length > 1 ? `(${parts.join(' <-> ')})` : parts[0];
+
+      return negated ? `!${query}` : query;
+    })
+    .filter(Boolean)
+    .join(' & ');
+};
+
+module.exports = {
+  SEARCH_CONFIG,
+  parseSearch,
+  toTsQuery
+};
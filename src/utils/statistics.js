@@ -0,0 +1,39 @@
+// src/utils/statistics.js
+// Query parameters of the statistics endpoint
+
+const GROUP_BY = ['day', 'week'];
+
+// Default window of the statistics period
+const STATISTICS_DEFAULT_DAYS = 30;
+
+// Longest period accepted, which bounds the number of timeline buckets
+const STATISTICS_MAX_DAYS = 366;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The [from, to) period from the query: `to` defaults to now and, given as
+// a bare date, includes that whole day; `from` defaults to
+// STATISTICS_DEFAULT_DAYS before `to`. Returns { from, to } or { error }.
+const resolvePeriod = ({ from, to } = {}, now = new Date()) => {
+  let end = to ? new Date(to) : now;
+  if (to && /^\d{4}-\d{2}-\d{2}$/.test(to)) {
+    end = new Date(end.getTime() + DAY_MS);
+  }
+  const start = from ? new Date(from) : new Date(end.getTime() - STATISTICS_DEFAULT_DAYS * DAY_MS);
+
+  if (start >= end) {
+    return { error: 'From must be before to' };
+  }
+
+  if (end - start > STATISTICS_MAX_DAYS * DAY_MS) {
+    return { error: `The period cannot exceed ${STATISTICS_MAX_DAYS} days` };
+  }
+
+  return { from: start, to: end };
+};
+
+module.exports = {
+  GROUP_BY,
+  STATISTICS_MAX_DAYS,
+  resolvePeriod
+};
@@ -0,0 +1,41 @@
+// src/utils/tags.js
+
+const TAG_MAX_LENGTH = 50;
+
+// Tags are stored lowercase with single spaces, so "Work " and "work" are
+// the same tag
+const normalizeTag = (tag) => String(tag).trim().replace(/\s+/g, ' ').toLowerCase();
+
+// Normalized tags without blanks or duplicates, in their original order
+const normalizeTags = (tags) => {
+  if (!Array.isArray(tags)) {
+    return tags;
+  }
+
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+};
+
+// Error message for an invalid tag name, or null. Commas and semicolons
+// separate tags in the query string and in CSV exports.
+const validateTagName = (tag) => {
+  if (typeof tag !== 'string' || normalizeTag(tag) === '') {
+    return 'Tags must be non-empty strings';
+  }
+
+  if (normalizeTag(tag).length > TAG_MAX_LENGTH) {
+    return `Tags cannot exceed ${TAG_MAX_LENGTH} characters`;
+  }
+
+  if (/[,;]/.test(tag)) {
+    return 'Tags cannot contain commas or semicolons';
+  }
+
+  return null;
+};
+
+module.exports = {
+  TAG_MAX_LENGTH,
+  normalizeTag,
+  normalizeTags,
+  validateTagName
+};
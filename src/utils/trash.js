@@ -0,0 +1,11 @@
+// src/utils/trash.js
+// Trash retention: tasks deleted before the cutoff are purged for good.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Oldest deletedAt still kept in the trash at `now`
+const retentionCutoff = (now, retentionDays) => new Date(now.getTime() - retentionDays * DAY_MS);
+
+module.exports = {
+  retentionCutoff
+};
@@ -0,0 +1,52 @@
+// src/utils/userAgent.js
+// Human-readable device label from a User-Agent header, e.g.
+// "Chrome on macOS". Good enough to recognise one's own sessions; not a
+// full user agent parser.
+
+// Order matters: Edge and Opera also claim Chrome, Chrome also claims Safari
+const BROWSERS = [
+  ['Edge', /Edg(e|A|iOS)?\//],
+  ['Opera', /OPR\/|Opera/],
+  ['Firefox', /Firefox\/|FxiOS\//],
+  ['Chrome', /Chrome\/|CriOS\//],
+  ['Safari', /Version\/[\d.]+.*Safari\//]
+];
+
+const SYSTEMS = [
+  ['iOS', /iPhone|iPad|iPod/],
+  ['Android', /Android/],
+  ['Windows', /Windows/],
+  ['macOS', /Mac OS X|Macintosh/],
+  ['ChromeOS', /CrOS/],
+  ['Linux', /Linux/]
+];
+
+// Command-line tools and HTTP libraries, named after their product token
+const CLIENTS = /^(curl|Wget|PostmanRuntime|insomnia|HTTPie|python-requests|axios|node-fetch|Go-http-client|okhttp)\b/i;
+
+const match = (list, userAgent) => {
+  const found = list.find(([, pattern]) => pattern.test(userAgent));
+  return found ? found[0] : null;
+};
+
+const describeDevice = (userAgent) => {
+  if (!userAgent) {
+    return 'Unknown device';
+  }
+
+  const client = CLIENTS.exec(userAgent);
+  if (client) {
+    return client[1];
+  }
+
+  const browser = match(BROWSERS, userAgent);
+  const system = match(SYSTEMS, userAgent);
+
+  if (browser && system) {
+    return `${browser} on ${system}`;
+  }
+
+  return browser || system || 'Unknown device';
+};
+
+module.exports = { describeDevice };
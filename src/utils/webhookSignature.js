@@ -0,0 +1,26 @@
+// src/utils/webhookSignature.js
+const crypto = require('crypto');
+
+// Signature sent in X-Webhook-Signature. Receivers recompute it over
+// `${timestamp}.${rawBody}` with their secret and compare in constant time.
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+  return `sha256=${digest}`;
+};
+
+const verifySignature = (secret, timestamp, body, signature) => {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const received = Buffer.from(String(signature));
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+};
+
+const generateSecret = () => crypto.randomBytes(32).toString('hex');
+
+module.exports = {
+  signPayload,
+  verifySignature,
+  generateSecret
+};
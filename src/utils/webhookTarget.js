@@ -0,0 +1,78 @@
+// src/utils/webhookTarget.js
+// Outgoing webhooks may only reach public hosts. URLs with an internal
+// literal host are rejected on input, and every delivery resolves the host
+// again, so a name pointing at loopback, link-local (169.254.169.254) or
+// private addresses is refused even if it changed after registration.
+const dns = require('dns').promises;
+const net = require('net');
+
+// IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked against the
+// IPv4 subnets as well
+const blocked = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15], // benchmarking
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4] // reserved and broadcast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 128],
+  ['::1', 128],
+  ['fc00::', 7], // unique local
+  ['fe80::', 10],
+  ['ff00::', 8] // multicast
+].forEach(([address, prefix]) => blocked.addSubnet(address, prefix, 'ipv6'));
+
+const isPublicAddress = (address) => {
+  const family = net.isIP(address);
+  if (!family) {
+    return false;
+  }
+  return !blocked.check(address, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+// Host of a URL without the brackets of IPv6 literals
+const hostOf = (url) => new URL(url).hostname.replace(/^\[|\]$/g, '');
+
+// Input check: names are resolved at delivery time, only localhost and
+// internal IP literals are known to be internal here
+const hasPublicHost = (url) => {
+  let host;
+  try {
+    host = hostOf(url).toLowerCase();
+  } catch {
+    return false;
+  }
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return false;
+  }
+  return !net.isIP(host) || isPublicAddress(host);
+};
+
+// Resolve the target's host and throw unless every address is public
+const assertPublicTarget = async (url) => {
+  const host = hostOf(url);
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.lookup(host, { all: true, verbatim: true });
+
+  const internal = addresses.find(({ address }) => !isPublicAddress(address));
+  if (internal) {
+    throw new Error(`Target host ${host} resolves to a non-public address (${internal.address})`);
+  }
+};
+
+module.exports = {
+  isPublicAddress,
+  hasPublicHost,
+  assertPublicTarget
+};
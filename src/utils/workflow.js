@@ -0,0 +1,105 @@
+// src/utils/workflow.js
+// Workflow statuses: the columns of a board, in order. A status is
+// { key, name, done, transitions } where `done` marks the statuses that
+// count as completed and `transitions` lists the keys a task may move to
+// from it (null allows any).
+
+const DEFAULT_STATUSES = [
+  { key: 'todo', name: 'To do', done: false, transitions: null },
+  { key: 'in_progress', name: 'In progress', done: false, transitions: null },
+  { key: 'review', name: 'Review', done: false, transitions: null },
+  { key: 'done', name: 'Done', done: true, transitions: null }
+];
+
+const MAX_STATUSES = 20;
+const KEY_PATTERN = /^[a-z][a-z0-9_]{0,29}$/;
+
+// Returns an error message or null
+const validateWorkflow = (statuses) => {
+  if (!Array.isArray(statuses) || statuses.length === 0) {
+    return 'A workflow needs at least one status';
+  }
+
+  if (statuses.length > MAX_STATUSES) {
+    return `A workflow cannot have more than ${MAX_STATUSES} statuses`;
+  }
+
+  const keys = statuses.map(s => s && s.key);
+
+  for (const status of statuses) {
+    if (!status || typeof status !== 'object') {
+      return 'Each status must be an object';
+    }
+
+    if (typeof status.key !== 'string' || !KEY_PATTERN.test(status.key)) {
+      return 'Status keys must be 1-30 lowercase letters, digits or underscores, starting with a letter';
+    }
+
+    if (typeof status.name !== 'string' || !status.name.trim() || status.name.length > 50) {
+      return `Status "${status.key}" needs a name of at most 50 characters`;
+    }
+
+    if (status.done !== undefined && typeof status.done !== 'boolean') {
+      return `done of status "${status.key}" must be true or false`;
+    }
+
+    if (status.transitions !== undefined && status.transitions !== null) {
+      if (!Array.isArray(status.transitions)) {
+        return `transitions of status "${status.key}" must be a list of status keys or null`;
+      }
+
+      const unknown = status.transitions.find(key => !keys.includes(key));
+      if (unknown !== undefined) {
+        return `Status "${status.key}" has a transition to unknown status "${unknown}"`;
+      }
+    }
+  }
+
+  const repeated = keys.find((key, index) => keys.indexOf(key) !== index);
+  if (repeated) {
+    return `Status "${repeated}" is repeated`;
+  }
+
+  if (!statuses.some(s => s.done === true)) {
+    return 'A workflow needs at least one done status';
+  }
+
+  if (!statuses.some(s => s.done !== true)) {
+    return 'A workflow needs at least one status that is not done';
+  }
+
+  return null;
+};
+
+// Status for a task marked completed (or reopened) without naming a
+// status: it stays where it is if that already matches, otherwise it goes
+// to the first done (or first open) status
+const statusForCompletion = (statuses, completed, currentKey) => {
+  const current = statuses.find(s => s.key === currentKey);
+
+  if (current && current.done === completed) {
+    return current;
+  }
+
+  return statuses.find(s => s.done === completed);
+};
+
+// Returns an error message when the workflow does not allow the move
+const checkTransition = (statuses, fromKey, toKey) => {
+  const from = statuses.find(s => s.key === fromKey);
+
+  if (!from || fromKey === toKey || !from.transitions || from.transitions.includes(toKey)) {
+    return null;
+  }
+
+  const allowed = from.transitions.length > 0 ? from.transitions.join(', ') : 'none';
+  return `Tasks cannot move from "${fromKey}" to "${toKey}". Allowed: ${allowed}`;
+};
+
+module.exports = {
+  DEFAULT_STATUSES,
+  MAX_STATUSES,
+  validateWorkflow,
+  statusForCompletion,
+  checkTransition
+};
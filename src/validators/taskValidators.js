@@ -0,0 +1,158 @@
+// src/validators/taskValidators.js
+// Body rules for task writes, shared by the task routes and the bulk
+// endpoint (which runs them against each operation with validarObjeto)
+const { body, query } = require('express-validator');
+const { validateRecurrence } = require('../utils/recurrence');
+const { parseSearch } = require('../utils/searchQuery');
+const { parseSort } = require('../utils/pagination');
+const { validateTagName } = require('../utils/tags');
+const { MAX_STATUSES } = require('../utils/workflow');
+const { TASK_SORT_FIELDS, TASK_LIST_FIELDS } = require('../services/taskListing');
+
+const recurrenceRule = () => body('recurrence')
+  .optional({ nullable: true })
+  .custom((rule) => {
+    const error = validateRecurrence(rule);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  });
+
+const MAX_TAGS = 20;
+
+const tagsRule = () => body('tags')
+  .optional()
+  .isArray({ max: MAX_TAGS }).withMessage(`Tags must be a list of at most ${MAX_TAGS} tags`)
+  .bail()
+  .custom((tags) => {
+    const error = tags.map(validateTagName).find(Boolean);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  });
+
+// Key of a workflow status; whether the board has it is checked on save
+const statusRule = (chain) => chain
+  .optional()
+  .isString().withMessage('Status must be a status key')
+  .isLength({ min: 1, max: 30 }).withMessage('Status must be a status key');
+
+const createTaskRules = [
+  body('title')
+    .trim()
+    .notEmpty().withMessage('Title is required')
+    .isLength({ max: 200 }).withMessage('Title cannot exceed 200 characters'),
+  body('description').optional().trim(),
+  body('dueDate').optional().isISO8601().withMessage('Must be a valid date'),
+  body('priority').optional().isIn(['low', 'medium', 'high']),
+  body('projectId').optional({ nullable: true }).isInt().withMessage('Project ID must be an integer').toInt(),
+  body('parentId').optional({ nullable: true }).isInt().withMessage('Parent ID must be an integer').toInt(),
+  statusRule(body('status')),
+  tagsRule(),
+  recurrenceRule()
+];
+
+const updateTaskRules = [
+  body('title').optional().trim().notEmpty().isLength({ max: 200 }),
+  body('description').optional().trim(),
+  body('completed').optional().isBoolean().toBoolean(),
+  statusRule(body('status')),
+  body('dueDate').optional().isISO8601(),
+  body('priority').optional().isIn(['low', 'medium', 'high']),
+  body('projectId').optional({ nullable: true }).isInt().withMessage('Project ID must be an integer').toInt(),
+  body('parentId').optional({ nullable: true }).isInt().withMessage('Parent ID must be an integer').toInt(),
+  tagsRule(),
+  recurrenceRule(),
+  body('force').optional().isBoolean().toBoolean()
+];
+
+// POST /api/tasks/:id/move
+const moveTaskRules = [
+  statusRule(body('status')),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a number from 0').toInt(),
+  body('force').optional().isBoolean().toBoolean(),
+  body().custom((value) => {
+    if (!value || (value.status === undefined && value.position === undefined)) {
+      throw new Error('Send a status, a position or both');
+    }
+    return true;
+  })
+];
+
+// Body of PUT /api/workflow and PUT /api/projects/:id/workflow. Each status
+// is checked by validateWorkflow.
+const workflowRules = [
+  body('statuses')
+    .isArray({ min: 1, max: MAX_STATUSES })
+    .withMessage(`Statuses must be a list of 1 to ${MAX_STATUSES} statuses`),
+  body('remap').optional().isObject().withMessage('Remap must map removed status keys to new ones')
+];
+
+// Rows of an import: a task as created plus its state and origin
+const importTaskRules = [
+  ...createTaskRules,
+  body('externalId').optional().isString().isLength({ max: 100 }).withMessage('External ID cannot exceed 100 characters'),
+  body('completed').optional().isBoolean({ strict: true }).withMessage('Completed must be true or false')
+];
+
+// ?search= of the task list and calendar feed, rejected when a filter
+// such as priority: or due: has an invalid value
+const searchQueryRule = () => query('search')
+  .optional()
+  .isString()
+  .isLength({ max: 200 }).withMessage('Search cannot exceed 200 characters')
+  .custom((search) => {
+    const { errors } = parseSearch(search);
+    if (errors.length > 0) {
+      throw new Error(`Invalid search: ${errors.join('; ')}`);
+    }
+    return true;
+  });
+
+// ?sort=, ?fields= and cursor pagination of the task list
+const listQueryRules = [
+  query('sort').optional().isString().custom((sort) => {
+    const { error } = parseSort(sort, TASK_SORT_FIELDS);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  }),
+  query('fields').optional().isString().custom((fields) => {
+    const unknown = fields.split(',').map(f => f.trim()).filter(f => !TASK_LIST_FIELDS.includes(f));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown fields: ${unknown.join(', ')}`);
+    }
+    return true;
+  }),
+  query('pagination').optional().isIn(['offset', 'cursor']).withMessage('Pagination must be offset or cursor'),
+  query('cursor').optional().isString().isLength({ max: 2000 }).withMessage('Invalid cursor')
+];
+
+// ?tags=a,b (or repeated ?tags=) with ?tagMatch=any|all, shared by the task
+// list and the calendar feed
+const tagFilterRules = [
+  query('tags').optional().custom((tags) => {
+    const list = [].concat(tags).flatMap(t => String(t).split(','));
+    const error = list.map(validateTagName).find(Boolean);
+    if (error) {
+      throw new Error(error);
+    }
+    return true;
+  }),
+  query('tagMatch').optional().isIn(['any', 'all']).withMessage('Tag match must be any or all')
+];
+
+module.exports = {
+  createTaskRules,
+  updateTaskRules,
+  importTaskRules,
+  searchQueryRule,
+  listQueryRules,
+  tagFilterRules,
+  statusRule,
+  moveTaskRules,
+  workflowRules
+};
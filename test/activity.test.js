@@ -0,0 +1,63 @@
+const { Op } = require('sequelize');
+const {
+  compareActivity,
+  encodeActivityCursor,
+  parseActivityBefore,
+  activityAfter
+} = require('../src/utils/activity');
+
+const at = new Date('2026-10-19T10:00:00.000Z');
+const iso = at.toISOString();
+
+describe('activity feed order', () => {
+  test('newest first, comments before changes of the same instant, then by id', () => {
+    const entries = [
+      { at, type: 'change', id: 4 },
+      { at: new Date('2026-10-19T09:00:00Z'), type: 'comment', id: 9 },
+      { at, type: 'comment', id: 2 },
+      { at, type: 'comment', id: 3 },
+      { at: new Date('2026-10-19T11:00:00Z'), type: 'change', id: 1 }
+    ];
+
+    expect(entries.sort(compareActivity).map(e => `${e.type}:${e.id}`))
+      .toEqual(['change:1', 'comment:3', 'comment:2', 'change:4', 'comment:9']);
+  });
+});
+
+describe('activity cursor', () => {
+  test('round-trips the position of the last entry', () => {
+    const cursor = encodeActivityCursor({ at, type: 'comment', id: 3 });
+    expect(parseActivityBefore(cursor)).toEqual({ at: iso, type: 'comment', id: 3 });
+  });
+
+  test('accepts a plain date to start from', () => {
+    expect(parseActivityBefore('2026-10-19T10:00:00Z')).toEqual({ at: iso, type: null, id: null });
+  });
+
+  test('rejects anything else', () => {
+    const forged = Buffer.from(JSON.stringify({ s: '-at,-type,-id', d: 'next', v: [iso, 'note', 3] }))
+      .toString('base64url');
+
+    expect(parseActivityBefore('not-a-cursor')).toBeNull();
+    expect(parseActivityBefore(forged)).toBeNull();
+  });
+
+  test('continues within the same type by (createdAt, id)', () => {
+    expect(activityAfter('comment', { at: iso, type: 'comment', id: 3 })).toEqual({
+      [Op.or]: [
+        { [Op.and]: [{ createdAt: { [Op.lt]: iso } }] },
+        { [Op.and]: [{ createdAt: iso }, { id: { [Op.lt]: 3 } }] }
+      ]
+    });
+  });
+
+  test('keeps the other type\'s entries of the same instant only when they come later', () => {
+    const afterComment = { at: iso, type: 'comment', id: 3 };
+    const afterChange = { at: iso, type: 'change', id: 4 };
+
+    expect(activityAfter('change', afterComment)).toEqual({ createdAt: { [Op.lte]: iso } });
+    expect(activityAfter('comment', afterChange)).toEqual({ createdAt: { [Op.lt]: iso } });
+    expect(activityAfter('comment', { at: iso, type: null, id: null })).toEqual({ createdAt: { [Op.lt]: iso } });
+    expect(activityAfter('change', null)).toEqual({});
+  });
+});
@@ -0,0 +1,38 @@
+const { SCOPES, isApiKey, requiredScope, hasScope } = require('../src/utils/apiKeys');
+
+describe('API key scopes', () => {
+  test('recognises keys by their prefix', () => {
+    expect(isApiKey('tsk_abc')).toBe(true);
+    expect(isApiKey('eyJhbGciOiJIUzI1NiJ9.e30.x')).toBe(false);
+    expect(isApiKey(null)).toBe(false);
+  });
+
+  test('defines read and write scopes per section', () => {
+    expect(SCOPES).toContain('tasks:read');
+    expect(SCOPES).toContain('tasks:write');
+    expect(SCOPES).toContain('projects:write');
+  });
+
+  test('derives the required scope from method and mount path', () => {
+    expect(requiredScope('GET', '/api/tasks')).toBe('tasks:read');
+    expect(requiredScope('HEAD', '/api/tasks')).toBe('tasks:read');
+    expect(requiredScope('POST', '/api/tasks')).toBe('tasks:write');
+    expect(requiredScope('DELETE', '/api/projects')).toBe('projects:write');
+    expect(requiredScope('GET', '/api/workflow')).toBe('workflow:read');
+  });
+
+  test('has no scope for account, key and admin endpoints', () => {
+    expect(requiredScope('GET', '/api/auth')).toBeNull();
+    expect(requiredScope('POST', '/api/api-keys')).toBeNull();
+    expect(requiredScope('GET', '/api/admin')).toBeNull();
+    expect(requiredScope('GET', '')).toBeNull();
+  });
+
+  test('write implies read', () => {
+    expect(hasScope(['tasks:read'], 'tasks:read')).toBe(true);
+    expect(hasScope(['tasks:write'], 'tasks:read')).toBe(true);
+    expect(hasScope(['tasks:read'], 'tasks:write')).toBe(false);
+    expect(hasScope(['projects:write'], 'tasks:read')).toBe(false);
+    expect(hasScope(['tasks:write'], null)).toBe(false);
+  });
+});
@@ -0,0 +1,31 @@
+const { toCsvLine, parseCsv, parseCsvObjects } = require('../src/utils/csv');
+
+describe('csv', () => {
+  test('quotes only the cells that need it', () => {
+    expect(toCsvLine(['a', 'b,c', 'say "hi"', null, 3])).toBe('a,"b,c","say ""hi""",,3\r\n');
+  });
+
+  test('neutralises formula cells on request', () => {
+    const values = ['=HYPERLINK("http://x")', '+1', '-2', '@SUM(A1)', 'ok', -3];
+    expect(toCsvLine(values)).toBe('"=HYPERLINK(""http://x"")",+1,-2,@SUM(A1),ok,-3\r\n');
+    expect(toCsvLine(values, { escapeFormulas: true }))
+      .toBe('"\'=HYPERLINK(""http://x"")",\'+1,\'-2,\'@SUM(A1),ok,-3\r\n');
+  });
+
+  test('round-trips line breaks, quotes and commas', () => {
+    const values = ['multi\nline', 'x,y', '"quoted"', ''];
+    expect(parseCsv(toCsvLine(values))).toEqual([values]);
+  });
+
+  test('parses headers into objects and skips blank lines', () => {
+    const text = '\uFEFFtitle,priority\r\nFirst,high\r\n\r\nSecond,low\n';
+    expect(parseCsvObjects(text)).toEqual([
+      { title: 'First', priority: 'high' },
+      { title: 'Second', priority: 'low' }
+    ]);
+  });
+
+  test('fills missing trailing cells with empty strings', () => {
+    expect(parseCsvObjects('a,b,c\n1')).toEqual([{ a: '1', b: '', c: '' }]);
+  });
+});
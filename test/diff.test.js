@@ -0,0 +1,28 @@
+const { pickFields, diffFields } = require('../src/utils/diff');
+
+describe('diffFields', () => {
+  const fields = ['title', 'dueDate', 'tags', 'completed'];
+
+  test('reports only changed fields', () => {
+    const before = { title: 'A', dueDate: null, tags: ['x'], completed: false };
+    const after = { title: 'B', dueDate: null, tags: ['x'], completed: false };
+    expect(diffFields(before, after, fields)).toEqual({ title: { from: 'A', to: 'B' } });
+  });
+
+  test('compares dates and arrays by value', () => {
+    const before = { dueDate: new Date('2026-01-01T00:00:00Z'), tags: ['a', 'b'] };
+    const after = { dueDate: new Date('2026-01-01T00:00:00Z'), tags: ['a'] };
+    expect(diffFields(before, after, ['dueDate', 'tags'])).toEqual({
+      tags: { from: ['a', 'b'], to: ['a'] }
+    });
+  });
+
+  test('treats a missing side as nulls (create / delete)', () => {
+    expect(diffFields(null, { title: 'New' }, ['title'])).toEqual({
+      title: { from: null, to: 'New' }
+    });
+    expect(pickFields({ dueDate: new Date('2026-02-03T04:05:06Z') }, ['dueDate'])).toEqual({
+      dueDate: '2026-02-03T04:05:06.000Z'
+    });
+  });
+});
@@ -0,0 +1,30 @@
+const { sniffMimeType, safeFilename } = require('../src/utils/files');
+
+describe('files', () => {
+  test('detects binary formats by their magic numbers', () => {
+    expect(sniffMimeType(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0]))).toBe('image/png');
+    expect(sniffMimeType(Buffer.from('%PDF-1.7\n'), 'text/plain')).toBe('application/pdf');
+    expect(sniffMimeType(Buffer.from('RIFF\0\0\0\0WEBPVP8 '))).toBe('image/webp');
+    expect(sniffMimeType(Buffer.from('\0\0\0\x18ftypmp42'))).toBe('video/mp4');
+  });
+
+  test('only trusts the declared type for text content', () => {
+    expect(sniffMimeType(Buffer.from('a,b\n1,2\n'), 'text/csv; charset=utf-8')).toBe('text/csv');
+    expect(sniffMimeType(Buffer.from('<html></html>'), 'text/html')).toBe('text/plain');
+    expect(sniffMimeType(Buffer.from([0x4d, 0x5a, 0x90, 0x00]), 'image/png')).toBe('application/octet-stream');
+    expect(sniffMimeType(Buffer.alloc(0), 'text/plain')).toBe('application/octet-stream');
+  });
+
+  test('accepts UTF-8 cut in the middle of a character', () => {
+    const text = Buffer.from('informe técnico ñ');
+    expect(sniffMimeType(text.subarray(0, text.length - 1))).toBe('text/plain');
+  });
+
+  test('strips paths and control characters from file names', () => {
+    expect(safeFilename('C:\\Users\\ana\\informe.pdf')).toBe('informe.pdf');
+    expect(safeFilename('../../etc/passwd')).toBe('passwd');
+    expect(safeFilename('a\u0000b\n.txt')).toBe('ab.txt');
+    expect(safeFilename('..')).toBe('file');
+    expect(safeFilename('x'.repeat(300))).toHaveLength(255);
+  });
+});
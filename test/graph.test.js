@@ -0,0 +1,27 @@
+const { hasPath } = require('../src/utils/graph');
+
+// a -> b -> c, d isolated
+const edges = { a: ['b'], b: ['c'], c: [], d: [] };
+const neighbors = async (ids) => ids.flatMap(id => edges[id] || []);
+
+describe('hasPath', () => {
+  test('finds direct and transitive paths', async () => {
+    expect(await hasPath(neighbors, 'a', 'b')).toBe(true);
+    expect(await hasPath(neighbors, 'a', 'c')).toBe(true);
+  });
+
+  test('respects edge direction', async () => {
+    expect(await hasPath(neighbors, 'c', 'a')).toBe(false);
+    expect(await hasPath(neighbors, 'a', 'd')).toBe(false);
+  });
+
+  test('a node always reaches itself', async () => {
+    expect(await hasPath(neighbors, 'd', 'd')).toBe(true);
+  });
+
+  test('terminates on cyclic graphs', async () => {
+    const cyclic = { x: ['y'], y: ['x'] };
+    const cyclicNeighbors = async (ids) => ids.flatMap(id => cyclic[id]);
+    expect(await hasPath(cyclicNeighbors, 'x', 'z')).toBe(false);
+  });
+});
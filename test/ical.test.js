@@ -0,0 +1,52 @@
+const { escapeText, formatDate, foldLine, buildCalendar } = require('../src/utils/ical');
+
+const task = {
+  id: 7,
+  title: 'Pay rent, gas; water',
+  description: 'Line one\nLine two',
+  completed: true,
+  dueDate: new Date('2026-11-01T09:30:00.000Z'),
+  priority: 'high',
+  tags: ['home', 'bills'],
+  createdAt: new Date('2026-10-01T00:00:00.000Z'),
+  updatedAt: new Date('2026-10-02T00:00:00.000Z')
+};
+
+describe('ical', () => {
+  test('escapes text values', () => {
+    expect(escapeText('a,b;c\\d\ne')).toBe('a\\,b\\;c\\\\d\\ne');
+  });
+
+  test('formats dates as UTC date-times', () => {
+    expect(formatDate('2026-11-01T09:30:15.123Z')).toBe('20261101T093015Z');
+  });
+
+  test('folds long lines at 75 octets without splitting characters', () => {
+    const folded = foldLine('SUMMARY:' + 'é'.repeat(80));
+    const lines = folded.split('\r\n');
+    expect(lines.length).toBeGreaterThan(1);
+    lines.forEach(line => expect(Buffer.byteLength(line)).toBeLessThanOrEqual(75));
+    expect(lines.map((l, i) => (i === 0 ? l : l.slice(1))).join('')).toBe('SUMMARY:' + 'é'.repeat(80));
+  });
+
+  test('builds a VTODO with status, priority and categories', () => {
+    const ics = buildCalendar([task], { component: 'VTODO', domain: 'example.com' });
+    expect(ics).toMatch(/^BEGIN:VCALENDAR\r\n/);
+    expect(ics).toContain('UID:task-7@example.com\r\n');
+    expect(ics).toContain('DUE:20261101T093000Z\r\n');
+    expect(ics).toContain('SUMMARY:Pay rent\\, gas\\; water\r\n');
+    expect(ics).toContain('DESCRIPTION:Line one\\nLine two\r\n');
+    expect(ics).toContain('STATUS:COMPLETED\r\n');
+    expect(ics).toContain('PRIORITY:1\r\n');
+    expect(ics).toContain('CATEGORIES:home,bills\r\n');
+    expect(ics).toMatch(/END:VCALENDAR\r\n$/);
+  });
+
+  test('builds a VEVENT starting at the due date', () => {
+    const ics = buildCalendar([{ ...task, completed: false, tags: [] }]);
+    expect(ics).toContain('BEGIN:VEVENT\r\n');
+    expect(ics).toContain('DTSTART:20261101T093000Z\r\n');
+    expect(ics).not.toContain('CATEGORIES');
+    expect(ics).not.toContain('STATUS:');
+  });
+});
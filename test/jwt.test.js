@@ -0,0 +1,37 @@
+process.env.JWT_SECRET = 'test-secret';
+process.env.JWT_EXPIRE = '15m';
+process.env.JWT_REFRESH_EXPIRE = '30d';
+
+const {
+  generarToken,
+  verificarToken,
+  generarRefreshToken,
+  verificarRefreshToken
+} = require('../src/utils/jwt');
+
+describe('access and refresh tokens', () => {
+  test('refresh tokens carry their family and outlive access tokens', () => {
+    const access = verificarToken(generarToken({ id: 1, sid: 'fam-1' }));
+    const refresh = verificarRefreshToken(generarRefreshToken({ id: 1, family: 'fam-1', jti: 'a' }));
+
+    expect(access).toMatchObject({ id: 1, sid: 'fam-1' });
+    expect(refresh).toMatchObject({ id: 1, family: 'fam-1', jti: 'a' });
+    expect(access.exp - access.iat).toBe(15 * 60);
+    expect(refresh.exp - refresh.iat).toBe(30 * 24 * 60 * 60);
+  });
+
+  test('each kind is only accepted where it belongs', () => {
+    const access = generarToken({ id: 1, sid: 'fam-1' });
+    const refresh = generarRefreshToken({ id: 1, family: 'fam-1', jti: 'a' });
+
+    expect(() => verificarToken(refresh)).toThrow('invalid signature');
+    expect(() => verificarRefreshToken(access)).toThrow('invalid signature');
+  });
+
+  test('rotated refresh tokens differ even within the same second', () => {
+    const first = generarRefreshToken({ id: 1, family: 'fam-1', jti: 'a' });
+    const second = generarRefreshToken({ id: 1, family: 'fam-1', jti: 'b' });
+
+    expect(first).not.toBe(second);
+  });
+});
@@ -0,0 +1,34 @@
+const { failureDelay, secondsUntil } = require('../src/utils/loginThrottle');
+
+describe('login throttle', () => {
+  const config = {
+    delayAfter: 3,
+    maxDelayMs: 60 * 1000,
+    lockoutThreshold: 10,
+    lockoutMs: 30 * 60 * 1000
+  };
+
+  test('allows the first failures without delay', () => {
+    expect(failureDelay(1, config)).toEqual({ delayMs: 0, lockout: false });
+    expect(failureDelay(2, config)).toEqual({ delayMs: 0, lockout: false });
+  });
+
+  test('doubles the delay with each further failure up to the cap', () => {
+    expect(failureDelay(3, config).delayMs).toBe(1000);
+    expect(failureDelay(4, config).delayMs).toBe(2000);
+    expect(failureDelay(8, config).delayMs).toBe(32000);
+    expect(failureDelay(9, config)).toEqual({ delayMs: 60000, lockout: false });
+  });
+
+  test('locks the account at the threshold and beyond', () => {
+    expect(failureDelay(10, config)).toEqual({ delayMs: 30 * 60 * 1000, lockout: true });
+    expect(failureDelay(11, config).lockout).toBe(true);
+  });
+
+  test('counts whole seconds left', () => {
+    const now = new Date('2026-10-19T10:00:00Z');
+    expect(secondsUntil(new Date('2026-10-19T10:00:01.200Z'), now)).toBe(2);
+    expect(secondsUntil(new Date('2026-10-19T09:59:59Z'), now)).toBe(0);
+    expect(secondsUntil(null, now)).toBe(0);
+  });
+});
@@ -0,0 +1,19 @@
+const nodemailer = require('nodemailer');
+const { sendMail, setTransport } = require('../src/services/mailer');
+
+describe('mailer', () => {
+  test('sends through the configured transport', async () => {
+    setTransport(nodemailer.createTransport({ jsonTransport: true }));
+
+    const info = await sendMail({
+      to: 'ana@example.com',
+      subject: 'Reset your password',
+      text: 'Your reset token is: abc'
+    });
+    const message = JSON.parse(info.message);
+
+    expect(message.to).toEqual([{ address: 'ana@example.com', name: '' }]);
+    expect(message.subject).toBe('Reset your password');
+    expect(message.from.address).toBeTruthy();
+  });
+});
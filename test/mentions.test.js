@@ -0,0 +1,22 @@
+const { extractMentions } = require('../src/utils/mentions');
+
+describe('extractMentions', () => {
+  test('finds emails mentioned with @', () => {
+    expect(extractMentions('Thanks @ana@example.com and @Luis.P@mail.co.uk!')).toEqual([
+      'ana@example.com',
+      'luis.p@mail.co.uk'
+    ]);
+  });
+
+  test('ignores trailing punctuation and duplicates', () => {
+    expect(extractMentions('@ana@example.com. Ping @ANA@example.com, again')).toEqual(['ana@example.com']);
+  });
+
+  test('does not treat plain emails as mentions', () => {
+    expect(extractMentions('write to ana@example.com or x@@example.com')).toEqual([]);
+  });
+
+  test('handles empty bodies', () => {
+    expect(extractMentions(undefined)).toEqual([]);
+  });
+});
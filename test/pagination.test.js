@@ -0,0 +1,67 @@
+const { Op } = require('sequelize');
+const {
+  parseSort,
+  withTiebreaker,
+  reverseSort,
+  keysetWhere,
+  encodeCursor,
+  decodeCursor
+} = require('../src/utils/pagination');
+
+const allowed = ['dueDate', 'priority', 'createdAt', 'id'];
+
+describe('pagination', () => {
+  test('parses multi-field sorts with directions', () => {
+    expect(parseSort('-priority, dueDate', allowed)).toEqual({
+      sort: [
+        { field: 'priority', direction: 'DESC' },
+        { field: 'dueDate', direction: 'ASC' }
+      ]
+    });
+  });
+
+  test('rejects unknown, repeated and empty sorts', () => {
+    expect(parseSort('password', allowed).error).toMatch(/Cannot sort by "password"/);
+    expect(parseSort('dueDate,-dueDate', allowed).error).toMatch(/repeated/);
+    expect(parseSort(' , ', allowed).error).toMatch(/empty/);
+  });
+
+  test('adds the id as tiebreaker once and reverses directions', () => {
+    const sort = withTiebreaker([{ field: 'dueDate', direction: 'DESC' }]);
+    expect(sort).toEqual([{ field: 'dueDate', direction: 'DESC' }, { field: 'id', direction: 'ASC' }]);
+    expect(withTiebreaker(sort)).toBe(sort);
+    expect(reverseSort(sort).map(s => s.direction)).toEqual(['ASC', 'DESC']);
+  });
+
+  test('builds keyset conditions that handle NULLs', () => {
+    const sort = [{ field: 'dueDate', direction: 'ASC' }, { field: 'id', direction: 'ASC' }];
+
+    // After a NULL due date only rows with NULL and a greater id remain
+    expect(keysetWhere(sort, [null, 5])).toEqual({
+      [Op.or]: [
+        { [Op.and]: [{ dueDate: null }, { [Op.or]: [{ id: { [Op.gt]: 5 } }, { id: null }] }] }
+      ]
+    });
+
+    const desc = [{ field: 'dueDate', direction: 'DESC' }, { field: 'id', direction: 'ASC' }];
+    expect(keysetWhere(desc, [null, 5])[Op.or][0]).toEqual({ [Op.and]: [{ dueDate: { [Op.ne]: null } }] });
+    expect(keysetWhere(desc, ['2026-11-01', 5])[Op.or][0]).toEqual({
+      [Op.and]: [{ dueDate: { [Op.lt]: '2026-11-01' } }]
+    });
+  });
+
+  test('round-trips cursors and rejects ones from another sort', () => {
+    const sort = [{ field: 'dueDate', direction: 'ASC' }, { field: 'id', direction: 'ASC' }];
+    const cursor = encodeCursor(sort, { dueDate: new Date('2026-11-01T00:00:00.000Z'), id: 3 }, 'next');
+
+    expect(decodeCursor(cursor, sort)).toEqual({ direction: 'next', values: ['2026-11-01T00:00:00.000Z', 3] });
+    expect(decodeCursor(cursor, reverseSort(sort))).toBeNull();
+    expect(decodeCursor('not-a-cursor', sort)).toBeNull();
+  });
+
+  test('rejects cursors carrying objects', () => {
+    const sort = [{ field: 'id', direction: 'ASC' }];
+    const forged = Buffer.from(JSON.stringify({ s: 'id', d: 'next', v: [{ gt: 1 }] })).toString('base64url');
+    expect(decodeCursor(forged, sort)).toBeNull();
+  });
+});
@@ -0,0 +1,31 @@
+const { canWrite, taskAccessFor } = require('../src/utils/projectRoles');
+
+describe('canWrite', () => {
+  test('owners and editors change project tasks, viewers do not', () => {
+    expect(canWrite('owner')).toBe(true);
+    expect(canWrite('editor')).toBe(true);
+    expect(canWrite('viewer')).toBe(false);
+    expect(canWrite(null)).toBe(false);
+  });
+});
+
+describe('taskAccessFor', () => {
+  test('personal tasks belong to their owner only', () => {
+    const task = { userId: 1, projectId: null };
+    expect(taskAccessFor(task, 1)).toEqual({ role: 'owner', canWrite: true });
+    expect(taskAccessFor(task, 2)).toBeNull();
+  });
+
+  test('project tasks follow the project role', () => {
+    const task = { userId: 1, projectId: 5 };
+    expect(taskAccessFor(task, 2, 'editor')).toEqual({ role: 'editor', canWrite: true });
+    expect(taskAccessFor(task, 2, 'viewer')).toEqual({ role: 'viewer', canWrite: false });
+    expect(taskAccessFor(task, 2, null)).toBeNull();
+  });
+
+  test('creating a project task grants nothing beyond the role', () => {
+    const task = { userId: 1, projectId: 5 };
+    expect(taskAccessFor(task, 1, 'viewer')).toEqual({ role: 'viewer', canWrite: false });
+    expect(taskAccessFor(task, 1, null)).toBeNull();
+  });
+});
@@ -0,0 +1,163 @@
+const {
+  validateRecurrence,
+  expansionWindow,
+  withSeriesDay,
+  nextOccurrence,
+  occurrencesBetween
+} = require('../src/utils/recurrence');
+
+const iso = (date) => date && date.toISOString();
+
+describe('validateRecurrence', () => {
+  test('accepts valid rules', () => {
+    expect(validateRecurrence({ freq: 'daily', interval: 3 })).toBeNull();
+    expect(validateRecurrence({ freq: 'weekly', byWeekday: [1, 3] })).toBeNull();
+    expect(validateRecurrence({ freq: 'monthly', byMonthDay: 31, count: 4 })).toBeNull();
+    expect(validateRecurrence(null)).toBeNull();
+  });
+
+  test('rejects invalid rules', () => {
+    expect(validateRecurrence({ freq: 'yearly' })).toMatch(/freq/);
+    expect(validateRecurrence({ freq: 'daily', interval: 0 })).toMatch(/interval/);
+    expect(validateRecurrence({ freq: 'daily', byWeekday: [1] })).toMatch(/weekly/);
+    expect(validateRecurrence({ freq: 'weekly', byWeekday: [7] })).toMatch(/byWeekday/);
+    expect(validateRecurrence({ freq: 'daily', count: 2, until: '2026-01-01' })).toMatch(/either/);
+  });
+});
+
+describe('nextOccurrence', () => {
+  test('daily every N days keeps the time of day', () => {
+    const next = nextOccurrence({ freq: 'daily', interval: 3 }, new Date('2026-03-01T09:30:00Z'));
+    expect(iso(next)).toBe('2026-03-04T09:30:00.000Z');
+  });
+
+  test('weekly on given weekdays', () => {
+    const rule = { freq: 'weekly', byWeekday: [1, 3] }; // Mon, Wed
+    // 2026-10-19 is a Monday
+    expect(iso(nextOccurrence(rule, new Date('2026-10-19T08:00:00Z')))).toBe('2026-10-21T08:00:00.000Z');
+    expect(iso(nextOccurrence(rule, new Date('2026-10-21T08:00:00Z')))).toBe('2026-10-26T08:00:00.000Z');
+  });
+
+  test('weekly with interval skips weeks', () => {
+    const rule = { freq: 'weekly', interval: 2, byWeekday: [1, 3] };
+    expect(iso(nextOccurrence(rule, new Date('2026-10-21T08:00:00Z')))).toBe('2026-11-02T08:00:00.000Z');
+  });
+
+  test('monthly on day N clamps to the end of the month', () => {
+    const rule = { freq: 'monthly', byMonthDay: 31 };
+    expect(iso(nextOccurrence(rule, new Date('2026-01-31T12:00:00Z')))).toBe('2026-02-28T12:00:00.000Z');
+    expect(iso(nextOccurrence(rule, new Date('2026-02-28T12:00:00Z')))).toBe('2026-03-31T12:00:00.000Z');
+  });
+
+  test('monthly series keep their starting day through short months', () => {
+    const rule = withSeriesDay({ freq: 'monthly' }, new Date('2026-01-31T12:00:00Z'));
+    expect(rule).toEqual({ freq: 'monthly', byMonthDay: 31 });
+
+    let date = new Date('2026-01-31T12:00:00Z');
+    const dates = [];
+    for (let i = 0; i < 3; i++) {
+      date = nextOccurrence(rule, date);
+      dates.push(iso(date).slice(0, 10));
+    }
+    expect(dates).toEqual(['2026-02-28', '2026-03-31', '2026-04-30']);
+  });
+
+  test('withSeriesDay leaves other rules alone', () => {
+    const due = new Date('2026-01-31T12:00:00Z');
+    const daily = { freq: 'daily' };
+    const fixed = { freq: 'monthly', byMonthDay: 15 };
+    expect(withSeriesDay(daily, due)).toBe(daily);
+    expect(withSeriesDay(fixed, due)).toBe(fixed);
+    expect(withSeriesDay({ freq: 'monthly' }, null)).toEqual({ freq: 'monthly' });
+    expect(withSeriesDay(null, due)).toBeNull();
+  });
+
+  test('stops at until and count', () => {
+    const date = new Date('2026-03-01T00:00:00Z');
+    expect(nextOccurrence({ freq: 'daily', until: '2026-03-01T12:00:00Z' }, date)).toBeNull();
+    expect(nextOccurrence({ freq: 'daily', count: 3 }, date, 2)).not.toBeNull();
+    expect(nextOccurrence({ freq: 'daily', count: 3 }, date, 3)).toBeNull();
+  });
+});
+
+describe('occurrencesBetween', () => {
+  test('lists occurrences inside the window', () => {
+    const result = occurrencesBetween(
+      { freq: 'daily' },
+      new Date('2026-03-01T00:00:00Z'),
+      1,
+      new Date('2026-03-03T00:00:00Z'),
+      new Date('2026-03-05T00:00:00Z')
+    );
+    expect(result.map(o => o.occurrence)).toEqual([3, 4, 5]);
+    expect(iso(result[0].dueDate)).toBe('2026-03-03T00:00:00.000Z');
+  });
+
+  test('honours the maximum', () => {
+    const result = occurrencesBetween(
+      { freq: 'daily' },
+      new Date('2026-03-01T00:00:00Z'),
+      1,
+      new Date('2026-03-01T00:00:00Z'),
+      new Date('2027-03-01T00:00:00Z'),
+      10
+    );
+    expect(result).toHaveLength(10);
+  });
+
+  // Reference: walk the series one occurrence at a time
+  const stepped = (rule, date, occurrence, from, to) => {
+    const result = [];
+    let current = date;
+    let number = occurrence;
+    while ((current = nextOccurrence(rule, current, number)) && current <= to) {
+      number += 1;
+      if (current >= from) {
+        result.push({ occurrence: number, dueDate: current });
+      }
+    }
+    return result;
+  };
+
+  test.each([
+    [{ freq: 'daily', interval: 3 }, '2026-03-01T09:30:00Z'],
+    [{ freq: 'weekly', interval: 2 }, '2026-03-01T09:30:00Z'],
+    [{ freq: 'weekly', interval: 2, byWeekday: [1, 3, 5] }, '2026-10-21T08:00:00Z'],
+    [{ freq: 'weekly', byWeekday: [2] }, '2026-10-24T08:00:00Z'],
+    [{ freq: 'monthly', byMonthDay: 31 }, '2026-01-31T12:00:00Z'],
+    [{ freq: 'monthly', interval: 5, byMonthDay: 20 }, '2026-01-10T12:00:00Z'],
+    [{ freq: 'daily', count: 400 }, '2026-01-01T00:00:00Z']
+  ])('jumping ahead matches stepping for %j', (rule, start) => {
+    const from = new Date('2027-02-10T00:00:00Z');
+    const to = new Date('2027-04-10T00:00:00Z');
+    const date = new Date(start);
+
+    expect(occurrencesBetween(rule, date, 1, from, to)).toEqual(stepped(rule, date, 1, from, to));
+  });
+
+  test('far-off windows do not walk the whole series', () => {
+    const from = new Date('9999-01-01T00:00:00Z');
+    const to = new Date('9999-01-31T00:00:00Z');
+    const started = Date.now();
+
+    const result = occurrencesBetween({ freq: 'daily' }, new Date('2026-01-01T00:00:00Z'), 1, from, to);
+
+    expect(result).toHaveLength(31);
+    expect(iso(result[0].dueDate)).toBe('9999-01-01T00:00:00.000Z');
+    expect(Date.now() - started).toBeLessThan(100);
+  });
+});
+
+describe('expansionWindow', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  test('defaults to the next 30 days', () => {
+    expect(expansionWindow({}, now)).toEqual({ from: now, to: new Date('2026-11-18T10:00:00Z') });
+  });
+
+  test('rejects reversed and oversized windows', () => {
+    expect(expansionWindow({ from: '2026-10-20', to: '2026-10-01' }, now).error).toMatch(/after/);
+    expect(expansionWindow({ from: '9999-01-01' }, now).from).toEqual(new Date('9999-01-01T00:00:00Z'));
+    expect(expansionWindow({ from: '2026-01-01', to: '2027-06-01' }, now).error).toMatch(/366 days/);
+  });
+});
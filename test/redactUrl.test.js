@@ -0,0 +1,24 @@
+const { redactUrl } = require('../src/utils/redactUrl');
+
+describe('redactUrl', () => {
+  test('leaves URLs without credentials alone', () => {
+    expect(redactUrl('/api/tasks')).toBe('/api/tasks');
+    expect(redactUrl('/api/tasks?page=2&tags=a,b')).toBe('/api/tasks?page=2&tags=a,b');
+  });
+
+  test('hides stream and feed tokens', () => {
+    expect(redactUrl('/api/tasks/stream?access_token=eyJhbGc.x.y'))
+      .toBe('/api/tasks/stream?access_token=[REDACTED]');
+    expect(redactUrl('/api/tasks/feed.ics?token=abc123&completed=false'))
+      .toBe('/api/tasks/feed.ics?token=[REDACTED]&completed=false');
+  });
+
+  test('catches encoded and repeated names', () => {
+    expect(redactUrl('/api/tasks/stream?access%5Ftoken=secret&token=a&token=b'))
+      .toBe('/api/tasks/stream?access%5Ftoken=[REDACTED]&token=[REDACTED]&token=[REDACTED]');
+  });
+
+  test('does not touch parameters that merely contain the name', () => {
+    expect(redactUrl('/api/x?tokens=1&my_token=2')).toBe('/api/x?tokens=1&my_token=2');
+  });
+});
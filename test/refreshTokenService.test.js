@@ -0,0 +1,60 @@
+process.env.JWT_SECRET = 'test-secret';
+
+const { RefreshToken, Session } = require('../src/models');
+const { RefreshTokenError, rotateTokens } = require('../src/services/refreshTokenService');
+const { generarRefreshToken } = require('../src/utils/jwt');
+
+// Managed transaction stand-in: writes only land when the callback
+// resolves, as a rejection rolls them back
+const committed = [];
+
+const recordWrite = (model) => async (values, { where, transaction }) => {
+  transaction.pending.push({ model, values, where });
+  return [1];
+};
+
+describe('rotateTokens', () => {
+  beforeEach(() => {
+    committed.length = 0;
+    jest.spyOn(RefreshToken.sequelize, 'transaction').mockImplementation(async (callback) => {
+      const transaction = { LOCK: { UPDATE: 'UPDATE' }, pending: [] };
+      const result = await callback(transaction);
+      committed.push(...transaction.pending);
+      return result;
+    });
+    jest.spyOn(RefreshToken, 'update').mockImplementation(recordWrite('RefreshToken'));
+    jest.spyOn(Session, 'update').mockImplementation(recordWrite('Session'));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('a reused token keeps its family revoked after the rejection', async () => {
+    const token = generarRefreshToken({ id: 1, family: 'fam-1', jti: 'a' });
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({
+      userId: 1,
+      family: 'fam-1',
+      revokedAt: new Date()
+    });
+
+    await expect(rotateTokens(token, async () => null)).rejects.toThrow(RefreshTokenError);
+
+    expect(committed.map(({ model, where }) => [model, where.family || where.id])).toEqual([
+      ['RefreshToken', 'fam-1'],
+      ['Session', 'fam-1']
+    ]);
+  });
+
+  test('an inactive user loses the session too', async () => {
+    const token = generarRefreshToken({ id: 1, family: 'fam-2', jti: 'b' });
+    jest.spyOn(RefreshToken, 'findOne').mockResolvedValue({
+      userId: 1,
+      family: 'fam-2',
+      revokedAt: null
+    });
+
+    await expect(rotateTokens(token, async () => ({ id: 1, active: false })))
+      .rejects.toThrow('User not found or inactive');
+
+    expect(committed.map(({ model }) => model)).toEqual(['RefreshToken', 'Session']);
+  });
+});
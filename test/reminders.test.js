@@ -0,0 +1,46 @@
+const nodemailer = require('nodemailer');
+const { computeRemindAt } = require('../src/utils/reminders');
+const { setTransport } = require('../src/services/mailer');
+const { getChannel, registerChannel } = require('../src/services/notificationChannels');
+
+describe('computeRemindAt', () => {
+  const due = new Date('2026-10-20T15:00:00Z');
+
+  test('offset before the due date', () => {
+    expect(computeRemindAt({ offsetMinutes: 60 }, due).toISOString()).toBe('2026-10-20T14:00:00.000Z');
+  });
+
+  test('fixed time on the due day', () => {
+    expect(computeRemindAt({ atTime: '09:00' }, due).toISOString()).toBe('2026-10-20T09:00:00.000Z');
+  });
+
+  test('no due date, no reminder', () => {
+    expect(computeRemindAt({ offsetMinutes: 10 }, null)).toBeNull();
+  });
+});
+
+describe('notification channels', () => {
+  test('email channel sends through the mailer transport', async () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+    const sendMail = jest.spyOn(transport, 'sendMail');
+    setTransport(transport);
+
+    await getChannel('email').send('user@example.com', { subject: 'Hi', text: 'Body' });
+
+    expect(sendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'user@example.com',
+      subject: 'Hi',
+      text: 'Body'
+    }));
+  });
+
+  test('custom channels can be registered', async () => {
+    const send = jest.fn();
+    registerChannel({ name: 'test', send });
+
+    await getChannel('test').send('target', { subject: 'x' });
+
+    expect(send).toHaveBeenCalledWith('target', { subject: 'x' });
+    expect(() => getChannel('missing')).toThrow('Unknown notification channel');
+  });
+});
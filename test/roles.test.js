@@ -0,0 +1,30 @@
+const { hasRole, selfChangeError } = require('../src/utils/roles');
+
+describe('hasRole', () => {
+  test('accepts only the listed roles', () => {
+    expect(hasRole({ role: 'admin' }, ['admin'])).toBe(true);
+    expect(hasRole({ role: 'user' }, ['admin'])).toBe(false);
+    expect(hasRole({ role: 'user' }, ['user', 'admin'])).toBe(true);
+  });
+
+  test('rejects missing users and roles', () => {
+    expect(hasRole(null, ['admin'])).toBe(false);
+    expect(hasRole({}, ['admin'])).toBe(false);
+  });
+});
+
+describe('selfChangeError', () => {
+  test('stops admins from deactivating themselves or changing their own role', () => {
+    expect(selfChangeError('deactivate', '7', 7)).toBe('You cannot deactivate your own account');
+    expect(selfChangeError('role', '7', 7)).toBe('You cannot change your own role');
+  });
+
+  test('allows the same changes on other accounts', () => {
+    expect(selfChangeError('deactivate', '8', 7)).toBeNull();
+    expect(selfChangeError('role', '8', 7)).toBeNull();
+  });
+
+  test('has nothing against other changes to one\'s own account', () => {
+    expect(selfChangeError('reset-password', '7', 7)).toBeNull();
+  });
+});
@@ -0,0 +1,42 @@
+const { parseSearch, toTsQuery } = require('../src/utils/searchQuery');
+
+describe('search query', () => {
+  test('separates filters from text', () => {
+    const parsed = parseSearch('report tag:work priority:HIGH is:done -draft');
+    expect(parsed.errors).toEqual([]);
+    expect(parsed.tags).toEqual([{ tag: 'work', negated: false }]);
+    expect(parsed.priorities).toEqual([{ priority: 'high', negated: false }]);
+    expect(parsed.completed).toBe(true);
+    expect(parsed.terms.map(t => t.text)).toEqual(['report', 'draft']);
+  });
+
+  test('turns due comparisons into date ranges', () => {
+    const { due } = parseSearch('due:<2026-11-01 due:>=2026-10-01 due:2026-10-15');
+    expect(due).toEqual([
+      { before: new Date('2026-11-01T00:00:00.000Z') },
+      { from: new Date('2026-10-01T00:00:00.000Z') },
+      { from: new Date('2026-10-15T00:00:00.000Z'), before: new Date('2026-10-16T00:00:00.000Z') }
+    ]);
+  });
+
+  test('reports invalid filter values', () => {
+    const { errors } = parseSearch('priority:urgent due:tomorrow is:maybe');
+    expect(errors).toHaveLength(3);
+  });
+
+  test('negated filters invert the condition', () => {
+    const parsed = parseSearch('-is:done -tag:"long tag"');
+    expect(parsed.completed).toBe(false);
+    expect(parsed.tags).toEqual([{ tag: 'long tag', negated: true }]);
+  });
+
+  test('builds a prefix tsquery and keeps phrases exact', () => {
+    const { terms } = parseSearch('plan "weekly review" -old e-mail');
+    expect(toTsQuery(terms)).toBe('plan:* & (weekly <-> review) & !old:* & (e:* <-> mail:*)');
+  });
+
+  test('drops characters that are tsquery syntax', () => {
+    const { terms } = parseSearch("a'b|c & !(");
+    expect(toTsQuery(terms)).toBe('(a:* <-> b:* <-> c:*)');
+  });
+});
@@ -0,0 +1,38 @@
+const { resolvePeriod } = require('../src/utils/statistics');
+
+describe('resolvePeriod', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  test('defaults to the 30 days before now', () => {
+    expect(resolvePeriod({}, now)).toEqual({
+      from: new Date('2026-09-19T10:00:00Z'),
+      to: now
+    });
+  });
+
+  test('a date-only `to` includes that whole day', () => {
+    expect(resolvePeriod({ from: '2026-10-01', to: '2026-10-07' }, now)).toEqual({
+      from: new Date('2026-10-01T00:00:00Z'),
+      to: new Date('2026-10-08T00:00:00Z')
+    });
+  });
+
+  test('a full timestamp `to` is used as given', () => {
+    expect(resolvePeriod({ to: '2026-10-07T12:00:00Z' }, now)).toEqual({
+      from: new Date('2026-09-07T12:00:00Z'),
+      to: new Date('2026-10-07T12:00:00Z')
+    });
+  });
+
+  test('rejects empty and reversed periods', () => {
+    expect(resolvePeriod({ from: '2026-10-08', to: '2026-10-01' }, now).error).toBe('From must be before to');
+    expect(resolvePeriod({ from: '2026-10-19T10:00:00Z' }, now).error).toBe('From must be before to');
+  });
+
+  test('caps the period length', () => {
+    expect(resolvePeriod({ from: '2025-10-18', to: '2026-10-19' }, now).error)
+      .toBe('The period cannot exceed 366 days');
+    expect(resolvePeriod({ from: '2025-10-19', to: '2026-10-19' }, now).to)
+      .toEqual(new Date('2026-10-20T00:00:00Z'));
+  });
+});
@@ -0,0 +1,19 @@
+const { normalizeTag, normalizeTags, validateTagName } = require('../src/utils/tags');
+
+describe('tags', () => {
+  test('normalizes case and whitespace', () => {
+    expect(normalizeTag('  Deep   Work ')).toBe('deep work');
+  });
+
+  test('drops blanks and duplicates keeping order', () => {
+    expect(normalizeTags(['Home', 'work', ' home', '', 'WORK'])).toEqual(['home', 'work']);
+  });
+
+  test('validates tag names', () => {
+    expect(validateTagName('errands')).toBeNull();
+    expect(validateTagName('   ')).toMatch(/non-empty/);
+    expect(validateTagName(42)).toMatch(/non-empty/);
+    expect(validateTagName('a;b')).toMatch(/semicolons/);
+    expect(validateTagName('x'.repeat(51))).toMatch(/50 characters/);
+  });
+});
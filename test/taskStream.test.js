@@ -0,0 +1,96 @@
+const { ProjectMember } = require('../src/models');
+const { emitTaskEvent } = require('../src/services/taskEvents');
+const { addClient, removeClient, subscribeTaskStream } = require('../src/services/taskStream');
+
+const fakeResponse = () => {
+  const chunks = [];
+  return {
+    chunks,
+    write: (chunk) => chunks.push(chunk),
+    events: () => chunks.join('').split('\n\n').filter(Boolean)
+  };
+};
+
+// Subscribers run on a microtask
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+const lastIdOf = (res) => {
+  const ids = res.chunks.join('').match(/^id: (\d+)$/gm);
+  return parseInt(ids[ids.length - 1].slice(4));
+};
+
+describe('task stream', () => {
+  beforeAll(() => subscribeTaskStream());
+
+  afterEach(() => jest.restoreAllMocks());
+
+  test('pushes personal task events only to the task owner', async () => {
+    const owner = fakeResponse();
+    const other = fakeResponse();
+    addClient(1, owner);
+    addClient(2, other);
+
+    emitTaskEvent('task.created', { id: 10, userId: 1, title: 'Mine' }, 1);
+    await flush();
+
+    expect(owner.events()).toHaveLength(1);
+    expect(owner.chunks[0]).toContain('event: task.created');
+    expect(owner.chunks[0]).toContain('"title":"Mine"');
+    expect(other.events()).toHaveLength(0);
+
+    removeClient(1, owner);
+    removeClient(2, other);
+  });
+
+  test('pushes project task events to the current members, not the creator', async () => {
+    const findAll = jest.spyOn(ProjectMember, 'findAll').mockResolvedValue([{ userId: 6 }, { userId: 7 }]);
+    const creator = fakeResponse();
+    const member = fakeResponse();
+    addClient(5, creator);
+    addClient(6, member);
+
+    emitTaskEvent('task.updated', { id: 30, userId: 5, projectId: 9 }, 6);
+    await flush();
+
+    expect(findAll).toHaveBeenCalledWith(expect.objectContaining({ where: { projectId: 9 } }));
+    expect(member.events()).toHaveLength(1);
+    expect(creator.events()).toHaveLength(0);
+
+    removeClient(6, member);
+    const resumed = fakeResponse();
+    addClient(6, resumed, lastIdOf(member) - 1);
+    expect(resumed.events()).toHaveLength(1);
+
+    removeClient(5, creator);
+    removeClient(6, resumed);
+  });
+
+  test('replays missed events after Last-Event-ID', async () => {
+    const first = fakeResponse();
+    addClient(3, first);
+    emitTaskEvent('task.created', { id: 20, userId: 3 }, 3);
+    await flush();
+    const seen = lastIdOf(first);
+    removeClient(3, first);
+
+    emitTaskEvent('task.updated', { id: 20, userId: 3 }, 3);
+    emitTaskEvent('task.deleted', { id: 20, userId: 3 }, 3);
+    await flush();
+
+    const resumed = fakeResponse();
+    addClient(3, resumed, seen);
+
+    const events = resumed.events();
+    expect(events).toHaveLength(2);
+    expect(events[0]).toContain('event: task.updated');
+    expect(events[1]).toContain('event: task.deleted');
+    removeClient(3, resumed);
+  });
+
+  test('asks stale clients to reset', () => {
+    const stale = fakeResponse();
+    addClient(4, stale, 1);
+    expect(stale.chunks[0]).toContain('event: reset');
+    removeClient(4, stale);
+  });
+});
@@ -0,0 +1,55 @@
+const { validarObjeto } = require('../src/middlewares/validation');
+const { createTaskRules, updateTaskRules } = require('../src/validators/taskValidators');
+
+describe('task validators on plain objects', () => {
+  test('accepts a valid task and sanitizes it', async () => {
+    const data = { title: '  Write docs  ', priority: 'high', dueDate: '2026-11-01' };
+    const errors = await validarObjeto(createTaskRules, data);
+    expect(errors).toEqual([]);
+    expect(data.title).toBe('Write docs');
+  });
+
+  test('reports each invalid field', async () => {
+    const errors = await validarObjeto(createTaskRules, {
+      title: '',
+      priority: 'urgent',
+      recurrence: { freq: 'yearly' }
+    });
+    expect(errors.map(e => e.path).sort()).toEqual(['priority', 'recurrence', 'title']);
+  });
+
+  test('update rules allow partial bodies and coerce booleans', async () => {
+    const data = { completed: 'true' };
+    expect(await validarObjeto(updateTaskRules, data)).toEqual([]);
+    expect(data.completed).toBe(true);
+  });
+
+  test('coerces project and parent ids to integers', async () => {
+    const created = { title: 'ok', projectId: '3', parentId: '7' };
+    expect(await validarObjeto(createTaskRules, created)).toEqual([]);
+    expect(created).toMatchObject({ projectId: 3, parentId: 7 });
+
+    const updated = { projectId: null, parentId: '7' };
+    expect(await validarObjeto(updateTaskRules, updated)).toEqual([]);
+    expect(updated).toEqual({ projectId: null, parentId: 7 });
+  });
+
+  test('runs independently for each object', async () => {
+    const [first, second] = await Promise.all([
+      validarObjeto(createTaskRules, { title: 'ok' }),
+      validarObjeto(createTaskRules, {})
+    ]);
+    expect(first).toEqual([]);
+    expect(second.map(e => e.path)).toEqual(['title']);
+  });
+
+  test('validates tags on create and update', async () => {
+    expect(await validarObjeto(createTaskRules, { title: 'ok', tags: ['home', 'Deep Work'] })).toEqual([]);
+
+    const errors = await validarObjeto(updateTaskRules, { tags: ['ok', 'a;b'] });
+    expect(errors.map(e => e.path)).toEqual(['tags']);
+    expect(errors[0].msg).toMatch(/semicolons/);
+
+    expect((await validarObjeto(updateTaskRules, { tags: 'home' })).map(e => e.path)).toEqual(['tags']);
+  });
+});
@@ -0,0 +1,62 @@
+const {
+  base32Encode,
+  base32Decode,
+  generateSecret,
+  timeStep,
+  totpCode,
+  verifyTotp,
+  provisioningUri
+} = require('../src/utils/totp');
+
+// RFC 6238 appendix B secret ("12345678901234567890") in base32
+const SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+
+describe('totp', () => {
+  test('round-trips base32', () => {
+    const bytes = Buffer.from('12345678901234567890');
+    expect(base32Encode(bytes)).toBe(SECRET);
+    expect(base32Decode(SECRET)).toEqual(bytes);
+    expect(base32Decode('gezd gnbv gy3t qojq gezd gnbv gy3t qojq')).toEqual(bytes);
+    expect(() => base32Decode('GEZ1')).toThrow('Invalid base32 character');
+  });
+
+  test('matches the RFC 6238 SHA-1 test vectors', () => {
+    expect(totpCode(SECRET, 59 * 1000)).toBe('287082');
+    expect(totpCode(SECRET, 1111111109 * 1000)).toBe('081804');
+    expect(totpCode(SECRET, 1234567890 * 1000)).toBe('005924');
+    expect(totpCode(SECRET, 2000000000 * 1000)).toBe('279037');
+  });
+
+  test('verifies codes within the drift window and returns their step', () => {
+    const time = 1234567890 * 1000;
+    const step = timeStep(time);
+
+    expect(verifyTotp(SECRET, '005924', { time })).toBe(step);
+    expect(verifyTotp(SECRET, totpCode(SECRET, time - 30000), { time })).toBe(step - 1);
+    expect(verifyTotp(SECRET, totpCode(SECRET, time + 30000), { time })).toBe(step + 1);
+    expect(verifyTotp(SECRET, totpCode(SECRET, time - 60000), { time })).toBeNull();
+    expect(verifyTotp(SECRET, totpCode(SECRET, time - 60000), { time, window: 2 })).toBe(step - 2);
+  });
+
+  test('rejects malformed codes', () => {
+    const time = 1234567890 * 1000;
+    expect(verifyTotp(SECRET, '5924', { time })).toBeNull();
+    expect(verifyTotp(SECRET, '00592a', { time })).toBeNull();
+    expect(verifyTotp(SECRET, undefined, { time })).toBeNull();
+  });
+
+  test('generates 160-bit base32 secrets', () => {
+    const secret = generateSecret();
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(base32Decode(secret)).toHaveLength(20);
+    expect(generateSecret()).not.toBe(secret);
+  });
+
+  test('builds otpauth provisioning URIs', () => {
+    const uri = provisioningUri({ secret: SECRET, account: 'ana@example.com', issuer: 'Tasks API' });
+    expect(uri).toBe(
+      'otpauth://totp/Tasks%20API%3Aana%40example.com' +
+      `?secret=${SECRET}&issuer=Tasks+API&algorithm=SHA1&digits=6&period=30`
+    );
+  });
+});
@@ -0,0 +1,20 @@
+const { retentionCutoff } = require('../src/utils/trash');
+
+describe('retentionCutoff', () => {
+  const now = new Date('2026-10-19T10:00:00Z');
+
+  test('goes back the retention period in whole days', () => {
+    expect(retentionCutoff(now, 30)).toEqual(new Date('2026-09-19T10:00:00Z'));
+    expect(retentionCutoff(now, 1)).toEqual(new Date('2026-10-18T10:00:00Z'));
+  });
+
+  test('a zero retention purges everything already in the trash', () => {
+    expect(retentionCutoff(now, 0)).toEqual(now);
+  });
+
+  test('does not change the given date', () => {
+    const at = new Date(now);
+    retentionCutoff(at, 30);
+    expect(at).toEqual(now);
+  });
+});
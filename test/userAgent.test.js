@@ -0,0 +1,33 @@
+const { describeDevice } = require('../src/utils/userAgent');
+
+describe('describeDevice', () => {
+  test('names browser and operating system', () => {
+    expect(describeDevice(
+      'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36'
+    )).toBe('Chrome on macOS');
+    expect(describeDevice(
+      'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Safari/537.36 Edg/129.0.0.0'
+    )).toBe('Edge on Windows');
+    expect(describeDevice(
+      'Mozilla/5.0 (X11; Linux x86_64; rv:131.0) Gecko/20100101 Firefox/131.0'
+    )).toBe('Firefox on Linux');
+    expect(describeDevice(
+      'Mozilla/5.0 (iPhone; CPU iPhone OS 18_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/18.0 Mobile/15E148 Safari/604.1'
+    )).toBe('Safari on iOS');
+    expect(describeDevice(
+      'Mozilla/5.0 (Linux; Android 14; Pixel 8) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/129.0.0.0 Mobile Safari/537.36'
+    )).toBe('Chrome on Android');
+  });
+
+  test('names command-line clients and libraries', () => {
+    expect(describeDevice('curl/8.5.0')).toBe('curl');
+    expect(describeDevice('PostmanRuntime/7.42.0')).toBe('PostmanRuntime');
+    expect(describeDevice('python-requests/2.32.3')).toBe('python-requests');
+  });
+
+  test('falls back when the header is missing or unknown', () => {
+    expect(describeDevice(undefined)).toBe('Unknown device');
+    expect(describeDevice('')).toBe('Unknown device');
+    expect(describeDevice('SomeBot/1.0')).toBe('Unknown device');
+  });
+});
@@ -0,0 +1,26 @@
+const { signPayload, verifySignature, generateSecret } = require('../src/utils/webhookSignature');
+
+describe('webhook signatures', () => {
+  const secret = 'test-secret';
+  const body = JSON.stringify({ event: 'task.created', data: { task: { id: 1 } } });
+
+  test('signs with HMAC-SHA256 over timestamp and body', () => {
+    const signature = signPayload(secret, 1700000000, body);
+    expect(signature).toMatch(/^sha256=[a-f0-9]{64}$/);
+    expect(signPayload(secret, 1700000000, body)).toBe(signature);
+    expect(signPayload(secret, 1700000001, body)).not.toBe(signature);
+  });
+
+  test('verifies matching signatures only', () => {
+    const signature = signPayload(secret, 1700000000, body);
+    expect(verifySignature(secret, 1700000000, body, signature)).toBe(true);
+    expect(verifySignature('other', 1700000000, body, signature)).toBe(false);
+    expect(verifySignature(secret, 1700000000, body + ' ', signature)).toBe(false);
+    expect(verifySignature(secret, 1700000000, body, 'garbage')).toBe(false);
+  });
+
+  test('generates random 256-bit secrets', () => {
+    expect(generateSecret()).toMatch(/^[a-f0-9]{64}$/);
+    expect(generateSecret()).not.toBe(generateSecret());
+  });
+});
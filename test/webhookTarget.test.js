@@ -0,0 +1,39 @@
+const { isPublicAddress, hasPublicHost, assertPublicTarget } = require('../src/utils/webhookTarget');
+
+describe('webhook targets', () => {
+  test.each([
+    '127.0.0.1',
+    '10.1.2.3',
+    '172.20.0.5',
+    '192.168.1.10',
+    '169.254.169.254',
+    '0.0.0.0',
+    '::1',
+    '::',
+    'fe80::1',
+    'fd12:3456::1',
+    '::ffff:127.0.0.1',
+    '::ffff:a9fe:a9fe'
+  ])('treats %s as internal', (address) => {
+    expect(isPublicAddress(address)).toBe(false);
+  });
+
+  test.each(['93.184.216.34', '8.8.8.8', '2606:4700:4700::1111'])('treats %s as public', (address) => {
+    expect(isPublicAddress(address)).toBe(true);
+  });
+
+  test('rejects internal literal hosts on input but leaves names to delivery time', () => {
+    expect(hasPublicHost('http://localhost:3000/hook')).toBe(false);
+    expect(hasPublicHost('http://api.localhost/hook')).toBe(false);
+    expect(hasPublicHost('http://169.254.169.254/latest/meta-data')).toBe(false);
+    expect(hasPublicHost('http://[::1]:8080/')).toBe(false);
+    expect(hasPublicHost('https://hooks.example.com/tasks')).toBe(true);
+    expect(hasPublicHost('https://93.184.216.34/tasks')).toBe(true);
+  });
+
+  test('refuses to deliver to an internal address', async () => {
+    await expect(assertPublicTarget('http://10.0.0.8/hook')).rejects.toThrow(/non-public address/);
+    await expect(assertPublicTarget('http://[fe80::1]/hook')).rejects.toThrow(/non-public address/);
+    await expect(assertPublicTarget('https://8.8.8.8/hook')).resolves.toBeUndefined();
+  });
+});
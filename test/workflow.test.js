@@ -0,0 +1,42 @@
+const {
+  DEFAULT_STATUSES,
+  validateWorkflow,
+  statusForCompletion,
+  checkTransition
+} = require('../src/utils/workflow');
+
+describe('workflow', () => {
+  const statuses = [
+    { key: 'todo', name: 'To do', done: false, transitions: ['doing'] },
+    { key: 'doing', name: 'Doing', done: false, transitions: null },
+    { key: 'shipped', name: 'Shipped', done: true, transitions: [] }
+  ];
+
+  test('accepts the default workflow', () => {
+    expect(validateWorkflow(DEFAULT_STATUSES)).toBeNull();
+    expect(validateWorkflow(statuses)).toBeNull();
+  });
+
+  test('rejects invalid workflows', () => {
+    expect(validateWorkflow([])).toMatch(/at least one status/);
+    expect(validateWorkflow([{ key: 'In Progress', name: 'x' }])).toMatch(/lowercase/);
+    expect(validateWorkflow([...statuses, { key: 'todo', name: 'Again' }])).toMatch(/repeated/);
+    expect(validateWorkflow([{ key: 'a', name: 'A', transitions: ['b'] }])).toMatch(/unknown status "b"/);
+    expect(validateWorkflow([{ key: 'a', name: 'A' }])).toMatch(/done status/);
+    expect(validateWorkflow([{ key: 'a', name: 'A', done: true }])).toMatch(/not done/);
+  });
+
+  test('maps completion onto a status', () => {
+    expect(statusForCompletion(statuses, true, 'doing').key).toBe('shipped');
+    expect(statusForCompletion(statuses, false, 'shipped').key).toBe('todo');
+    expect(statusForCompletion(statuses, false, 'doing').key).toBe('doing');
+  });
+
+  test('enforces allowed transitions', () => {
+    expect(checkTransition(statuses, 'todo', 'doing')).toBeNull();
+    expect(checkTransition(statuses, 'todo', 'shipped')).toMatch(/Allowed: doing/);
+    expect(checkTransition(statuses, 'doing', 'todo')).toBeNull();
+    expect(checkTransition(statuses, 'shipped', 'todo')).toMatch(/Allowed: none/);
+    expect(checkTransition(statuses, 'shipped', 'shipped')).toBeNull();
+  });
+});